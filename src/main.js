@@ -1,23 +1,39 @@
 import { Actor } from 'apify';
-import { scrapeGoogleMaps } from './scrapers/googleMaps.js';
+import { scrapeGoogleMaps, getPlaceKey } from './scrapers/googleMaps.js';
 import { extractEmailFromWebsite } from './scrapers/website.js';
+import { buildPhoneList, getCountryHint } from './scrapers/phones.js';
+import { getStructuredDataUpdates } from './scrapers/structuredData.js';
 import { calculateLeadScore } from './scoring/leadScore.js';
 import { sendWebhook } from './integrations/webhook.js';
+import { loadRunState, persistRunState, getQueryState, finishQueryState } from './utils/runState.js';
+import { openLeadHistory } from './utils/leadHistory.js';
+import { createTimeBudget } from './utils/timeBudget.js';
+import { openExtractionHealth } from './utils/extractionHealth.js';
+import { createBlockTracker } from './utils/blockTracker.js';
+import { createResourceBlocker } from './utils/resourceBlocker.js';
+import { createChainDetector } from './utils/chainDetector.js';
+
+// Website email extraction takes up to 45s - not started when less time than this is left
+const MIN_SECONDS_FOR_EMAIL_EXTRACTION = 90;
 
 // Initialize the Apify actor
 await Actor.init();
 
+// Kept outside the try block so a fatal error can still be reported to the webhook
+let webhookUrl = null;
+
 try {
     // Get input from Apify platform UI
     const rawInput = await Actor.getInput();
 
     console.log('📥 Input received:', JSON.stringify(rawInput, null, 2));
 
-    // Log timeout setting if provided
+    // Track elapsed time against the user's timeout (and the platform's hard timeout)
     if (rawInput.timeoutSeconds) {
         await Actor.setStatusMessage(`⏱️ Timeout: ${rawInput.timeoutSeconds} seconds`);
         console.log(`⏱️ User set timeout: ${rawInput.timeoutSeconds} seconds`);
     }
+    const timeBudget = createTimeBudget({ timeoutSeconds: rawInput.timeoutSeconds || null });
 
     // Determine scraping mode
     const scrapingMode = rawInput.scrapingMode || 'enriched';
@@ -26,32 +42,49 @@ try {
 
     // Determine performance preset (concurrency settings)
     // PRODUCTION FIX: Reduced defaults to prevent CPU overload and timeouts
+    // maxConcurrency is the combined budget: search and detail pages share one browser pool
     const performancePreset = rawInput.performancePreset || 'balanced';
     const performanceConfig = {
-        balanced: { maxConcurrency: 3, detailConcurrency: 1, memoryMB: 8192 },  // Reduced from 2→1 to prevent CPU overload
-        fast: { maxConcurrency: 5, detailConcurrency: 2, memoryMB: 16384 },     // Reduced from 3→2
-        turbo: { maxConcurrency: 8, detailConcurrency: 3, memoryMB: 32768 },    // Reduced from 5→3
+        balanced: { maxConcurrency: 3, memoryMB: 8192 },
+        fast: { maxConcurrency: 5, memoryMB: 16384 },
+        turbo: { maxConcurrency: 8, memoryMB: 32768 },
     };
     const perfSettings = performanceConfig[performancePreset] || performanceConfig.balanced;
 
     // Transform new flat structure to internal format
     const input = {
-        searchQueries: [
-            {
-                category: rawInput.searchQuery || 'software companies',
-                location: rawInput.location || 'San Francisco, CA',
-                maxResults: rawInput.maxResults || 50,
-            }
-        ],
+        searchQueries: buildSearchQueries(rawInput),
         language: rawInput.language || 'en',
+        defaultCountry: rawInput.defaultCountry ? String(rawInput.defaultCountry).trim().toUpperCase() : null, // Phone numbers without country code
+        consentAction: rawInput.consentAction === 'accept' ? 'accept' : 'reject', // Google cookie wall choice
+        extractionBackend: rawInput.extractionBackend === 'json' ? 'json' : 'dom', // Embedded Maps JSON or rendered page
         skipClosedPlaces: rawInput.skipClosedPlaces !== false,
         fastMode: isBasicMode, // Basic mode = fast (no detail pages), Enriched = slow (full scraping)
+        grid: rawInput.gridSearch ? {
+            zoom: rawInput.gridZoom || 14,
+            maxZoom: rawInput.gridMaxZoom || 18,
+            boundingBox: rawInput.boundingBox || null,
+            polygon: rawInput.polygon || null,
+        } : null,
         filters: {
             minRating: rawInput.minRating || 0,
             minReviews: rawInput.minReviews || 0,
             hasWebsite: isEnrichedMode ? (rawInput.hasWebsite !== false) : false, // Only filter by website in enriched mode
             claimedListing: rawInput.claimedListing || false,
             hasSocialMedia: rawInput.hasSocialMedia || false,
+            openOnWeekends: rawInput.openOnWeekends || false, // Opening hours filters (detail pages only)
+            excludeAlwaysOpen: rawInput.excludeAlwaysOpen || false,
+            minClosingTime: rawInput.minClosingTime || null,
+            requiredAttributes: cleanList(rawInput.requiredAttributes || []), // About tab attributes, e.g. "online appointments"
+            maxPriceLevel: rawInput.maxPriceLevel || null,
+            includeCategories: cleanList(rawInput.includeCategories || []), // Google categories, e.g. "Marketing agency"
+            excludeCategories: cleanList(rawInput.excludeCategories || []),
+            categoryMatch: rawInput.categoryMatch === 'exact' ? 'exact' : 'fuzzy',
+            excludeChains: rawInput.excludeChains || false, // Drop chains/franchises instead of only flagging them
+        },
+        chains: {
+            minLocations: rawInput.chainMinLocations || 3, // Same name/domain at this many places = chain
+            knownBrands: cleanList(rawInput.knownChainBrands || []),
         },
         enrichment: {
             extractEmails: isEnrichedMode && (rawInput.extractEmails !== false), // Only extract emails in enriched mode
@@ -79,9 +112,27 @@ try {
                     'Europe': 25,
                     'APAC': 20,
                     'Other': 10,
-                }
+                },
+                // Employee count from the website's structured data (numberOfEmployees)
+                employeeRanges: Array.isArray(rawInput.targetEmployeeRanges) && rawInput.targetEmployeeRanges.length > 0
+                    ? Object.fromEntries(rawInput.targetEmployeeRanges.map((range, idx) => [range, Math.max(15 - (idx * 5), 5)]))
+                    : {
+                        '11-50': 15,
+                        '51-200': 15,
+                        '1-10': 10,
+                        '201-500': 10,
+                        '500+': 5,
+                    },
             }
         },
+        newLeadsOnly: rawInput.newLeadsOnly || false, // Skip places delivered by earlier runs
+        leadHistoryStore: rawInput.leadHistoryStore || 'lead-history',
+        emitSeenAgain: rawInput.emitSeenAgain || false,
+        healthCheck: {
+            action: rawInput.healthCheckAction || 'warn', // warn, fail or off
+            threshold: rawInput.healthCheckThreshold ?? null, // % per field, null = per-field defaults
+            minSamples: rawInput.healthCheckMinSamples || 20,
+        },
         output: {
             webhook: rawInput.webhookUrl || null,
             format: 'csv',
@@ -90,15 +141,19 @@ try {
             useApifyProxy: true,
             apifyProxyGroups: []
         },
-        maxConcurrency: rawInput.maxConcurrency || perfSettings.maxConcurrency,
-        detailConcurrency: rawInput.maxConcurrency
-            ? Math.max(1, Math.floor(rawInput.maxConcurrency * 0.4)) // Scale detail concurrency (40% of main, min 1)
-            : perfSettings.detailConcurrency,
+        maxConcurrency: rawInput.maxConcurrency || perfSettings.maxConcurrency, // Search + detail pages at once
+        resourceBlocking: {
+            enabled: rawInput.blockResources !== false, // Images, video, fonts, map tiles and analytics
+            allow: cleanList(rawInput.resourceAllowList || []),
+            deny: cleanList(rawInput.resourceDenyList || []),
+        },
     };
 
+    webhookUrl = input.output.webhook;
+
     console.log('🚀 Starting B2B Lead Generation Actor');
     console.log('Mode:', isBasicMode ? '⚡ BASIC (Fast)' : '🎯 ENRICHED (Slow)');
-    console.log('Performance:', `${performancePreset.toUpperCase()} (${input.maxConcurrency} main / ${input.detailConcurrency} detail browsers)`);
+    console.log('Performance:', `${performancePreset.toUpperCase()} (${input.maxConcurrency} pages, search and details combined)`);
 
     // Warn if concurrency is too high for enriched mode
     if (isEnrichedMode && input.maxConcurrency > 5) {
@@ -106,9 +161,13 @@ try {
         console.log('⚠️  Recommended: Use maxConcurrency 3-5 for best results with email extraction.');
     }
 
-    console.log('Query:', input.searchQueries[0].category, 'in', input.searchQueries[0].location);
-    console.log('Max results:', input.searchQueries[0].maxResults);
+    console.log(`Queries (${input.searchQueries.length}):`, input.searchQueries.map(getQueryLabel).join(' | '));
+    console.log('Max results per query:', input.searchQueries[0].maxResults);
+    if (input.grid) {
+        console.log('Grid search:', `zoom ${input.grid.zoom} (max ${input.grid.maxZoom})`);
+    }
     console.log('Email extraction:', input.enrichment.extractEmails);
+    console.log('New leads only:', input.newLeadsOnly ? `yes (history: ${input.leadHistoryStore})` : 'no');
     console.log('Lead scoring:', input.scoring.enableScoring);
 
     // Initialize statistics
@@ -117,172 +176,451 @@ try {
         enrichedLeads: 0,
         emailsFound: 0,
         highQualityLeads: 0, // A+ and A grades
+        duplicatesSkipped: 0, // Same place found by more than one query
+        seenBeforeSkipped: 0, // Delivered by an earlier run ("new leads only" mode)
+        newLeadsRemembered: 0, // Places added to the lead history by this run ("new leads only" mode)
+        queries: {}, // Per-query totals, keyed by "category in location"
+        filtered: {}, // Places dropped by filters, per reason (noRating, closedPermanently, noWebsite, ...)
+        scrollStops: {}, // Search feeds per scroll stop reason (cap, end, stalled, blocked, timeBudget, handlerTimeout)
         startTime: new Date().toISOString(),
     };
 
-    // Process single query (new simplified UI only supports one query per run)
-    const query = input.searchQueries[0];
-    console.log(`📍 Searching: "${query.category}" in "${query.location}"`);
+    // Resume after a platform migration/restart: restore stats, saved places and per-query progress
+    const runState = await loadRunState();
+    if (runState.stats) {
+        Object.assign(stats, runState.stats);
+        console.log(`♻️ Resuming run after restart #${runState.restarts}: ${stats.totalLeads} leads already saved`);
+    }
+    stats.restarts = runState.restarts;
+    runState.stats = stats;
+
+    // CAPTCHA / "unusual traffic" pages across both crawlers (stats.blocking is updated live and persisted)
+    const blockTracker = createBlockTracker(stats.blocking);
+    stats.blocking = blockTracker.stats;
+
+    // Heavy requests aborted in the browser (stats.resourceBlocking is updated live and persisted)
+    const resourceBlocker = createResourceBlocker(stats.resourceBlocking, input.resourceBlocking);
+    stats.resourceBlocking = resourceBlocker.stats;
+
+    // Chains/franchises across all queries (stats.chains and the per-name/domain place keys are updated live and persisted)
+    const chainDetector = createChainDetector(stats.chains, input.chains, runState.chainLocations);
+    stats.chains = chainDetector.stats;
+
+    // "New leads only" mode: fingerprints of leads delivered by earlier runs
+    const leadHistory = input.newLeadsOnly ? await openLeadHistory(input.leadHistoryStore, {
+        defaultCountry: input.defaultCountry,
+        newCount: stats.newLeadsRemembered, // Restored from the run state after a migration/restart
+    }) : null;
+    const seenAgainRecords = [];
+
+    // Remember a lead skipped for being delivered before (short record pushed if emitSeenAgain is on)
+    const recordSeenAgain = (lead, match, queryLabel) => {
+        stats.seenBeforeSkipped++;
+        if (input.emitSeenAgain) {
+            seenAgainRecords.push({
+                seenAgain: true,
+                businessName: lead.businessName || null,
+                googleMapsUrl: lead.googleMapsUrl,
+                matchedBy: match.reason,
+                firstSeenAt: match.firstSeenAt,
+                searchQuery: queryLabel,
+                scrapedAt: new Date().toISOString(),
+            });
+        }
+    };
+
+    // Per-field extraction success rates across all queries (selector drift detection)
+    const extractionHealth = await openExtractionHealth(input.healthCheck);
+    let healthFailure = null; // Set when a field drops below its threshold and healthCheckAction is "fail"
 
-    try {
-        // Step 1: Scrape Google Maps with incremental saving
-        // Pass callback to enrich and save each lead as it's scraped
-        const processAndSaveLead = async (lead) => {
-            try {
-                let enrichedLead = { ...lead };
-
-                // Add metadata
-                enrichedLead.scrapedAt = new Date().toISOString();
-                enrichedLead.searchQuery = `${query.category} in ${query.location}`;
-
-                // Email and social media extraction (if enabled and website exists)
-                if (input.enrichment?.extractEmails && lead.website) {
-                    console.log(`📧 Extracting email and social links from ${lead.website}`);
-                    const result = await extractEmailFromWebsite(lead.website);
-
-                    // Set email if found
-                    if (result.email && typeof result.email === 'string' && result.email.trim()) {
-                        enrichedLead.email = result.email.trim();
-                        stats.emailsFound++;
-                    } else {
-                        enrichedLead.email = null;
-                    }
-
-                    // Merge social links from website (prefer website links over Google Maps)
-                    if (result.socialLinks) {
-                        enrichedLead.socialLinks = {
-                            linkedin: result.socialLinks.linkedin || lead.socialLinks?.linkedin || null,
-                            facebook: result.socialLinks.facebook || lead.socialLinks?.facebook || null,
-                            twitter: result.socialLinks.twitter || lead.socialLinks?.twitter || null,
-                            instagram: result.socialLinks.instagram || lead.socialLinks?.instagram || null,
-                        };
-                    }
+    // Persist state periodically and right before the container migrates
+    const persistAll = async () => {
+        if (leadHistory) stats.newLeadsRemembered = leadHistory.newCount;
+        await persistRunState(runState);
+        await extractionHealth.persist();
+        if (leadHistory) await leadHistory.persist();
+    };
+    Actor.on('persistState', persistAll);
+    Actor.on('migrating', persistAll);
+
+    // Places already saved by an earlier query in this run (category × location combos overlap), by place key
+    // so the same place reached through a search card, a place ID or a start URL is saved once
+    const savedPlaceKeys = runState.savedPlaceKeys;
+    const countDuplicate = (queryLabel) => {
+        stats.duplicatesSkipped++;
+        stats.queries[queryLabel].duplicatesSkipped++;
+    };
+
+    // Step 1: Scrape Google Maps with incremental saving
+    // Callback enriches and saves each lead as it's scraped, tagged with the query that found it
+    const processAndSaveLead = async (lead, query) => {
+        const queryLabel = getQueryLabel(query);
+        const queryStats = stats.queries[queryLabel];
+
+        if (savedPlaceKeys.has(getPlaceKey(lead.googleMapsUrl))) {
+            countDuplicate(queryLabel);
+            console.log(`⏭️ Skipped (already saved by another query): ${lead.businessName}`);
+            return;
+        }
+
+        // Same phone or website as a lead delivered by an earlier run: skip before email extraction
+        const historyMatch = leadHistory?.findLead(lead);
+        if (historyMatch) {
+            recordSeenAgain(lead, historyMatch, queryLabel);
+            console.log(`⏭️ Skipped (delivered in an earlier run, matched by ${historyMatch.reason}): ${lead.businessName}`);
+            return;
+        }
+
+        try {
+            let enrichedLead = { ...lead };
+
+            // Add metadata
+            enrichedLead.scrapedAt = new Date().toISOString();
+            enrichedLead.searchQuery = queryLabel;
+            enrichedLead.searchCategory = query.category || null;
+            enrichedLead.searchLocation = query.location || null;
+
+            // Not enough time left to visit the website - save the lead without email rather than lose it
+            const skipEmailForTime = timeBudget.remainingSeconds() < MIN_SECONDS_FOR_EMAIL_EXTRACTION;
+            if (input.enrichment?.extractEmails && lead.website && skipEmailForTime) {
+                console.log(`⏱️ Skipping email extraction for ${lead.businessName}: only ${timeBudget.remainingSeconds()}s left`);
+                enrichedLead.emailSkippedReason = 'time budget';
+            }
+
+            // Email and social media extraction (if enabled and website exists)
+            let websitePhones = [];
+            if (input.enrichment?.extractEmails && lead.website && !skipEmailForTime) {
+                console.log(`📧 Extracting email and social links from ${lead.website}`);
+                const result = await extractEmailFromWebsite(lead.website);
+
+                // Set email if found
+                if (result.email && typeof result.email === 'string' && result.email.trim()) {
+                    enrichedLead.email = result.email.trim();
+                    stats.emailsFound++;
+                    queryStats.emailsFound++;
                 } else {
-                    enrichedLead.email = null; // No email extraction enabled or no website
+                    enrichedLead.email = null;
                 }
-
-                // Contact validation (if enabled)
-                if (input.enrichment?.validateContacts) {
-                    if (enrichedLead.email) {
-                        enrichedLead.emailValid = validateEmailFormat(enrichedLead.email);
-                    }
-                    if (enrichedLead.phone) {
-                        enrichedLead.phoneValid = true; // Placeholder - implement real validation
-                    }
+                enrichedLead.emails = result.emails || []; // Every address found, ranked best first
+                websitePhones = result.phoneCandidates || [];
+
+                // Merge social links from website (prefer website links over Google Maps)
+                if (result.socialLinks) {
+                    enrichedLead.socialLinks = {
+                        linkedin: result.socialLinks.linkedin || lead.socialLinks?.linkedin || null,
+                        facebook: result.socialLinks.facebook || lead.socialLinks?.facebook || null,
+                        twitter: result.socialLinks.twitter || lead.socialLinks?.twitter || null,
+                        instagram: result.socialLinks.instagram || lead.socialLinks?.instagram || null,
+                    };
                 }
 
-                // Company data enrichment (if enabled)
-                if (input.enrichment?.companyData) {
-                    // Placeholder - integrate with enrichment API
-                    enrichedLead.companyDataNote = 'Company enrichment requires API integration';
-                }
+                // Legal name, founding date, employee count (and gaps in address / social links) published by the website
+                const structuredData = result.structuredData || {};
+                const { updates, fieldSources } = getStructuredDataUpdates(enrichedLead, structuredData);
+                Object.assign(enrichedLead, updates);
+                enrichedLead.structuredData = structuredData;
+                enrichedLead.fieldSources = fieldSources;
+            } else {
+                enrichedLead.email = null; // No email extraction enabled or no website
+                enrichedLead.emails = [];
+            }
 
-                // Technology stack detection (if enabled)
-                if (input.enrichment?.techStack && lead.website) {
-                    // Placeholder - integrate with tech detection service
-                    enrichedLead.techStackNote = 'Tech stack detection requires API integration';
+            // Phones from Maps and the website in E.164 (national numbers read with the lead's country)
+            const countryHint = getCountryHint(lead, input.defaultCountry);
+            enrichedLead.phones = buildPhoneList([
+                ...(lead.phone ? [{ raw: lead.phone, method: 'maps', sourceUrl: lead.googleMapsUrl }] : []),
+                ...websitePhones,
+            ], countryHint);
+            const [bestPhone] = enrichedLead.phones;
+            enrichedLead.phone = bestPhone?.phone || lead.phone || null; // Maps phone kept as displayed if it can't be normalized
+            enrichedLead.phoneType = bestPhone?.type || null;
+
+            // Contact validation (if enabled)
+            if (input.enrichment?.validateContacts) {
+                if (enrichedLead.email) {
+                    enrichedLead.emailValid = validateEmailFormat(enrichedLead.email);
                 }
-
-                // Decision maker identification (if enabled)
-                if (input.enrichment?.findDecisionMakers) {
-                    // Placeholder - integrate with LinkedIn scraper
-                    enrichedLead.decisionMakersNote = 'Decision maker search requires LinkedIn integration';
+                if (enrichedLead.phone) {
+                    enrichedLead.phoneValid = true; // Placeholder - implement real validation
                 }
+            }
+
+            // Company data enrichment (if enabled)
+            if (input.enrichment?.companyData) {
+                // Placeholder - integrate with enrichment API
+                enrichedLead.companyDataNote = 'Company enrichment requires API integration';
+            }
+
+            // Technology stack detection (if enabled)
+            if (input.enrichment?.techStack && lead.website) {
+                // Placeholder - integrate with tech detection service
+                enrichedLead.techStackNote = 'Tech stack detection requires API integration';
+            }
+
+            // Decision maker identification (if enabled)
+            if (input.enrichment?.findDecisionMakers) {
+                // Placeholder - integrate with LinkedIn scraper
+                enrichedLead.decisionMakersNote = 'Decision maker search requires LinkedIn integration';
+            }
 
-                // Lead scoring (if enabled)
-                if (input.scoring?.enableScoring) {
-                    const scoreResult = calculateLeadScore(
-                        enrichedLead,
-                        input.scoring.idealCustomerProfile || {}
-                    );
-                    enrichedLead.leadScore = scoreResult.score;
-                    enrichedLead.leadGrade = scoreResult.grade;
-                    enrichedLead.scoreBreakdown = scoreResult.breakdown;
-
-                    // Track high-quality leads
-                    if (scoreResult.grade === 'A+' || scoreResult.grade === 'A') {
-                        stats.highQualityLeads++;
-                    }
+            // Lead scoring (if enabled)
+            if (input.scoring?.enableScoring) {
+                const scoreResult = calculateLeadScore(
+                    enrichedLead,
+                    input.scoring.idealCustomerProfile || {}
+                );
+                enrichedLead.leadScore = scoreResult.score;
+                enrichedLead.leadGrade = scoreResult.grade;
+                enrichedLead.scoreBreakdown = scoreResult.breakdown;
+
+                // Track high-quality leads
+                if (scoreResult.grade === 'A+' || scoreResult.grade === 'A') {
+                    stats.highQualityLeads++;
+                    queryStats.highQualityLeads++;
                 }
+            }
+
+            // 💾 SAVE IMMEDIATELY to dataset (incremental saving)
+            await Actor.pushData(enrichedLead);
+            savedPlaceKeys.add(getPlaceKey(lead.googleMapsUrl));
+            leadHistory?.add(enrichedLead);
+            stats.enrichedLeads++;
+            stats.totalLeads++;
+            queryStats.totalLeads++;
+
+            console.log(`💾 Saved lead #${stats.enrichedLeads}: ${enrichedLead.businessName}`);
+
+        } catch (enrichError) {
+            console.error(`❌ Failed to enrich lead: ${lead.businessName}`, enrichError.message);
+
+            // Still save the raw lead with error flag
+            await Actor.pushData({
+                ...lead,
+                enrichmentError: enrichError.message,
+                searchQuery: queryLabel,
+                searchCategory: query.category || null,
+                searchLocation: query.location || null,
+                scrapedAt: new Date().toISOString(),
+            });
+            savedPlaceKeys.add(getPlaceKey(lead.googleMapsUrl));
+            leadHistory?.add(lead);
+            stats.enrichedLeads++;
+            stats.totalLeads++;
+            queryStats.totalLeads++;
+        }
+    };
+
+    // Step 3: Finalize and send results - always writes OUTPUT and fires the webhook,
+    // flagged as truncated when the time budget stopped the run early
+    let finalized = false;
+    const finalizeRun = async () => {
+        if (finalized) return;
+        finalized = true;
+        timeBudget.stop();
+
+        if (leadHistory) {
+            stats.newLeadsRemembered = leadHistory.newCount;
+            await leadHistory.persist();
+            console.log(`🧠 Lead history: ${stats.newLeadsRemembered} new places remembered, ${stats.seenBeforeSkipped} known places skipped`);
+        }
+
+        await extractionHealth.persist();
+        stats.extractionHealth = {
+            healthy: extractionHealth.alerts.length === 0,
+            alerts: extractionHealth.alerts.map((alert) => `${alert.field}: ${alert.successRate}% (threshold ${alert.threshold}%)`),
+        };
+
+        if (stats.blocking.blocked > 0) {
+            console.log(`🚫 Blocked on ${stats.blocking.blocked}/${stats.blocking.requests} page loads (${stats.blocking.blockRate}%), ${stats.blocking.sessionsRetired} sessions retired`);
+            if (stats.blocking.gaveUp > 0) {
+                console.log(`⚠️ ${stats.blocking.gaveUp} page(s) still blocked after all retries were skipped (details: ${stats.blocking.byCrawler.detail?.gaveUp || 0})`);
+            }
+        }
+        if (stats.blocking.interstitials.consent > 0) {
+            console.log(`🍪 Consent wall handled ${stats.blocking.interstitials.consent} time(s) (consentAction: ${input.consentAction})`);
+        }
+        if (stats.chains.leadsFlagged > 0) {
+            const chainNames = Object.keys(stats.chains.detected).map((key) => key.replace(/^(name|domain):/, '')).slice(0, 10);
+            console.log(`🏬 ${stats.chains.leadsFlagged} leads flagged as chains/franchises ${JSON.stringify(stats.chains.byReason)}${chainNames.length > 0 ? `: ${chainNames.join(', ')}` : ''}`);
+        }
+        if (Object.keys(stats.scrollStops).length > 0) {
+            console.log(`📜 Search feeds stopped scrolling: ${JSON.stringify(stats.scrollStops)}`);
+            if (stats.scrollStops.stalled > 0) {
+                console.log(`⚠️ ${stats.scrollStops.stalled} feed(s) stopped loading before the end of the list, results may be incomplete (slow proxy?)`);
+            }
+        }
+        if (stats.resourceBlocking.requestsBlocked > 0) {
+            const savedMB = (stats.resourceBlocking.estimatedBytesSaved / 1024 / 1024).toFixed(1);
+            console.log(`🧱 Blocked ${stats.resourceBlocking.requestsBlocked} heavy requests (~${savedMB} MB saved): ${JSON.stringify(stats.resourceBlocking.byCategory)}`);
+        }
 
-                // 💾 SAVE IMMEDIATELY to dataset (incremental saving)
-                await Actor.pushData(enrichedLead);
-                stats.enrichedLeads++;
-                stats.totalLeads++;
+        stats.endTime = new Date().toISOString();
+        stats.elapsedSeconds = timeBudget.elapsedSeconds();
+        stats.success = !healthFailure;
+        stats.truncated = timeBudget.reason !== null;
+        stats.truncatedReason = timeBudget.reason;
 
-                console.log(`💾 Saved lead #${stats.enrichedLeads}: ${enrichedLead.businessName}`);
+        let summary = stats.truncated ? `⏱️ Actor stopped early: ${stats.truncatedReason}` : '🎉 Actor finished successfully!';
+        if (healthFailure) summary = `💥 Actor failed: ${healthFailure}`;
+        console.log(summary, JSON.stringify(stats, null, 2));
 
-            } catch (enrichError) {
-                console.error(`❌ Failed to enrich lead: ${lead.businessName}`, enrichError.message);
+        // Get all data from dataset for webhook/integrations
+        const dataset = await Actor.openDataset();
+        const { items } = await dataset.getData();
+        const leadItems = items.filter((item) => !item.seenAgain); // Exclude "seen again" records
 
-                // Still save the raw lead with error flag
-                await Actor.pushData({
-                    ...lead,
-                    enrichmentError: enrichError.message,
-                    scrapedAt: new Date().toISOString(),
+        // Send webhook notification (if configured)
+        if (input.output?.webhook) {
+            try {
+                await sendWebhook(input.output.webhook, {
+                    status: healthFailure ? 'failed' : 'completed',
+                    error: healthFailure,
+                    truncated: stats.truncated,
+                    truncatedReason: stats.truncatedReason,
+                    stats,
+                    totalLeads: leadItems.length,
+                    highQualityLeads: leadItems.filter(l => l.leadGrade === 'A+' || l.leadGrade === 'A').length,
+                    timestamp: new Date().toISOString(),
+                    datasetId: process.env.APIFY_DEFAULT_DATASET_ID,
+                    downloadUrl: `https://api.apify.com/v2/datasets/${process.env.APIFY_DEFAULT_DATASET_ID}/items?format=${input.output?.format || 'csv'}`,
                 });
-                stats.enrichedLeads++;
-                stats.totalLeads++;
+                console.log('✅ Webhook notification sent successfully');
+            } catch (webhookError) {
+                console.error('❌ Failed to send webhook', webhookError.message);
             }
-        };
+        }
 
-        // Call scrapeGoogleMaps with incremental callback
-        const rawLeads = await scrapeGoogleMaps({
-            category: query.category,
-            location: query.location,
-            maxResults: query.maxResults || 50,
-            filters: input.filters || {},
-            proxyConfig: input.proxy,
-            maxConcurrency: input.maxConcurrency || 5,
-            detailConcurrency: input.detailConcurrency, // Separate concurrency for detail pages
-            fastMode: input.fastMode, // Use scraping mode setting
-            language: input.language || 'en',
-            skipClosedPlaces: input.skipClosedPlaces !== false,
-            enrichment: input.enrichment || {},
-            onLeadScraped: processAndSaveLead, // 🔥 Callback for incremental saving
+        // Set final output for Apify platform
+        await Actor.setValue('OUTPUT', {
+            success: stats.success,
+            error: healthFailure,
+            truncated: stats.truncated,
+            truncatedReason: stats.truncatedReason,
+            blockRate: stats.blocking.blockRate, // % of Google page loads that hit a CAPTCHA / "unusual traffic" page
+            blockedPagesSkipped: stats.blocking.gaveUp, // Pages still blocked after every retry, left out of the dataset
+            stats,
+            message: healthFailure
+                ? `Stopped after ${stats.totalLeads} leads: ${healthFailure}`
+                : `Successfully generated ${stats.totalLeads} leads (${stats.highQualityLeads} high-quality)${stats.truncated ? ' - stopped early, time budget reached' : ''}`,
+            downloadFormats: ['csv', 'json', 'xlsx'],
         });
+    };
 
-        console.log(`✅ Scraping complete! Processed ${stats.totalLeads} leads`);
+    // Last resort: if crawlers are still busy right before the hard deadline, finalize and exit anyway
+    timeBudget.onExpire(async (reason) => {
+        console.warn(`⏱️ ${reason} - writing OUTPUT and exiting before the platform kills the run`);
+        await persistAll();
+        await finalizeRun();
+        await Actor.exit({ statusMessage: `Stopped early: ${reason}` });
+    });
 
-    } catch (queryError) {
-        console.error(`❌ Failed to process query: "${query.category}" in "${query.location}"`, queryError.message);
-    }
+    // Selector drift: warn loudly, or stop before saving hundreds of half-empty leads
+    extractionHealth.onAlert(async (alert) => {
+        const message = `Extraction health: ${alert.field} found on only ${alert.successRate}% of places (threshold ${alert.threshold}%)`;
+        if (input.healthCheck.action !== 'fail') {
+            await Actor.setStatusMessage(`⚠️ ${message}`);
+            return;
+        }
+        if (healthFailure) return;
+
+        healthFailure = message;
+        console.error(`💥 ${message} - failing the run (healthCheckAction: fail)`);
+        await persistAll();
+        await finalizeRun();
+        await Actor.exit({ exitCode: 1, statusMessage: `Failed: ${message}` });
+    });
 
-    // Step 3: Finalize and send results
-    stats.endTime = new Date().toISOString();
-    stats.success = true;
+    // Step 2: Run every category × location combination through the scraper
+    for (const [queryIndex, query] of input.searchQueries.entries()) {
+        const queryLabel = getQueryLabel(query);
+        const queryState = getQueryState(runState, queryLabel);
 
-    console.log('🎉 Actor finished successfully!', JSON.stringify(stats, null, 2));
+        // Out of time: remaining queries are reported as skipped in OUTPUT
+        if (timeBudget.isNearLimit()) {
+            stats.queriesSkipped = input.searchQueries.slice(queryIndex).map(getQueryLabel);
+            console.log(`⏱️ Skipping ${stats.queriesSkipped.length} remaining queries: time budget nearly used`);
+            break;
+        }
+
+        if (queryState.completed) {
+            console.log(`⏭️ Query already completed before restart: "${queryLabel}"`);
+            continue;
+        }
 
-    // Get all data from dataset for webhook/integrations
-    const dataset = await Actor.openDataset();
-    const { items } = await dataset.getData();
+        stats.queries[queryLabel] = stats.queries[queryLabel] || {
+            totalLeads: 0,
+            emailsFound: 0,
+            highQualityLeads: 0,
+            duplicatesSkipped: 0,
+        };
+
+        console.log(`📍 Searching (${queryIndex + 1}/${input.searchQueries.length}): "${queryLabel}"`);
+        await Actor.setStatusMessage(`📍 Query ${queryIndex + 1}/${input.searchQueries.length}: ${queryLabel}`);
 
-    // Send webhook notification (if configured)
-    if (input.output?.webhook) {
         try {
-            await sendWebhook(input.output.webhook, {
-                status: 'completed',
-                stats,
-                totalLeads: items.length,
-                highQualityLeads: items.filter(l => l.leadGrade === 'A+' || l.leadGrade === 'A').length,
-                timestamp: new Date().toISOString(),
-                datasetId: process.env.APIFY_DEFAULT_DATASET_ID,
-                downloadUrl: `https://api.apify.com/v2/datasets/${process.env.APIFY_DEFAULT_DATASET_ID}/items?format=${input.output?.format || 'csv'}`,
+            // Call scrapeGoogleMaps with incremental callback
+            await scrapeGoogleMaps({
+                category: query.category,
+                location: query.location,
+                maxResults: query.maxResults || 50,
+                filters: input.filters || {},
+                proxyConfig: input.proxy,
+                maxConcurrency: input.maxConcurrency || 5,
+                fastMode: input.fastMode, // Use scraping mode setting
+                language: input.language || 'en',
+                consentAction: input.consentAction,
+                extractionBackend: input.extractionBackend,
+                skipClosedPlaces: input.skipClosedPlaces !== false,
+                enrichment: input.enrichment || {},
+                grid: input.grid, // Map tiling to get past the ~120 results cap
+                nearby: query.nearby || null, // Search around a point, leads outside the radius are dropped
+                startUrls: query.startUrls || [], // Known places/searches instead of a text search
+                placeIds: query.placeIds || [],
+                resumeState: queryState, // Discovered cards + finished detail pages, persisted across migrations
+                restarts: runState.restarts, // Fresh request keys, so pages skipped before a restart are queued again
+                timeBudget, // Stop scrolling and queueing detail pages near the time limit
+                filterStats: stats.filtered, // Filter diagnostics reported in OUTPUT
+                scrollStats: stats.scrollStops, // Why each search feed stopped scrolling
+                extractionHealth, // Field success rates for the EXTRACTION_HEALTH report
+                blockTracker, // Block detection counters and retry backoff
+                resourceBlocker, // Request interception for heavy resources
+                chainDetector, // Chain/franchise flags on leads
+                isSavedPlace: (url) => {
+                    if (!savedPlaceKeys.has(getPlaceKey(url))) return false;
+                    countDuplicate(queryLabel);
+                    return true;
+                },
+                isKnownPlace: leadHistory ? (url, card = {}) => {
+                    const match = leadHistory.findPlace(url);
+                    if (match) recordSeenAgain({ ...card, googleMapsUrl: url }, match, queryLabel);
+                    return match !== null;
+                } : null,
+                onLeadScraped: (lead) => processAndSaveLead(lead, query), // 🔥 Callback for incremental saving
             });
-            console.log('✅ Webhook notification sent successfully');
-        } catch (webhookError) {
-            console.error('❌ Failed to send webhook', webhookError.message);
+
+            // Finished queries drop their cards to keep the persisted state small; a query cut short by
+            // the time budget keeps them so a resumed run continues it
+            if (finishQueryState(queryState, timeBudget.reason !== null)) {
+                console.log(`✅ Query complete: "${queryLabel}" saved ${stats.queries[queryLabel].totalLeads} leads (run total: ${stats.totalLeads})`);
+            } else {
+                console.log(`⏱️ Query cut short: "${queryLabel}" saved ${stats.queries[queryLabel].totalLeads} leads so far, a resumed run continues it`);
+            }
+            await persistAll();
+
+        } catch (queryError) {
+            stats.queries[queryLabel].error = queryError.message;
+            console.error(`❌ Failed to process query: "${queryLabel}"`, queryError.message);
+        }
+
+        // Short "seen again" records for places skipped by the lead history
+        if (seenAgainRecords.length > 0) {
+            await Actor.pushData(seenAgainRecords.splice(0));
         }
     }
 
-    // Set final output for Apify platform
-    await Actor.setValue('OUTPUT', {
-        success: true,
-        stats,
-        message: `Successfully generated ${stats.totalLeads} leads (${stats.highQualityLeads} high-quality)`,
-        downloadFormats: ['csv', 'json', 'xlsx'],
-    });
+    console.log(`✅ Scraping complete! Processed ${stats.totalLeads} leads from ${input.searchQueries.length} queries`);
+
+    await finalizeRun();
 
     // Exit successfully
     await Actor.exit();
@@ -298,10 +636,111 @@ try {
         errorDetails: error.stack,
     });
 
+    if (webhookUrl) {
+        await sendWebhook(webhookUrl, {
+            status: 'failed',
+            error: error.message,
+            timestamp: new Date().toISOString(),
+            datasetId: process.env.APIFY_DEFAULT_DATASET_ID,
+        }).catch((webhookError) => console.error('❌ Failed to send webhook', webhookError.message));
+    }
+
     // Exit with error
     await Actor.exit({ exitCode: 1, statusMessage: `Failed: ${error.message}` });
 }
 
+/**
+ * Build the list of category × location searches for this run
+ * Accepts the flat UI fields (searchQuery/location, searchTerms/locations lists),
+ * the legacy searchQueries array of { category, location, maxResults }, or startUrls/placeIds
+ * @param {Object} rawInput - Actor input
+ * @returns {Array<Object>} Unique search queries
+ */
+function buildSearchQueries(rawInput) {
+    const maxResults = rawInput.maxResults || 50;
+    const queries = [];
+
+    // Known places/searches replace the text search entirely
+    const startUrls = Array.isArray(rawInput.startUrls) ? rawInput.startUrls : [];
+    const placeIds = cleanList(rawInput.placeIds || []);
+    if (startUrls.length > 0 || placeIds.length > 0) {
+        return [{ label: 'Start URLs / place IDs', startUrls, placeIds, maxResults }];
+    }
+
+    // Legacy / API format: explicit list of query objects
+    if (Array.isArray(rawInput.searchQueries)) {
+        for (const q of rawInput.searchQueries) {
+            if (q?.category && q?.location) {
+                queries.push({ category: q.category, location: q.location, maxResults: q.maxResults || maxResults });
+            }
+        }
+    }
+
+    // UI format: every search term is combined with every location
+    const terms = cleanList([rawInput.searchQuery, ...(rawInput.searchTerms || [])]);
+    const locations = cleanList([rawInput.location, ...(rawInput.locations || [])]);
+
+    // Coordinates + radius replace the locations: one search per term around the point
+    const nearby = parseNearby(rawInput);
+    if (nearby) {
+        const categories = terms.length > 0 ? terms : ['software companies'];
+        return categories.map((category) => ({
+            category,
+            location: `${nearby.lat},${nearby.lng}`,
+            label: `${category} within ${nearby.radiusKm} km of ${nearby.lat},${nearby.lng}`,
+            nearby,
+            maxResults,
+        }));
+    }
+
+    if (queries.length === 0 || terms.length > 0) {
+        const categories = terms.length > 0 ? terms : ['software companies'];
+        const places = locations.length > 0 ? locations : ['San Francisco, CA'];
+        for (const category of categories) {
+            for (const location of places) {
+                queries.push({ category, location, maxResults });
+            }
+        }
+    }
+
+    // Drop repeated combinations (case-insensitive)
+    const seen = new Set();
+    return queries.filter((q) => {
+        const key = getQueryLabel(q).toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Nearby search center and radius from input, null unless all three are valid
+function parseNearby(rawInput) {
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+    if (!isSet(rawInput.nearbyLatitude) || !isSet(rawInput.nearbyLongitude)) return null;
+
+    const lat = Number(rawInput.nearbyLatitude);
+    const lng = Number(rawInput.nearbyLongitude);
+    const radiusKm = Number(rawInput.nearbyRadiusKm);
+    if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lng) || Math.abs(lng) > 180) {
+        throw new Error(`Invalid nearby search coordinates: ${rawInput.nearbyLatitude}, ${rawInput.nearbyLongitude}`);
+    }
+
+    return { lat, lng, radiusKm: Number.isFinite(radiusKm) && radiusKm > 0 ? radiusKm : 10 };
+}
+
+// Human-readable label used to tag leads and key per-query stats
+function getQueryLabel(query) {
+    return query.label || `${query.category} in ${query.location}`;
+}
+
+// Trim, drop empty entries and de-duplicate a list of strings
+function cleanList(values) {
+    return [...new Set(values
+        .filter((value) => typeof value === 'string')
+        .map((value) => value.trim())
+        .filter(Boolean))];
+}
+
 // Simple email format validation
 function validateEmailFormat(email) {
     const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
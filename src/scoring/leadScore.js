@@ -1,3 +1,6 @@
+// Bonus points a known company size in a wanted range adds on top of industry and location
+const EMPLOYEE_RANGE_POINTS = 15;
+
 /**
  * Calculate lead quality score based on multiple factors
  * @param {Object} lead - Lead object with all available data
@@ -129,17 +132,15 @@ export const calculateLeadScore = (lead, icp = {}) => {
         }
     }
 
-    // Company size (if available from enrichment)
+    // Cap firmographic score at 40 points max (industry 30 + location 30 can exceed 40)
+    firmographicScore = Math.min(firmographicScore, 40);
+
+    // Company size (if available from enrichment): a bonus on top, so leads without size data lose nothing
     if (lead.employeeCount && icp.employeeRanges) {
         const range = getEmployeeRange(lead.employeeCount);
-        if (icp.employeeRanges[range]) {
-            firmographicScore += icp.employeeRanges[range];
-        }
+        firmographicScore += Math.min(icp.employeeRanges[range] || 0, EMPLOYEE_RANGE_POINTS);
     }
 
-    // Cap firmographic score at 40 points max (industry 30 + location 30 can exceed 40)
-    firmographicScore = Math.min(firmographicScore, 40);
-
     breakdown.firmographic = firmographicScore;
     totalScore += firmographicScore;
 
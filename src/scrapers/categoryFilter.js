@@ -0,0 +1,79 @@
+/**
+ * Google category include/exclude filters
+ *
+ * Matched against the detail page category ("Marketing agency", "Print shop", "Coworking space").
+ * Exact mode compares whole categories; fuzzy mode matches every word of the filter term against
+ * the category's words, allowing plurals and word stems ("agencies" ~ "Marketing agency").
+ */
+
+/**
+ * Check whether a Google category matches a filter term
+ * @param {string} category - Category from the detail page
+ * @param {string} term - Include/exclude term from input
+ * @param {string} mode - 'exact' or 'fuzzy'
+ * @returns {boolean}
+ */
+export const matchesCategory = (category, term, mode = 'fuzzy') => {
+    const categoryWords = normalizeWords(category);
+    const termWords = normalizeWords(term);
+    if (categoryWords.length === 0 || termWords.length === 0) return false;
+
+    if (mode === 'exact') {
+        return categoryWords.join(' ') === termWords.join(' ');
+    }
+
+    return termWords.every((termWord) => categoryWords.some((categoryWord) => wordsMatch(categoryWord, termWord)));
+};
+
+/**
+ * Check a lead's category against the include/exclude lists from input
+ * Leads without a category are kept (nothing to judge them on)
+ * @param {Object} lead - Lead with `category`
+ * @param {Object} filters - { includeCategories, excludeCategories, categoryMatch ('exact' | 'fuzzy') }
+ * @returns {string|null} Filter reason, or null if the lead passes
+ */
+export const getCategoryFilterReason = (lead, filters = {}) => {
+    const include = filters.includeCategories || [];
+    const exclude = filters.excludeCategories || [];
+    if (!lead.category || (include.length === 0 && exclude.length === 0)) return null;
+
+    const mode = filters.categoryMatch === 'exact' ? 'exact' : 'fuzzy';
+
+    const excludedBy = exclude.find((term) => matchesCategory(lead.category, term, mode));
+    if (excludedBy) {
+        return `category "${lead.category}" excluded (${excludedBy})`;
+    }
+
+    if (include.length > 0 && !include.some((term) => matchesCategory(lead.category, term, mode))) {
+        return `category "${lead.category}" not in include list`;
+    }
+
+    return null;
+};
+
+// Lowercase words without accents or punctuation ("Café & Bäckerei" -> ["cafe", "backerei"])
+function normalizeWords(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+// Same word after dropping plural endings, or one word is the stem of the other ("print" ~ "printers")
+function wordsMatch(a, b) {
+    const stemA = stem(a);
+    const stemB = stem(b);
+    if (stemA === stemB) return true;
+
+    const [shorter, longer] = stemA.length <= stemB.length ? [stemA, stemB] : [stemB, stemA];
+    return shorter.length >= 4 && longer.startsWith(shorter);
+}
+
+function stem(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && /(ss|sh|ch|x)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
@@ -0,0 +1,332 @@
+/**
+ * Email discovery on business websites
+ *
+ * Every visited page is searched for mailto: links, JSON-LD `email` properties, microdata and
+ * OpenGraph email tags and addresses in the visible text. Addresses hidden from scrapers are decoded too: Cloudflare email protection, "[at]" /
+ * "(dot)" spelling, right-to-left reversed text and addresses assembled by inline scripts (string
+ * concatenation, HTML entities, reversed strings). HTML entities in markup are decoded by the parser.
+ *
+ * Candidates from all pages are merged per address, classified as role-based (info@, sales@,
+ * billing@) or personal (jane.doe@), checked against the website's domain and ranked by confidence.
+ */
+
+// Common patterns for email addresses
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// "info [at] acme [dot] com", "info(at)acme.de", "info {@} acme.com", "info AT acme DOT com" (plain words only in capitals)
+const AT = String.raw`\s*(?:[\[({]\s*(?:[aA][tT]|@)\s*[\])}]|\sAT\s)\s*`;
+const DOT = String.raw`\s*(?:[\[({]\s*(?:[dD][oO][tT]|\.)\s*[\])}]|\sDOT\s)\s*|\.`;
+const OBFUSCATED_EMAIL_PATTERN = new RegExp(String.raw`([a-zA-Z0-9._%+-]+)${AT}([a-zA-Z0-9-]+(?:(?:${DOT})[a-zA-Z0-9-]+)+)`, 'g');
+const DOT_PATTERN = new RegExp(DOT, 'g');
+
+// 'moc.emca@ofni'.split('').reverse().join('')
+const REVERSED_STRING_PATTERN = /(['"])([^'"]{5,100})\1\s*\.split\(\s*(['"])\3\s*\)\s*\.reverse\(\s*\)\s*\.join\(/g;
+
+// Blacklist of domains to ignore (false positives)
+const BLACKLISTED_DOMAINS = [
+    'example.com',
+    'domain.com',
+    'yourdomain.com',
+    'yoursite.com',
+    'email.com',
+    'test.com',
+    'sample.com',
+    'wix.com',
+    'wordpress.com',
+    'squarespace.com',
+    'weebly.com',
+    'sentry.io',
+    'gravatar.com',
+    'w3.org',
+    'placeholder.com',
+    'yourcompany.com',
+    'companyname.com',
+    'schema.org',
+    'javascript:',
+    '.png',
+    '.jpg',
+    '.gif',
+    '.svg',
+];
+
+// Role mailboxes meant for enquiries, preferred for outreach
+const CONTACT_ROLES = [
+    'sales', 'info', 'contact', 'hello', 'office', 'enquiries', 'inquiries', 'business', 'team', 'mail', 'service',
+    'kontakt', 'vertrieb', 'buero', 'bureau', 'contacto', 'ventas', 'contatto', 'vendas',
+];
+
+// Role mailboxes not meant for outreach: kept in `emails` (e.g. to exclude them), ranked last
+const EXCLUDED_ROLES = [
+    'billing', 'invoice', 'invoices', 'accounting', 'accounts', 'finance', 'rechnung', 'buchhaltung', 'factures', 'facturacion',
+    'noreply', 'no-reply', 'donotreply', 'do-not-reply', 'mailer-daemon',
+    'privacy', 'gdpr', 'dpo', 'dataprotection', 'datenschutz', 'legal', 'abuse', 'postmaster', 'webmaster', 'hostmaster',
+    'jobs', 'careers', 'career', 'hr', 'recruiting', 'bewerbung', 'karriere', 'newsletter', 'unsubscribe',
+];
+
+// Other shared mailboxes (role-based, neither preferred nor excluded)
+const OTHER_ROLES = [
+    'support', 'help', 'admin', 'marketing', 'press', 'presse', 'media', 'booking', 'bookings', 'reservations',
+    'orders', 'order', 'shop', 'store', 'feedback', 'events', 'partners', 'reception', 'empfang',
+];
+
+// Personal addresses at these providers can still be the owner's, but never match the website's domain
+const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'icloud.com', 'me.com',
+    'aol.com', 'gmx.de', 'gmx.net', 'web.de', 't-online.de', 'mail.ru', 'yandex.ru', 'protonmail.com', 'proton.me',
+];
+
+// How an address was found; explicit links, structured data and Cloudflare-protected links beat a match in the page text
+const METHOD_CONFIDENCE = { mailto: 40, 'json-ld': 40, microdata: 40, cloudflare: 40, opengraph: 35, obfuscated: 30, text: 25 };
+const METHOD_ORDER = ['mailto', 'json-ld', 'microdata', 'cloudflare', 'opengraph', 'obfuscated', 'text'];
+
+/**
+ * Find email candidates on a page
+ * @param {Function} $ - Cheerio root of the page
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array<{email: string, sourceUrl: string, method: string}>} Candidates in page order
+ *   (method: mailto, json-ld, microdata, cloudflare, opengraph, obfuscated or text)
+ */
+export const findEmailsInPage = ($, pageUrl) => {
+    const found = [];
+    const add = (raw, method) => {
+        const email = cleanEmail(raw, method === 'text');
+        if (email) found.push({ email, sourceUrl: pageUrl, method });
+    };
+
+    $('a[href]').each((_, element) => {
+        const href = ($(element).attr('href') || '').trim();
+        if (!/^mailto:/i.test(href)) return;
+
+        // mailto:a@x.com,b@x.com?subject=...
+        const addresses = safeDecode(href.slice('mailto:'.length).split('?')[0]);
+        for (const address of addresses.split(/[,;]/)) add(address, 'mailto');
+    });
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+        let data;
+        try {
+            data = JSON.parse($(element).html() || '');
+        } catch (e) {
+            return; // Invalid JSON-LD is common, skip it
+        }
+        for (const value of collectJsonLdEmails(data)) add(value.replace(/^mailto:/i, ''), 'json-ld');
+    });
+
+    // <span itemprop="email">, <meta property="og:email">
+    $('[itemprop~="email"]').each((_, element) => {
+        const value = $(element).attr('content') || $(element).attr('href') || $(element).text();
+        add(safeDecode(value.trim().replace(/^mailto:/i, '').split('?')[0]), 'microdata');
+    });
+    $('meta[property="og:email"], meta[property="business:contact_data:email"]').each((_, element) => {
+        add(($(element).attr('content') || '').replace(/^mailto:/i, ''), 'opengraph');
+    });
+
+    // Cloudflare email protection replaces the address with "[email protected]" and an XOR-encoded copy
+    $('[data-cfemail]').each((_, element) => add(decodeCloudflareEmail($(element).attr('data-cfemail')), 'cloudflare'));
+    $('a[href*="/cdn-cgi/l/email-protection#"]').each((_, element) => {
+        add(decodeCloudflareEmail(($(element).attr('href') || '').split('#')[1]), 'cloudflare');
+    });
+
+    // Reversed text displayed right-to-left: <span style="unicode-bidi: bidi-override; direction: rtl">moc.emca@ofni</span>
+    // (plain direction: rtl is Hebrew/Arabic text, whose addresses are stored the right way round)
+    const reversedTexts = [];
+    $('[style]').each((_, element) => {
+        const style = $(element).attr('style');
+        if (!/direction\s*:\s*rtl/i.test(style) || !/unicode-bidi\s*:\s*bidi-override/i.test(style)) return;
+        reversedTexts.push($(element).text());
+        add(reverse($(element).text()), 'obfuscated');
+    });
+
+    const pageText = $('body').text();
+    for (const raw of pageText.match(EMAIL_PATTERN) || []) {
+        if (reversedTexts.some((text) => text.includes(raw))) continue; // The reversed string itself
+        add(raw, 'text');
+    }
+    for (const raw of findSpelledOutEmails(pageText)) add(raw, 'obfuscated');
+
+    $('script').each((_, element) => {
+        if ($(element).attr('type') === 'application/ld+json') return;
+        for (const raw of findScriptEmails($(element).html() || '')) add(raw, 'obfuscated');
+    });
+
+    return found;
+};
+
+/**
+ * Merge candidates from all pages of a website and rank them
+ * @param {Array<{email: string, sourceUrl: string, method: string}>} candidates - From findEmailsInPage, in crawl order
+ * @param {string} websiteUrl - Website the pages belong to
+ * @returns {Array<Object>} One entry per address, best first: { email, sourceUrl, method, type ('role' | 'personal'),
+ *   role (mailbox name or null), domainMatch, confidence (0-100), rank (1 = best) }
+ */
+export const rankEmails = (candidates, websiteUrl) => {
+    const siteDomain = getBaseDomain(getHostname(websiteUrl));
+    const entries = new Map();
+
+    for (const candidate of candidates) {
+        const entry = entries.get(candidate.email);
+        if (!entry) {
+            entries.set(candidate.email, { ...candidate, sightings: new Set([`${candidate.sourceUrl} ${candidate.method}`]) });
+            continue;
+        }
+
+        entry.sightings.add(`${candidate.sourceUrl} ${candidate.method}`);
+        // Keep the page of the most explicit method (a mailto link beats the same address in text)
+        if (METHOD_ORDER.indexOf(candidate.method) < METHOD_ORDER.indexOf(entry.method)) {
+            entry.method = candidate.method;
+            entry.sourceUrl = candidate.sourceUrl;
+        }
+    }
+
+    const ranked = [...entries.values()].map(({ sightings, ...entry }, order) => {
+        const emailDomain = entry.email.split('@')[1];
+        const domainMatch = Boolean(siteDomain) && getBaseDomain(emailDomain) === siteDomain;
+        const role = getRole(entry.email);
+
+        let confidence = METHOD_CONFIDENCE[entry.method];
+        if (domainMatch) confidence += 35;
+        else if (FREE_MAIL_DOMAINS.includes(emailDomain)) confidence += 10;
+        confidence += Math.min(10, (sightings.size - 1) * 5); // Found on several pages / in several ways
+
+        if (role && EXCLUDED_ROLES.includes(role)) confidence -= 45;
+        else if (role && CONTACT_ROLES.includes(role)) confidence += 10;
+        else if (!role && domainMatch) confidence += 10; // A named person at the company
+
+        return {
+            email: entry.email,
+            sourceUrl: entry.sourceUrl,
+            method: entry.method,
+            type: role ? 'role' : 'personal',
+            role,
+            domainMatch,
+            confidence: Math.max(0, Math.min(100, confidence)),
+            order,
+        };
+    });
+
+    // Highest confidence first; ties keep crawl order (homepage before contact page)
+    return ranked
+        .sort((a, b) => b.confidence - a.confidence || a.order - b.order)
+        .map(({ order, ...entry }, index) => ({ ...entry, rank: index + 1 }));
+};
+
+// Trim and validate a candidate; text matches may have a phone number glued to the front
+function cleanEmail(raw, fromText) {
+    let cleaned = String(raw || '').trim();
+
+    // Remove phone number patterns from the start (e.g., "206-2832lauraeason@domain.com")
+    if (fromText) cleaned = cleaned.replace(/^[\d\s\-.()]+/, '');
+
+    // Match: localpart@domain.tld where TLD is 2+ letters, followed by non-letter or end
+    const match = cleaned.match(/[a-zA-Z][a-zA-Z0-9._%+-]*@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(?=\s|[^a-zA-Z]|$)/);
+    if (!match) return null;
+
+    const email = match[0].toLowerCase();
+
+    // Exclude image files with @2x, @3x patterns and file names
+    if (email.includes('@2x') || email.includes('@3x')) return null;
+    if (/\.(png|jpg|jpeg|gif|svg|webp|pdf|doc|docx)$/.test(email)) return null;
+
+    const [localPart, domain] = email.split('@');
+    if (!localPart || !domain) return null;
+    if (localPart.length > 64 || domain.length > 255) return null;
+
+    return BLACKLISTED_DOMAINS.some((blacklisted) => domain.includes(blacklisted)) ? null : email;
+}
+
+// "info [at] acme [dot] com" -> "info@acme.com"
+function findSpelledOutEmails(text) {
+    return [...text.matchAll(OBFUSCATED_EMAIL_PATTERN)]
+        .map(([, localPart, domain]) => `${localPart}@${domain.replace(DOT_PATTERN, '.')}`);
+}
+
+// Addresses an inline script builds at runtime that aren't in its source as plain text
+function findScriptEmails(script) {
+    const plain = new Set(script.match(EMAIL_PATTERN) || []);
+    const decoded = [
+        decodeEntities(script), // document.write('&#105;&#110;&#102;&#111;&#64;...')
+        script.replace(/(['"])\s*\+\s*(['"])/g, ''), // 'info' + '@' + 'acme.com'
+        ...[...script.matchAll(REVERSED_STRING_PATTERN)].map((match) => reverse(match[2])),
+    ];
+    return decoded
+        .flatMap((text) => text.match(EMAIL_PATTERN) || [])
+        .filter((email) => !plain.has(email));
+}
+
+// Cloudflare's data-cfemail / email-protection#<hex>: first byte is the key, every following byte is XORed with it
+function decodeCloudflareEmail(hex) {
+    if (!hex || !/^(?:[0-9a-fA-F]{2}){2,}$/.test(hex)) return null;
+    const key = parseInt(hex.slice(0, 2), 16);
+    let decoded = '';
+    for (let i = 2; i < hex.length; i += 2) {
+        decoded += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16) ^ key);
+    }
+    return decoded;
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&commat;/g, '@')
+        .replace(/&period;/g, '.');
+}
+
+function reverse(text) {
+    return [...String(text || '').trim()].reverse().join('');
+}
+
+// `email` properties anywhere in a JSON-LD document (Organization, LocalBusiness, contactPoint, @graph, ...)
+function collectJsonLdEmails(node, found = []) {
+    if (Array.isArray(node)) {
+        for (const item of node) collectJsonLdEmails(item, found);
+    } else if (node && typeof node === 'object') {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'email') {
+                for (const email of [value].flat()) {
+                    if (typeof email === 'string') found.push(email);
+                }
+            } else {
+                collectJsonLdEmails(value, found);
+            }
+        }
+    }
+    return found;
+}
+
+// Mailbox name for role addresses ("sales", "no-reply"), null for personal ones
+function getRole(email) {
+    const localPart = email.split('@')[0];
+    const name = localPart.replace(/\d+$/, '');
+    const firstPart = name.split(/[.\-_+]/)[0];
+    const roles = [...CONTACT_ROLES, ...EXCLUDED_ROLES, ...OTHER_ROLES];
+
+    if (roles.includes(name)) return name;
+    if (roles.includes(firstPart)) return firstPart;
+    return null;
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Registrable part of a host ("shop.acme.co.uk" -> "acme.co.uk"), good enough to compare email and website domains
+function getBaseDomain(host) {
+    if (!host) return null;
+    const labels = host.split('.');
+    const secondLevel = labels[labels.length - 2] || '';
+    const keep = labels.length > 2 && secondLevel.length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Google Maps embedded place data (APP_INITIALIZATION_STATE and the preview/search XHR payloads)
+ *
+ * Maps ships the place panel and the result list as deeply nested JSON arrays before rendering them.
+ * This module decodes those arrays into the same fields the DOM extractors produce. Every value is
+ * read through a guarded index path, so a layout change on Google's side yields null (and the DOM
+ * fallback in the handlers) instead of an exception.
+ */
+
+// Anti-XSSI prefix in front of every Maps JSON response
+const XSSI_PREFIX = /^\s*\)\]\}'\s*/;
+
+// Index paths inside a place array (the `/maps/preview/place` payload's [6], a search result's [14])
+const PLACE_PATHS = {
+    name: [11],
+    address: [39],
+    addressParts: [2],
+    rating: [4, 7],
+    reviewCount: [4, 8],
+    priceText: [4, 2],
+    website: [7, 0],
+    phone: [178, 0, 0],
+    categories: [13],
+    latitude: [9, 2],
+    longitude: [9, 3],
+    featureId: [10],
+    placeId: [78],
+    hours: [34, 1],
+    statusText: [34, 4, 4],
+    plusCode: [183, 2, 2, 0],
+    about: [100, 1],
+    closedNotice: [88, 0],
+};
+
+/**
+ * Parse a Maps JSON payload (XHR body or APP_INITIALIZATION_STATE slot)
+ * @param {string|Array} payload - Raw response text with or without the `)]}'` prefix, or an already parsed array
+ * @returns {Array|null} Parsed array, or null if the payload is not Maps JSON
+ */
+export const parseMapsJson = (payload) => {
+    if (Array.isArray(payload)) return payload;
+    if (typeof payload !== 'string' || payload.length === 0) return null;
+
+    try {
+        const parsed = JSON.parse(payload.replace(XSSI_PREFIX, ''));
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Decode a `/maps/preview/place` response or the place slot of APP_INITIALIZATION_STATE
+ * @param {string|Array} payload - Raw payload
+ * @param {Object} closedPhrases - Closed status phrases ({ CLOSED_PERMANENTLY: [...], CLOSED_TEMPORARILY: [...] })
+ * @returns {Object|null} Decoded place (see decodePlace), or null if the payload holds no place
+ */
+export const parsePlacePayload = (payload, closedPhrases = {}) => {
+    const data = parseMapsJson(payload);
+    return decodePlace(at(data, [6]), closedPhrases);
+};
+
+/**
+ * Decode a search response (`/search?tbm=map`) or the search slot of APP_INITIALIZATION_STATE
+ * @param {string|Array} payload - Raw payload
+ * @param {Object} closedPhrases - Closed status phrases
+ * @returns {Array<Object>} Decoded places in result order (the leading metadata entry has no place and is skipped)
+ */
+export const parseSearchPayload = (payload, closedPhrases = {}) => {
+    const data = parseMapsJson(payload);
+
+    // Results sit in [0][1] with the place in [14]; some payloads use [64] with the place in [1]
+    const items = at(data, [0, 1]);
+    const altItems = at(data, [64]);
+    let places = [];
+    if (Array.isArray(items)) places = items.map((item) => at(item, [14]));
+    else if (Array.isArray(altItems)) places = altItems.map((item) => at(item, [1]));
+
+    return places
+        .map((place) => decodePlace(place, closedPhrases))
+        .filter(Boolean);
+};
+
+/**
+ * Decode a place array into lead fields
+ * Fields the payload does not carry are null, so the caller can fill them from the DOM
+ * @param {Array} place - Place array
+ * @param {Object} closedPhrases - Closed status phrases
+ * @returns {Object|null} { businessName, address, rating, reviewCount, phone, website, category, categories,
+ *   placeId, featureId, latitude, longitude, businessStatus, rawHours, rawAttributes }, or null without a name
+ */
+export const decodePlace = (place, closedPhrases = {}) => {
+    const businessName = text(at(place, PLACE_PATHS.name));
+    if (!businessName) return null;
+
+    const addressParts = at(place, PLACE_PATHS.addressParts);
+    const address = text(at(place, PLACE_PATHS.address))
+        || (Array.isArray(addressParts) ? addressParts.filter((part) => typeof part === 'string').join(', ') : null)
+        || null;
+
+    const categories = (at(place, PLACE_PATHS.categories) || []).filter((category) => typeof category === 'string');
+    const rating = number(at(place, PLACE_PATHS.rating));
+    const reviewCount = number(at(place, PLACE_PATHS.reviewCount));
+
+    // Hours rows: ["Monday", ["9 AM–5 PM", ...]], or ["Monday", 1, [date], [["9 AM–5 PM", ...], ...]] in newer payloads
+    const hourRows = at(place, PLACE_PATHS.hours);
+    const rows = Array.isArray(hourRows)
+        ? hourRows
+            .filter((row) => typeof at(row, [0]) === 'string')
+            .map((row) => ({
+                day: row[0],
+                hours: (Array.isArray(row[1]) ? row[1] : at(row, [3]) || [])
+                    .map((value) => (Array.isArray(value) ? value[0] : value))
+                    .filter((value) => typeof value === 'string')
+                    .join(', '),
+            }))
+        : [];
+    const statusText = text(at(place, PLACE_PATHS.statusText));
+
+    return {
+        businessName,
+        address,
+        rating,
+        reviewCount: reviewCount ?? (rating === null ? null : 0),
+        phone: text(at(place, PLACE_PATHS.phone)),
+        website: cleanWebsite(text(at(place, PLACE_PATHS.website))),
+        category: categories[0] || null,
+        categories,
+        placeId: text(at(place, PLACE_PATHS.placeId)),
+        featureId: text(at(place, PLACE_PATHS.featureId))?.toLowerCase() || null,
+        latitude: number(at(place, PLACE_PATHS.latitude)),
+        longitude: number(at(place, PLACE_PATHS.longitude)),
+        businessStatus: decodeBusinessStatus(place, statusText, rows, closedPhrases),
+        rawHours: rows.length > 0 || statusText ? { rows, label: null, statusText } : null,
+        rawAttributes: {
+            priceText: text(at(place, PLACE_PATHS.priceText)),
+            plusCode: text(at(place, PLACE_PATHS.plusCode)),
+            sections: decodeAboutSections(at(place, PLACE_PATHS.about)),
+        },
+    };
+};
+
+// About tab: [[sectionId, "Accessibility", [[optionId, "Wheelchair accessible entrance", [null, [[1]]]], ...]], ...]
+function decodeAboutSections(about) {
+    if (!Array.isArray(about)) return [];
+
+    return about
+        .filter((section) => typeof at(section, [1]) === 'string' && Array.isArray(at(section, [2])))
+        .map((section) => ({
+            heading: section[1],
+            items: section[2]
+                .filter((option) => typeof at(option, [1]) === 'string')
+                .map((option) => {
+                    const available = at(option, [2, 1, 0, 0]) === 1;
+                    // Same shape as the About tab aria-labels, which parsePlaceAttributes reads, plus the availability flag
+                    return { text: option[1], label: available ? option[1] : `No ${option[1]}`, available };
+                }),
+        }))
+        .filter((section) => section.items.length > 0);
+}
+
+// Closed notices are localized text; an open place is recognised by its hours or status line
+function decodeBusinessStatus(place, statusText, rows, closedPhrases) {
+    const notice = `${text(at(place, PLACE_PATHS.closedNotice)) || ''} ${statusText || ''}`.toLowerCase();
+
+    if ((closedPhrases.CLOSED_PERMANENTLY || []).some((phrase) => notice.includes(phrase))) return 'CLOSED_PERMANENTLY';
+    if ((closedPhrases.CLOSED_TEMPORARILY || []).some((phrase) => notice.includes(phrase))) return 'CLOSED_TEMPORARILY';
+    return rows.length > 0 || statusText ? 'OPERATIONAL' : null;
+}
+
+// Website links are sometimes wrapped in Google's /url?q= redirect
+function cleanWebsite(url) {
+    if (!url) return null;
+    if (url.startsWith('/url?')) {
+        try {
+            return new URL(url, 'https://www.google.com').searchParams.get('q') || null;
+        } catch (e) {
+            return null;
+        }
+    }
+    return /^https?:\/\//i.test(url) ? url : null;
+}
+
+function at(value, path) {
+    let node = value;
+    for (const index of path) {
+        if (!Array.isArray(node)) return null;
+        node = node[index];
+    }
+    return node ?? null;
+}
+
+function text(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function number(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
@@ -0,0 +1,823 @@
+/**
+ * DOM extractors for Google Maps search and detail pages
+ *
+ * Each extractor is a pure function of a DOM root (Document or Element) plus plain arguments, so the
+ * same code runs inside the browser via runExtractor() and in Node against saved HTML fixtures (test/).
+ * Extractors are serialized into the page: they must be self-contained and must not reference
+ * anything from module scope - pass constants in as arguments instead. The only exception are the
+ * shared helpers in EXTRACTOR_HELPERS, which runExtractor() declares in the page under the same names.
+ */
+
+/**
+ * Convert Arabic-Indic, Persian and full-width digits to ASCII digits
+ * @param {string} text - Text as displayed
+ * @returns {string} Text with ASCII digits ("٤٫٧" -> "4.7")
+ */
+export const normalizeDigits = (text) => String(text ?? '')
+    .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+    .replace(/[\u06f0-\u06f9]/g, (digit) => String(digit.charCodeAt(0) - 0x06f0))
+    .replace(/[\uff10-\uff19]/g, (digit) => String(digit.charCodeAt(0) - 0xff10))
+    .replace(/\u066b/g, '.') // Arabic decimal separator
+    .replace(/\u066c/g, ','); // Arabic thousands separator
+
+/**
+ * Parse all numbers in a localized text, whatever the decimal and thousands separators
+ * A single "." or "," followed by exactly three digits is a thousands separator ("1.234", "1,234"),
+ * otherwise it is the decimal point ("4,7", "4.7"); with both, the last one is the decimal point.
+ * Spaces, narrow no-break spaces and apostrophes group thousands too ("1 234", "1'234").
+ * @param {string} text - Text as displayed (aria-label, card text)
+ * @returns {Array<number>} Numbers in order of appearance
+ */
+export const parseLocalizedNumbers = (text) => {
+    const tokens = normalizeDigits(text)
+        .match(/\d{1,3}(?:[\s'’.,]\d{3})+(?:[.,]\d+)?(?!\d)|\d+(?:[.,]\d+)?/g) || [];
+
+    return tokens.map((token) => {
+        const digits = token.replace(/[\s'’]/g, '');
+        const separators = digits.match(/[.,]/g) || [];
+        if (separators.length === 0) return Number(digits);
+
+        const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+        if (new Set(separators).size === 1 && digits.length - last - 1 === 3) {
+            return Number(digits.replace(/[.,]/g, ''));
+        }
+
+        return Number(`${digits.slice(0, last).replace(/[.,]/g, '')}.${digits.slice(last + 1)}`);
+    });
+};
+
+// Declared in the page by runExtractor(); helpers may call each other, but nothing else from this module
+const EXTRACTOR_HELPERS = { normalizeDigits, parseLocalizedNumbers };
+
+/**
+ * Run an extractor inside a Puppeteer page against its document
+ * @param {Object} page - Puppeteer page
+ * @param {Function} extractor - Extractor from this module
+ * @param {...*} args - JSON-serializable arguments passed after the DOM root
+ * @returns {Promise<*>} Extractor result
+ */
+export const runExtractor = (page, extractor, ...args) => {
+    const helpers = Object.entries(EXTRACTOR_HELPERS)
+        .map(([name, helper]) => `const ${name} = ${helper.toString()};`)
+        .join('\n');
+    return page.evaluate(`(() => {\n${helpers}\nreturn (${extractor.toString()})(document, ...${JSON.stringify(args)});\n})()`);
+};
+
+/**
+ * Extract business cards from the search results feed
+ * @param {Document|Element} root - DOM root
+ * @param {Object} closedPhrases - { CLOSED_PERMANENTLY: [...], CLOSED_TEMPORARILY: [...] } lowercase phrases
+ * @param {Array<string>} sponsoredLabels - Lowercase "Sponsored" labels
+ * @param {Object} ratingLabels - { stars: [...], reviews: [...] } lowercase words of the rating/review aria-labels
+ * @returns {{cards: Array<Object>, debug: Object}} Cards in feed order plus extraction diagnostics (debug.cardStrategies per card)
+ */
+export const extractSearchCards = (root, closedPhrases = {}, sponsoredLabels = [], ratingLabels = {}) => {
+    const cards = [];
+    const debug = { selectors: {}, errors: [], reviewExtractionStats: {}, cardStrategies: [] };
+
+    // Find all business listing containers in the feed
+    const feed = root.querySelector('[role="feed"]');
+    if (!feed) {
+        debug.feedFound = false;
+        return { cards, debug };
+    }
+    debug.feedFound = true;
+
+    // Try multiple selector strategies for business cards
+    debug.selectors.articles = feed.querySelectorAll('div[role="article"]').length;
+    debug.selectors.nv2pk = feed.querySelectorAll('div.Nv2PK').length;
+    debug.selectors.placeLinks = feed.querySelectorAll('a[href*="/maps/place/"]').length;
+
+    const listItems = feed.querySelectorAll('div[role="article"], div.Nv2PK, a[href*="/maps/place/"]');
+    debug.totalElements = listItems.length;
+
+    const processedUrls = new Set();
+    let position = 0; // 1-based rank of each place in the results feed
+
+    listItems.forEach((item) => {
+        try {
+            // Find the place link
+            const link = item.querySelector('a[href*="/maps/place/"]') ||
+                      (item.tagName === 'A' && item.href?.includes('/maps/place/') ? item : null);
+
+            if (!link) return;
+
+            const href = link.href;
+            if (!href || processedUrls.has(href)) return;
+            processedUrls.add(href);
+            position++;
+
+            // Find the parent container (article or closest div)
+            const container = item.closest('[role="article"]') ||
+                             item.closest('div.Nv2PK') ||
+                             link.closest('div[jsaction]') ||
+                             item;
+
+            if (!container) return;
+
+            // Extract business name (try multiple selectors)
+            let name = null;
+            const nameSelectors = [
+                '[class*="fontHeadline"]',
+                '[class*="fontBodyMedium"]',
+                'div[role="heading"]',
+                '.fontDisplayLarge',
+                'a[href*="/maps/place/"] div'
+            ];
+
+            for (const selector of nameSelectors) {
+                const nameEl = container.querySelector(selector);
+                if (nameEl?.textContent?.trim()) {
+                    name = nameEl.textContent.trim();
+                    break;
+                }
+            }
+
+            // If still no name, try the link's aria-label
+            if (!name && link.getAttribute('aria-label')) {
+                name = link.getAttribute('aria-label');
+            }
+
+            // Extract rating with multiple fallback strategies
+            let rating = null;
+            let ratingStrategy = null;
+
+            const labelOf = (el) => (el.getAttribute('aria-label') || '').toLowerCase();
+            const hasStarWord = (label) => (ratingLabels.stars || []).some((word) => label.includes(word));
+            const hasReviewWord = (label) => (ratingLabels.reviews || []).some((word) => label.includes(word));
+
+            // Strategy 1: aria-label with the localized "stars" word ("4.7 stars", "4,7 Sterne", "星 4.6")
+            // The place link is labelled with the business name, which may well contain "star" or a number
+            const labelled = Array.from(container.querySelectorAll('[aria-label]:not(a)'));
+            const ratingEl = labelled.find((el) => el.getAttribute('role') === 'img' && hasStarWord(labelOf(el))) ||
+                          labelled.find((el) => hasStarWord(labelOf(el)));
+
+            if (ratingEl) {
+                const ratingText = ratingEl.getAttribute('aria-label') || '';
+                const value = parseLocalizedNumbers(ratingText).find((number) => number >= 1 && number <= 5);
+                if (value !== undefined) {
+                    rating = value;
+                    ratingStrategy = 'aria-label-star';
+                } else {
+                    // Logged so pattern issues show up in the run log
+                    debug.errors.push(`Rating aria-label found but no rating in it: "${ratingText}" for ${name}`);
+                }
+            }
+
+            // Strategy 2: Look for decimal number pattern (e.g., "4.7", "4,7" or "٤٫٧")
+            if (rating === null) {
+                const allText = normalizeDigits(container.textContent || '');
+                // Match rating-like numbers (1.0-5.0 range)
+                const ratingMatch = allText.match(/(?<![\d.,])([1-5])[.,](\d)(?![\d.,])/);
+                if (ratingMatch) {
+                    rating = parseFloat(`${ratingMatch[1]}.${ratingMatch[2]}`);
+                    ratingStrategy = 'text-decimal';
+                }
+            }
+
+            // Strategy 3: Look in spans for rating numbers
+            if (rating === null) {
+                const spans = container.querySelectorAll('span');
+                for (const span of spans) {
+                    const text = normalizeDigits(span.textContent?.trim() || '');
+                    // Match X.X / X,X format where X is 1-5
+                    if (/^[1-5][.,]\d$/.test(text)) {
+                        rating = parseFloat(text.replace(',', '.'));
+                        ratingStrategy = 'span-rating';
+                        break;
+                    }
+                }
+            }
+
+            // Track which strategies work
+            debug.ratingExtractionStats = debug.ratingExtractionStats || {};
+            const ratingKey = ratingStrategy || 'failed';
+            debug.ratingExtractionStats[ratingKey] = (debug.ratingExtractionStats[ratingKey] || 0) + 1;
+
+            // Extract review count with multiple fallback strategies
+            let reviewCount = 0;
+            let reviewStrategy = null;
+
+            // Strategy 1: aria-label with the localized "reviews" word; a combined
+            // "4,6 Sterne 1.234 Rezensionen" label has the rating first
+            const reviewEl = labelled.find((el) => hasReviewWord(labelOf(el)));
+
+            if (reviewEl) {
+                const reviewText = labelOf(reviewEl);
+                const numbers = parseLocalizedNumbers(reviewText);
+                const count = hasStarWord(reviewText) ? numbers[1] : numbers[0];
+                if (Number.isInteger(count)) {
+                    reviewCount = count;
+                    reviewStrategy = 'aria-label';
+                }
+            }
+
+            // Strategy 2: Look for text content with parentheses (e.g., "(123)", "(1.234)")
+            if (reviewCount === 0) {
+                const allText = normalizeDigits(container.textContent || '');
+                const parenMatch = allText.match(/\((\d[\d.,\s'’]*)\)/);
+                const count = parenMatch ? parseLocalizedNumbers(parenMatch[1])[0] : undefined;
+                if (Number.isInteger(count)) {
+                    reviewCount = count;
+                    reviewStrategy = 'parentheses';
+                }
+            }
+
+            // Strategy 3: Look for rating element siblings ("312 reviews" next to the stars)
+            if (reviewCount === 0 && ratingEl) {
+                const parent = ratingEl.parentElement;
+                if (parent) {
+                    const siblingText = (parent.textContent || '').toLowerCase();
+                    const count = hasReviewWord(siblingText)
+                        ? parseLocalizedNumbers(siblingText).filter(Number.isInteger).pop()
+                        : undefined;
+                    if (count) {
+                        reviewCount = count;
+                        reviewStrategy = 'rating-sibling';
+                    }
+                }
+            }
+
+            // Strategy 4: Look for span with review numbers next to rating
+            if (reviewCount === 0) {
+                const spans = container.querySelectorAll('span');
+                for (const span of spans) {
+                    const text = normalizeDigits(span.textContent?.trim() || '');
+                    // Match patterns like "123", "(123)" or "(1.234)", but not a "4,5" rating
+                    if (/^\(?\d[\d.,\s]*\)?$/.test(text) && text.length <= 10 && !/^[1-5][.,]\d$/.test(text)) {
+                        const num = parseLocalizedNumbers(text)[0];
+                        if (Number.isInteger(num) && num > 0 && num < 1000000) { // Sanity check
+                            reviewCount = num;
+                            reviewStrategy = 'span-number';
+                            break;
+                        }
+                    }
+                }
+            }
+
+            // Track which strategies work
+            const reviewKey = reviewStrategy || 'failed';
+            debug.reviewExtractionStats[reviewKey] = (debug.reviewExtractionStats[reviewKey] || 0) + 1;
+
+            // Business status from the red "Permanently/Temporarily closed" label
+            const cardText = (container.textContent || '').toLowerCase();
+            let businessStatus = 'OPERATIONAL';
+            for (const [status, phrases] of Object.entries(closedPhrases)) {
+                if (phrases.some((phrase) => cardText.includes(phrase))) {
+                    businessStatus = status;
+                    break;
+                }
+            }
+
+            // Paid placements carry a short "Sponsored" label
+            const isAdvertisement = Array.from(container.querySelectorAll('span, div[aria-label], [role="img"]'))
+                .some((el) => {
+                    const label = (el.getAttribute('aria-label') || el.textContent || '').trim().toLowerCase();
+                    return sponsoredLabels.includes(label);
+                });
+
+            if (name && href) {
+                cards.push({
+                    businessName: name,
+                    googleMapsUrl: href,
+                    rating: rating,
+                    reviewCount: reviewCount,
+                    businessStatus,
+                    searchRank: position,
+                    isAdvertisement,
+                });
+                // Parallel to cards: which strategy produced each value (extraction health report)
+                debug.cardStrategies.push({ rating: ratingKey, reviews: reviewKey });
+            }
+        } catch (err) {
+            debug.errors.push(err.message);
+        }
+    });
+
+    debug.cardsExtracted = cards.length;
+    return { cards, debug };
+};
+
+/**
+ * Detect Google's "You've reached the end of the list" marker at the bottom of the results feed
+ * @param {Document|Element} root - DOM root
+ * @param {Array<string>} endPhrases - Lowercase end-of-list phrases (per supported language)
+ * @returns {boolean} True if the feed has no more results to load
+ */
+export const detectFeedEnd = (root, endPhrases = []) => {
+    const feed = root.querySelector('[role="feed"]');
+    if (!feed) return false;
+
+    // The marker (span.HlvSq) sits in one of the last blocks, after the final card
+    const marker = feed.querySelector('.HlvSq');
+    const candidates = marker ? [marker] : Array.from(feed.children).slice(-3);
+
+    return candidates.some((el) => {
+        const text = (el.textContent || '').toLowerCase().replace(/[’`]/g, "'").replace(/\s+/g, ' ');
+        return endPhrases.some((phrase) => text.includes(phrase));
+    });
+};
+
+/**
+ * Detect a Google bot-detection page (CAPTCHA, "unusual traffic" / sorry page)
+ * @param {Document|Element} root - DOM root
+ * @param {Array<string>} blockPhrases - Lowercase "unusual traffic" phrases (per supported language)
+ * @returns {string|null} Block reason ('sorry page', 'captcha', 'unusual traffic') or null
+ */
+export const detectBlockPage = (root, blockPhrases = []) => {
+    const url = root.location?.href || '';
+    if (url.includes('/sorry/')) return 'sorry page';
+
+    if (root.querySelector('#captcha-form, form[action*="sorry"], iframe[src*="recaptcha"], .g-recaptcha, #recaptcha')) {
+        return 'captcha';
+    }
+
+    // Real Maps pages have a results/place panel; only judge the text of pages without one
+    // (a review may well mention "unusual traffic")
+    if (root.querySelector('[role="main"], [role="feed"]')) return null;
+
+    const text = ((root.body || root).textContent || '').toLowerCase();
+    return blockPhrases.some((phrase) => text.includes(phrase)) ? 'unusual traffic' : null;
+};
+
+/**
+ * Detect a consent wall (consent.google.com or the in-page "Before you continue" dialog) or an interstitial
+ * dialog (app promo, sign-in prompt) and find the button that gets rid of it
+ * The button is tagged with data-gmaps-dismiss so the caller can click it with a real mouse event.
+ * @param {Document|Element} root - DOM root
+ * @param {Object} labels - { accept: [...], reject: [...], dismiss: [...] } lowercase button labels (per supported language)
+ * @param {string} preferredAction - 'reject' or 'accept' for consent walls (the other one is the fallback)
+ * @returns {{kind: string, action: string|null, label: string|null}|null} kind 'consent' or 'interstitial', action null if no known button was found; null when there is nothing to dismiss
+ */
+export const findInterstitialButton = (root, labels = {}, preferredAction = 'reject') => {
+    const getLabel = (element) => (element.getAttribute('aria-label') || element.value || element.textContent || '')
+        .replace(/\s+/g, ' ').trim().toLowerCase();
+
+    const findButton = (scope, phrases = []) => {
+        const buttons = scope.querySelectorAll('button, input[type="submit"], [role="button"]');
+        for (const button of buttons) {
+            const label = getLabel(button);
+            if (label && phrases.some((phrase) => label.includes(phrase))) return { button, label };
+        }
+        return null;
+    };
+
+    const url = root.location?.href || '';
+    const consentForm = root.querySelector('form[action*="consent.google"]');
+    const isConsent = url.includes('consent.google.') || Boolean(consentForm);
+
+    let kind = null;
+    let match = null;
+    let action = null;
+
+    if (isConsent) {
+        kind = 'consent';
+        // The in-page dialog is scoped to the form's dialog so a review mentioning "accept all" can't match
+        const scope = consentForm?.closest('[role="dialog"], [aria-modal="true"]') || root;
+        const order = preferredAction === 'accept' ? ['accept', 'reject'] : ['reject', 'accept'];
+        for (const candidate of order) {
+            match = findButton(scope, labels[candidate]);
+            if (match) {
+                action = candidate;
+                break;
+            }
+        }
+    } else {
+        const dialogs = root.querySelectorAll('[role="dialog"], [aria-modal="true"]');
+        for (const dialog of dialogs) {
+            match = findButton(dialog, labels.dismiss);
+            if (match) {
+                kind = 'interstitial';
+                action = 'dismiss';
+                break;
+            }
+        }
+        if (!kind) return null;
+    }
+
+    if (match) match.button.setAttribute('data-gmaps-dismiss', 'true');
+    return { kind, action, label: match?.label || null };
+};
+
+/**
+ * Extract name, rating and review count from the detail page header (places without a search card)
+ * @param {Document|Element} root - DOM root
+ * @param {Object} ratingLabels - { stars: [...], reviews: [...] } lowercase words of the rating/review aria-labels
+ * @returns {{name: string|null, rating: number|null, reviewCount: number|null}}
+ */
+export const extractPlaceHeader = (root, ratingLabels = {}) => {
+    const main = root.querySelector('[role="main"]') || root;
+    const name = main.querySelector('h1')?.textContent?.trim() || null;
+
+    // Tabs ("Reviews for <name>") carry the review word but no count
+    const labels = Array.from(main.querySelectorAll('[aria-label]:not([role="tab"])'))
+        .map((el) => ({ role: el.getAttribute('role'), label: el.getAttribute('aria-label').toLowerCase() }));
+    const hasWord = (label, words = []) => words.some((word) => label.includes(word));
+
+    const ratingLabel = labels.find(({ role, label }) => role === 'img' && hasWord(label, ratingLabels.stars))?.label || '';
+    const rating = parseLocalizedNumbers(ratingLabel).find((number) => number >= 1 && number <= 5);
+
+    // A combined "4,7 Sterne 1.234 Rezensionen" label has the rating first
+    const reviewCount = labels
+        .filter(({ label }) => hasWord(label, ratingLabels.reviews))
+        .map(({ label }) => {
+            const numbers = parseLocalizedNumbers(label);
+            return hasWord(label, ratingLabels.stars) ? numbers[1] : numbers[0];
+        })
+        .find(Number.isInteger);
+
+    return {
+        name,
+        rating: rating ?? null,
+        reviewCount: reviewCount ?? null,
+    };
+};
+
+/**
+ * Detect the business status from the place header (aria-labels or the red status text under the name)
+ * @param {Document|Element} root - DOM root
+ * @param {Object} closedPhrases - { CLOSED_PERMANENTLY: [...], CLOSED_TEMPORARILY: [...] } lowercase phrases
+ * @returns {string} OPERATIONAL, CLOSED_TEMPORARILY or CLOSED_PERMANENTLY
+ */
+export const extractBusinessStatus = (root, closedPhrases = {}) => {
+    const main = root.querySelector('[role="main"]') || root.body || root;
+
+    // Name, rating, category and status only: reviews, hours and Q&A below often mention closing too
+    const title = main.querySelector('h1');
+    const header = title?.closest('.TIHn2, .lMbq3e') || title?.parentElement;
+    if (!header) return 'OPERATIONAL';
+
+    const labels = Array.from(header.querySelectorAll('[aria-label]'))
+        .map((el) => el.getAttribute('aria-label'))
+        .join(' ');
+    const text = `${labels} ${header.textContent || ''}`.toLowerCase();
+
+    for (const [status, phrases] of Object.entries(closedPhrases)) {
+        if (phrases.some((phrase) => text.includes(phrase))) return status;
+    }
+    return 'OPERATIONAL';
+};
+
+/**
+ * Extract the phone number with multiple strategies (national and international formats)
+ * @param {Document|Element} root - DOM root
+ * @param {Array<string>} phoneLabels - Lowercase "Phone" words of the phone button aria-label (per supported language)
+ * @returns {string|null} Phone as displayed (with ASCII digits)
+ */
+export const extractPhone = (root, phoneLabels = []) => {
+    // "(212) 555-0123", "030 1234567", "+49 30 1234567", "03-1234-5678", "01 42 68 53 00"; 7-15 digits
+    const findPhone = (text) => {
+        const candidates = normalizeDigits(text).match(/(?:\+|00)?\(?\d[\d\s().\-/]{5,}\d/g) || [];
+        for (const candidate of candidates) {
+            const phone = candidate.trim();
+            const digitCount = phone.replace(/\D/g, '').length;
+            // Exclude decimals (like a "4.8" rating) glued to other numbers
+            if (digitCount >= 7 && digitCount <= 15 && !/^\d[.,]\d(?!\d)/.test(phone)) return phone;
+        }
+        return null;
+    };
+
+    // Strategy 1: Phone button of the place panel - data-item-id="phone:tel:+4930..." in every language
+    const phoneButtons = Array.from(root.querySelectorAll('[data-item-id^="phone:tel:"]'));
+    for (const btn of phoneButtons) {
+        const shown = btn.querySelector('.Io6YTe')?.textContent || btn.textContent || '';
+        const phone = findPhone(shown) || findPhone(btn.getAttribute('data-item-id').replace('phone:tel:', ''));
+        if (phone) return phone;
+    }
+
+    // Strategy 2: Buttons/links with the localized "Phone" aria-label ("Phone: ...", "Telefon: ...", "電話番号: ...")
+    const labelled = Array.from(root.querySelectorAll('button[aria-label], a[aria-label]'));
+    for (const btn of labelled) {
+        const ariaLabel = btn.getAttribute('aria-label') || '';
+        if (!phoneLabels.some((word) => ariaLabel.toLowerCase().includes(word))) continue;
+        const phone = findPhone(ariaLabel);
+        if (phone) return phone;
+    }
+
+    // Strategy 3: tel: links
+    const telLink = root.querySelector('a[href^="tel:"]');
+    if (telLink) {
+        const phone = findPhone(telLink.textContent || '') || findPhone(telLink.getAttribute('href').slice(4));
+        if (phone) return phone;
+    }
+
+    // Strategy 4: Last resort - search page with STRICT patterns only
+    const bodyText = normalizeDigits((root.body || root).textContent || '');
+    const strictPatterns = [
+        /\(\d{3}\)\s\d{3}-\d{4}/,      // (123) 456-7890 - exact format
+        /\d{3}-\d{3}-\d{4}(?!\d)/,     // 123-456-7890 - not followed by more digits
+        /\+1\s\(\d{3}\)\s\d{3}-\d{4}/, // +1 (123) 456-7890
+        /\+\d{1,3}\s\(?\d{1,4}\)?(?:[\s-]\d{2,5}){2,4}(?!\d)/, // +49 30 1234 5678, +33 1 42 68 53 00
+    ];
+
+    for (const pattern of strictPatterns) {
+        const match = bodyText.match(pattern);
+        if (match) {
+            // Validate it's not part of a larger number (like a rating)
+            const phone = match[0];
+            if (!/\d\.\d/.test(phone)) { // Exclude if contains decimal (like "4.8")
+                return phone;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Extract the business website with multiple fallback strategies
+ * @param {Document|Element} root - DOM root
+ * @param {Array<string>} websiteLabels - Lowercase "Website" words of the website button aria-label (per supported language)
+ * @returns {string|null} Website URL
+ */
+export const extractWebsite = (root, websiteLabels = []) => {
+    // Strategy 1: Website link of the place panel - data-item-id="authority" in every language
+    const authority = root.querySelector('a[data-item-id="authority"][href]');
+    if (authority?.href?.startsWith('http')) return authority.href;
+
+    // Strategy 2: Buttons/links with the localized "Website" aria-label ("Website: ...", "Sitio web: ...")
+    const buttons = Array.from(root.querySelectorAll('button, a'));
+    for (const btn of buttons) {
+        const ariaLabel = (btn.getAttribute('aria-label') || '').toLowerCase();
+        if (websiteLabels.some((label) => ariaLabel.includes(label))) {
+            // Extract URL from onclick or href
+            const href = btn.getAttribute('href') || btn.onclick?.toString() || '';
+            const match = href.match(/https?:\/\/[^\s"']+/);
+            if (match) return match[0];
+        }
+    }
+
+    // Strategy 3: Look for any external link (not google/social)
+    const links = Array.from(root.querySelectorAll('a[href]'));
+    for (const link of links) {
+        const href = link.href || '';
+        const text = (link.textContent || '').toLowerCase();
+
+        // Skip social media and google links
+        if (href.includes('google.com') || href.includes('facebook.com') ||
+            href.includes('instagram.com') || href.includes('twitter.com') ||
+            href.includes('linkedin.com') || href.includes('youtube.com')) {
+            continue;
+        }
+
+        // Look for http links or text containing the "Website" word
+        if (href.startsWith('http') || websiteLabels.some((label) => text.includes(label))) {
+            return href;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Extract the street address with multiple strategies
+ * @param {Document|Element} root - DOM root
+ * @param {Array<string>} addressLabels - Lowercase "Address" words of the address button aria-label (per supported language)
+ * @returns {string|null} Address
+ */
+export const extractAddress = (root, addressLabels = []) => {
+    // "Address: 23 W 23rd St, ..." / "Dirección: Calle de Alcalá, 21, ..." -> the address after the label
+    const stripLabel = (ariaLabel) => ariaLabel.replace(/^[^:：]*[:：]\s*/, '').trim();
+
+    // Strategy 1: Address button of the place panel - data-item-id="address" in every language
+    const addressButton = root.querySelector('[data-item-id="address"]');
+    if (addressButton) {
+        const addr = (addressButton.textContent || '').trim() || stripLabel(addressButton.getAttribute('aria-label') || '');
+        if (addr.length > 10) return addr;
+    }
+
+    // Strategy 2: Buttons with the localized "Address" aria-label
+    const buttons = Array.from(root.querySelectorAll('button, a, div'));
+    for (const el of buttons) {
+        const ariaLabel = el.getAttribute('aria-label') || '';
+        if (addressLabels.some((label) => ariaLabel.toLowerCase().startsWith(label))) {
+            const addr = stripLabel(ariaLabel);
+            if (addr.length > 10) return addr;
+        }
+    }
+
+    // Strategy 3: Look for US address patterns in page text
+    const bodyText = (root.body || root).textContent || '';
+
+    // Pattern 1: Street number + street name + city + state + ZIP
+    const fullPattern = /\d+\s+[A-Za-z0-9\s\.#]+,\s*[A-Za-z\s]+,\s*[A-Z]{2}\s*\d{5}(-\d{4})?/;
+    let match = bodyText.match(fullPattern);
+    if (match) return match[0];
+
+    // Pattern 2: Simplified pattern (street, city, state)
+    const simplePattern = /\d+\s+[A-Za-z0-9\s\.#]+[,\s]+[A-Za-z\s]+[,\s]+[A-Z]{2}/;
+    match = bodyText.match(simplePattern);
+    if (match) return match[0];
+
+    return null;
+};
+
+/**
+ * Extract the primary category from the category button under the place name
+ * @param {Document|Element} root - DOM root
+ * @returns {string|null} Category
+ */
+export const extractCategory = (root) => {
+    const categoryButton = root.querySelector('button[jsaction*="category"]');
+    return categoryButton?.textContent?.trim() || null;
+};
+
+/**
+ * Collect raw opening hours data (table rows, weekly aria-label summary, status line) for parseOpeningHours
+ * @param {Document|Element} root - DOM root
+ * @returns {{rows: Array<{day: string, hours: string}>, label: string|null, statusText: string|null}}
+ */
+export const extractOpeningHoursRaw = (root) => {
+    const main = root.querySelector('[role="main"]') || root;
+
+    // Hours table: day cell + hours cell (split shifts are separate lines)
+    const rows = Array.from(main.querySelectorAll('table tr'))
+        .map((tr) => {
+            const cells = tr.querySelectorAll('td, th');
+            if (cells.length < 2) return null;
+            return {
+                day: (cells[0].innerText || cells[0].textContent || '').trim(),
+                hours: (cells[1].innerText || cells[1].getAttribute('aria-label') || cells[1].textContent || '').trim(),
+            };
+        })
+        .filter(Boolean);
+
+    // Weekly summary in an aria-label: "Monday, 9 AM to 5 PM; Tuesday, ..."
+    const labelEl = Array.from(main.querySelectorAll('[aria-label]'))
+        .find((el) => (el.getAttribute('aria-label') || '').split(';').length >= 3);
+
+    // Status line next to the hours toggle
+    const statusEl = main.querySelector('[data-item-id="oh"], [jsaction*="openhours"], [aria-label*="hours" i][aria-expanded]');
+    const statusText = (statusEl?.innerText || statusEl?.textContent || '')
+        .split('\n')
+        .map((line) => line.trim())
+        .find(Boolean);
+
+    return {
+        rows,
+        label: labelEl?.getAttribute('aria-label') || null,
+        statusText: statusText || null,
+    };
+};
+
+/**
+ * Extract social media profile links (links first, then labelled buttons)
+ * @param {Document|Element} root - DOM root
+ * @returns {{linkedin: string|null, facebook: string|null, twitter: string|null, instagram: string|null}}
+ */
+export const extractSocialLinks = (root) => {
+    const links = {
+        linkedin: null,
+        facebook: null,
+        twitter: null,
+        instagram: null,
+    };
+
+    // Method 1: Try standard <a> tags
+    const allLinks = Array.from(root.querySelectorAll('a[href]'));
+
+    for (const link of allLinks) {
+        const href = link.href.toLowerCase();
+
+        if (!links.linkedin && href.includes('linkedin.com')) {
+            links.linkedin = link.href;
+        }
+        if (!links.facebook && (href.includes('facebook.com') || href.includes('fb.com'))) {
+            links.facebook = link.href;
+        }
+        if (!links.twitter && (href.includes('twitter.com') || href.includes('x.com'))) {
+            links.twitter = link.href;
+        }
+        if (!links.instagram && href.includes('instagram.com')) {
+            links.instagram = link.href;
+        }
+    }
+
+    // Method 2: Try buttons and aria-labels (Google Maps sometimes uses these)
+    if (!links.facebook || !links.instagram || !links.twitter || !links.linkedin) {
+        const buttons = Array.from(root.querySelectorAll('button[aria-label], a[aria-label]'));
+
+        for (const btn of buttons) {
+            const label = (btn.getAttribute('aria-label') || '').toLowerCase();
+            const dataUrl = btn.getAttribute('data-url') || btn.getAttribute('href') || '';
+
+            if (!links.facebook && (label.includes('facebook') || dataUrl.includes('facebook'))) {
+                links.facebook = dataUrl || 'https://facebook.com'; // Placeholder
+            }
+            if (!links.instagram && (label.includes('instagram') || dataUrl.includes('instagram'))) {
+                links.instagram = dataUrl || 'https://instagram.com';
+            }
+            if (!links.twitter && (label.includes('twitter') || label.includes('x.com') || dataUrl.includes('twitter'))) {
+                links.twitter = dataUrl || 'https://twitter.com';
+            }
+            if (!links.linkedin && (label.includes('linkedin') || dataUrl.includes('linkedin'))) {
+                links.linkedin = dataUrl || 'https://linkedin.com';
+            }
+        }
+    }
+
+    return links;
+};
+
+/**
+ * Collect raw overview attributes (price, plus code, photos, claim/owner signals) for parsePlaceAttributes
+ * @param {Document|Element} root - DOM root
+ * @param {Object} detailLabels - { price: [...], claim: [...], owner: [...] } lowercase "Price" aria-label words,
+ *   "Claim this business" link labels and owner reply / managed-by phrases (per supported language)
+ * @returns {{priceText: string|null, plusCode: string|null, photoText: string|null, hasClaimButton: boolean, hasOwnerContent: boolean}}
+ */
+export const extractAttributeOverview = (root, detailLabels = {}) => {
+    const main = root.querySelector('[role="main"]') || root.body || root;
+
+    // Price level: localized "Price: Moderate" aria-label or a "$$" / "$10–20" span in the header
+    const priceEl = Array.from(main.querySelectorAll('[aria-label]'))
+        .find((el) => (detailLabels.price || []).some((label) => el.getAttribute('aria-label').toLowerCase().startsWith(label)));
+    const priceText = priceEl?.getAttribute('aria-label')
+        || Array.from(main.querySelectorAll('span'))
+            .map((span) => (span.textContent || '').trim())
+            .find((text) => /^([$€£¥₹₩₽])\1{0,3}$/.test(text) || /^[$€£¥₹₩₽]\d+\s*[–-]\s*\d+/.test(text))
+        || null;
+
+    const plusCodeEl = main.querySelector('[data-item-id="oloc"]');
+    const plusCode = plusCodeEl
+        ? (plusCodeEl.getAttribute('aria-label') || plusCodeEl.textContent || '').trim()
+        : null;
+
+    // "1,234 photos" on the photos button
+    const photoText = Array.from(main.querySelectorAll('button'))
+        .map((button) => `${button.getAttribute('aria-label') || ''} ${button.textContent || ''}`.trim())
+        .find((text) => /\d[\d,.\s]*\s*(photos?|fotos?|photos|фото|صور|写真|照片)/i.test(text))
+        || null;
+
+    // Unclaimed listings link to the Business Profile sign-up; the link label is the fallback
+    const hasClaimButton = Boolean(main.querySelector('a[href*="business.google.com/create"]'))
+        || Array.from(main.querySelectorAll('a[aria-label], button[aria-label]'))
+            .some((el) => (detailLabels.claim || []).some((label) => el.getAttribute('aria-label').toLowerCase().includes(label)));
+
+    const pageText = (main.textContent || '').toLowerCase();
+    return {
+        priceText,
+        plusCode,
+        photoText,
+        hasClaimButton,
+        hasOwnerContent: (detailLabels.owner || []).some((phrase) => pageText.includes(phrase)),
+    };
+};
+
+/**
+ * Collect the About tab sections ("Service options", "Accessibility", ...) for parsePlaceAttributes
+ * @param {Document|Element} root - DOM root
+ * @returns {Array<{heading: string, items: Array<{text: string, label: string|null}>}>}
+ */
+export const extractAboutSections = (root) => {
+    const main = root.querySelector('[role="main"]') || root;
+    return Array.from(main.querySelectorAll('h2'))
+        .map((heading) => ({
+            heading: (heading.textContent || '').trim(),
+            items: Array.from(heading.parentElement?.querySelectorAll('li') || [])
+                .map((li) => ({
+                    text: (li.textContent || '').trim(),
+                    label: li.querySelector('[aria-label]')?.getAttribute('aria-label') || null,
+                })),
+        }))
+        .filter((section) => section.heading && section.items.length > 0);
+};
+
+/**
+ * Extract loaded reviews from the Reviews tab
+ * @param {Document|Element} root - DOM root
+ * @param {number} maxReviews - Maximum number of reviews to return
+ * @param {Object} ratingLabels - { stars: [...] } lowercase words of the star rating aria-labels
+ * @returns {Array<{rating: number|null, text: string, author: string, date: string}>}
+ */
+export const extractReviews = (root, maxReviews = 10, ratingLabels = {}) => {
+    const reviewElements = root.querySelectorAll('[data-review-id]');
+    const extractedReviews = [];
+
+    for (let i = 0; i < Math.min(reviewElements.length, maxReviews); i++) {
+        const reviewEl = reviewElements[i];
+        try {
+            const ratingEl = Array.from(reviewEl.querySelectorAll('[role="img"][aria-label]'))
+                .find((el) => (ratingLabels.stars || []).some((word) => el.getAttribute('aria-label').toLowerCase().includes(word)));
+            const ratingText = ratingEl?.getAttribute('aria-label') || '';
+            const rating = parseLocalizedNumbers(ratingText).find((number) => Number.isInteger(number) && number >= 1 && number <= 5) ?? null;
+
+            const textEl = reviewEl.querySelector('[class*="review-text"], [class*="MyEned"]');
+            const text = textEl?.textContent?.trim() || '';
+
+            const authorEl = reviewEl.querySelector('[class*="author"], [class*="d4r55"]');
+            const author = authorEl?.textContent?.trim() || 'Anonymous';
+
+            const dateEl = reviewEl.querySelector('[class*="date"], [class*="rsqaWe"]');
+            const date = dateEl?.textContent?.trim() || '';
+
+            if (text || rating) {
+                extractedReviews.push({ rating, text, author, date });
+            }
+        } catch (e) {
+            // Skip failed review extraction
+        }
+    }
+
+    return extractedReviews;
+};
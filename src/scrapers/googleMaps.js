@@ -1,5 +1,206 @@
 import { Actor } from 'apify';
-import { PuppeteerCrawler } from 'crawlee';
+import { PuppeteerCrawler, SessionError } from 'crawlee';
+import {
+    resolveSearchArea,
+    buildGridTiles,
+    splitTile,
+    buildTileSearchUrl,
+    getDistanceKm,
+    getZoomForRadius,
+    buildCirclePolygon,
+} from './grid.js';
+import { parseOpeningHours, getOpeningHoursFilterReason } from './openingHours.js';
+import { parsePlaceAttributes, getAttributeFilterReason } from './placeAttributes.js';
+import { getCategoryFilterReason } from './categoryFilter.js';
+import { parsePlacePayload, parseSearchPayload } from './embeddedData.js';
+import {
+    runExtractor,
+    detectBlockPage,
+    detectFeedEnd,
+    findInterstitialButton,
+    extractSearchCards,
+    extractPlaceHeader,
+    extractBusinessStatus,
+    extractPhone,
+    extractWebsite,
+    extractAddress,
+    extractCategory,
+    extractOpeningHoursRaw,
+    extractSocialLinks,
+    extractAttributeOverview,
+    extractAboutSections,
+    extractReviews,
+} from './extractors.js';
+
+// Google Maps stops adding cards to a single search feed at ~120 results
+const GOOGLE_RESULT_CAP = 120;
+
+// A tile that yields this many cards most likely hit the cap and is split into 4 smaller tiles
+const TILE_SPLIT_THRESHOLD = 100;
+
+// How long one scroll waits for the feed to grow, and how often a feed that didn't grow is scrolled again
+const SCROLL_WAIT_MS = 5000;
+const MAX_SCROLL_STALLS = 3;
+
+// Handler time kept back after the last scroll for extracting, queueing and splitting the tile
+const SEARCH_HANDLER_RESERVE_MS = 10000;
+
+// Why a search feed stopped scrolling (keys of the scrollStats counters)
+const SCROLL_STOP_DESCRIPTIONS = {
+    cap: 'result cap reached',
+    end: 'end of list',
+    stalled: 'feed stalled',
+    blocked: 'blocked',
+    timeBudget: 'time budget nearly used',
+    handlerTimeout: 'request handler time limit nearly reached',
+};
+
+// "Sponsored" label on paid listing cards (per supported language)
+export const SPONSORED_LABELS = ['sponsored', 'patrocinado', 'sponsorisé', 'gesponsert', 'sponsorizzato', 'スポンサー', '赞助', 'реклама', 'إعلان'];
+
+// Closed-business labels shown on listing cards and detail pages (lowercase, per supported language)
+export const CLOSED_STATUS_PHRASES = {
+    CLOSED_PERMANENTLY: [
+        'permanently closed', 'closed permanently', // en
+        'cerrado permanentemente', 'cerrado definitivamente', // es
+        'définitivement fermé', 'fermé définitivement', // fr
+        'dauerhaft geschlossen', // de
+        'chiuso definitivamente', 'chiuso permanentemente', // it
+        'permanentemente fechado', 'fechado permanentemente', // pt
+        '閉業', '永久閉店', // ja
+        '永久停业', '已永久停业', // zh
+        'закрыто навсегда', // ru
+        'مغلق نهائيًا', 'مغلق بشكل دائم', // ar
+    ],
+    CLOSED_TEMPORARILY: [
+        'temporarily closed', 'closed temporarily', // en
+        'cerrado temporalmente', // es
+        'fermé temporairement', 'temporairement fermé', // fr
+        'vorübergehend geschlossen', // de
+        'chiuso temporaneamente', // it
+        'temporariamente fechado', 'fechado temporariamente', // pt
+        '臨時休業', '一時休業', // ja
+        '暂时停业', // zh
+        'временно закрыто', // ru
+        'مغلق مؤقتًا', // ar
+    ],
+};
+
+// Text of Google's "unusual traffic" / CAPTCHA page (lowercase, per supported language)
+export const BLOCK_PHRASES = [
+    'unusual traffic', 'detected automated queries', 'not a robot', // en
+    'tráfico inusual', // es
+    'trafic exceptionnel', // fr
+    'ungewöhnlichen datenverkehr', // de
+    'traffico insolito', // it
+    'tráfego incomum', // pt
+    '通常と異なるトラフィック', // ja
+    '异常流量', // zh
+    'необычный трафик', // ru
+    'حركة مرور غير عادية', // ar
+];
+
+// "You've reached the end of the list" below the last search result (lowercase, per supported language)
+export const END_OF_LIST_PHRASES = [
+    "you've reached the end of the list", // en
+    'has llegado al final de la lista', // es
+    'vous êtes arrivé à la fin de la liste', // fr
+    'sie haben das ende der liste erreicht', // de
+    "hai raggiunto la fine dell'elenco", // it
+    'você chegou ao fim da lista', 'você chegou ao final da lista', // pt
+    'リストの最後に到達しました', // ja
+    '您已到达列表末尾', '已到达列表末尾', // zh
+    'вы достигли конца списка', // ru
+    'لقد وصلت إلى نهاية القائمة', // ar
+];
+
+// Words of the star rating and review count aria-labels ("4,7 Sterne", "1.234 Rezensionen"), lowercase per supported language
+export const RATING_LABELS = {
+    stars: ['star', 'estrella', 'étoile', 'stern', 'stell', 'estrela', '星', 'звезд', 'звёзд', 'نجم', 'نجوم'],
+    reviews: ['review', 'reseña', 'opiniones', 'avis', 'rezension', 'bewertung', 'recension', 'avaliaç', 'comentário', 'クチコミ', '评论', '则评价', '評論', 'отзыв', 'مراجع', 'تعليق'],
+};
+
+// "Phone" in the phone button aria-label ("Telefon: 030 1234567"), lowercase per supported language
+export const PHONE_LABELS = ['phone', 'teléfono', 'téléphone', 'telefon', 'telefono', 'telefone', '電話', '电话', 'телефон', 'هاتف'];
+
+// Place panel labels, used where the language-independent data-item-id / link is missing (lowercase, per supported language)
+export const DETAIL_LABELS = {
+    // "Website: example.com", "Address: 23 W 23rd St, ..." button aria-labels
+    website: ['website', 'sitio web', 'site web', 'sito web', 'site', 'ウェブサイト', '网站', 'сайт', 'الموقع الإلكتروني'],
+    address: ['address', 'dirección', 'adresse', 'indirizzo', 'endereço', '住所', '地址', 'адрес', 'العنوان'],
+    // "Price: Moderate" aria-label of the price level
+    price: ['price', 'precio', 'prix', 'preis', 'prezzo', 'preço', '価格', '价格', 'цена', 'السعر'],
+    // "Claim this business" link of unclaimed listings
+    claim: [
+        'claim this business', // en
+        'reclamar esta empresa', 'reclamar este negocio', // es
+        'revendiquer cet établissement', // fr
+        'unternehmen beanspruchen', // de
+        'rivendica questa attività', // it
+        'reivindicar esta empresa', // pt
+        'このビジネスのオーナー', // ja
+        '认领此商家', // zh
+        'заявить права на компанию', // ru
+        'المطالبة بهذا النشاط التجاري', // ar
+    ],
+    // Owner replies to reviews / profile managed by the business
+    owner: [
+        'response from the owner', 'managed by this business', // en
+        'respuesta del propietario', // es
+        'réponse du propriétaire', // fr
+        'antwort vom inhaber', // de
+        'risposta del proprietario', // it
+        'resposta do proprietário', // pt
+        'オーナーからの返信', // ja
+        '商家回复', // zh
+        'ответ владельца', // ru
+        'رد من المالك', // ar
+    ],
+};
+
+// Buttons of the consent wall and of interstitial dialogs (lowercase, per supported language)
+export const INTERSTITIAL_LABELS = {
+    accept: [
+        'accept all', 'i agree', // en
+        'aceptar todo', 'acepto', // es
+        'tout accepter', "j'accepte", // fr
+        'alle akzeptieren', 'ich stimme zu', // de
+        'accetta tutto', 'accetto', // it
+        'aceitar tudo', 'concordo', // pt
+        'すべて受け入れる', '同意する', // ja
+        '全部接受', '我同意', // zh
+        'принять все', 'принимаю', // ru
+        'قبول الكل', 'أوافق', // ar
+    ],
+    reject: [
+        'reject all', // en
+        'rechazar todo', // es
+        'tout refuser', // fr
+        'alle ablehnen', // de
+        'rifiuta tutto', // it
+        'rejeitar tudo', // pt
+        'すべて拒否', // ja
+        '全部拒绝', // zh
+        'отклонить все', // ru
+        'رفض الكل', // ar
+    ],
+    // App promos and sign-in prompts
+    dismiss: [
+        'no thanks', 'not now', 'stay on web', 'stay signed out', // en
+        'no, gracias', 'ahora no', 'seguir en la web', // es
+        'non merci', 'pas maintenant', 'rester sur le web', // fr
+        'nein danke', 'nicht jetzt', 'im web bleiben', // de
+        'no grazie', 'non ora', 'resta sul web', // it
+        'não, obrigado', 'agora não', 'continuar na web', // pt
+        '今は使用しない', '後で', 'ウェブで続ける', // ja
+        '不用了', '以后再说', '继续使用网页版', // zh
+        'нет, спасибо', 'не сейчас', 'остаться в веб-версии', // ru
+        'لا، شكرًا', 'ليس الآن', 'البقاء على الويب', // ar
+    ],
+};
+
+// "About" tab of the detail page (per supported language)
+const ABOUT_TAB_LABELS = ['about', 'información', 'acerca de', 'à propos', 'info', 'informazioni', 'sobre', '概要', '简介', 'общие сведения', 'لمحة'];
 
 /**
  * Scrape Google Maps for business listings
@@ -9,7 +210,23 @@ import { PuppeteerCrawler } from 'crawlee';
  * @param {number} params.maxResults - Maximum number of results to return
  * @param {Object} params.filters - Quality filters (minRating, minReviews, etc.)
  * @param {Object} params.proxyConfig - Proxy configuration
- * @param {number} params.maxConcurrency - Max concurrent requests
+ * @param {number} params.maxConcurrency - Max concurrent pages, search and detail pages combined (one shared browser pool)
+ * @param {Object} params.grid - Grid tiling options ({ zoom, maxZoom, boundingBox, polygon }), null = single search
+ * @param {Object} params.nearby - Search around a point instead of a location name ({ lat, lng, radiusKm }); places outside the radius are dropped
+ * @param {Array<string|Object>} params.startUrls - Google Maps place or search URLs to start from instead of a text search
+ * @param {Array<string>} params.placeIds - Google place IDs (ChIJ...) or feature IDs (0x...:0x...) to scrape directly
+ * @param {Function} params.isSavedPlace - Returns true for place URLs saved by an earlier query of this run (skipped before the detail page)
+ * @param {Function} params.isKnownPlace - Returns true for place URLs delivered by earlier runs (skipped before the detail page)
+ * @param {Object} params.timeBudget - Run time budget (utils/timeBudget.js); no new scrolls/detail pages once near the limit
+ * @param {Object} params.filterStats - Filter diagnostics, incremented per reason (noRating, closedPermanently, noWebsite, ...)
+ * @param {Object} params.scrollStats - Why each search feed stopped scrolling, incremented per reason (cap, end, stalled, blocked, timeBudget)
+ * @param {Object} params.extractionHealth - Run-wide field success tracker (utils/extractionHealth.js)
+ * @param {Object} params.blockTracker - Run-wide bot-detection counters and backoff (utils/blockTracker.js)
+ * @param {Object} params.resourceBlocker - Request interception for images, fonts, tiles and analytics (utils/resourceBlocker.js)
+ * @param {Object} params.chainDetector - Run-wide chain/franchise detection by name, domain and known brands (utils/chainDetector.js)
+ * @param {string} params.extractionBackend - 'dom' (rendered page) or 'json' (Maps' embedded place data, DOM for missing fields)
+ * @param {Object} params.resumeState - Persisted query state ({ cards, searchDone, doneDetailUrls }), mutated as the scrape progresses
+ * @param {number} params.restarts - Migrations/restarts of this run so far (run state), part of every request's uniqueKey
  * @returns {Promise<Array>} Array of lead objects
  */
 export const scrapeGoogleMaps = async ({
@@ -19,21 +236,238 @@ export const scrapeGoogleMaps = async ({
     filters = {},
     proxyConfig,
     maxConcurrency = 5,
-    detailConcurrency = null, // Separate concurrency for detail page crawling (null = use default based on proxies)
     fastMode = false, // Skip detail pages for 10x speed
     language = 'en', // Language code
-    skipClosedPlaces = true, // Filter out permanently closed places
+    consentAction = 'reject', // Button to click on Google's cookie consent wall ('reject' or 'accept')
+    extractionBackend = 'dom', // 'json' decodes APP_INITIALIZATION_STATE and the place/search XHRs first
+    skipClosedPlaces = true, // Filter out permanently and temporarily closed places
     enrichment = {}, // Enrichment options (extractReviews, maxReviewsPerPlace, etc.)
     onLeadScraped = null, // Callback function called for each successfully scraped lead
+    grid = null, // Split the area into map tiles to get past the ~120 results cap
+    nearby = null, // { lat, lng, radiusKm }: search around a point, leads get distanceKm
+    startUrls = [], // Known place/search URLs (skips the text search)
+    placeIds = [], // Known place IDs (skips the text search)
+    resumeState = null, // State restored after a migration/restart (see utils/runState.js)
+    restarts = 0, // Container restarts so far: requests of each container get their own unique keys
+    isSavedPlace = null, // Skip places another query of this run already saved
+    isKnownPlace = null, // "New leads only" mode: skip places delivered by earlier runs
+    timeBudget = null, // Stop starting new work near the time limit
+    filterStats = {}, // Run-wide filter counters (mutated)
+    scrollStats = {}, // Run-wide scroll stop reasons (mutated)
+    extractionHealth = null, // Per-field extraction success rates (selector drift detection)
+    blockTracker = null, // Block counters and retry backoff
+    resourceBlocker = null, // Aborts heavy requests the extractors don't need
+    chainDetector = null, // Flags chains/franchises (filtered when filters.excludeChains is on)
 }) => {
-    const leads = [];
-    const processedUrls = new Set();
+    const countFiltered = (reason) => {
+        filterStats[reason] = (filterStats[reason] || 0) + 1;
+    };
+
+    // Google served a CAPTCHA / "unusual traffic" page: throwing a SessionError retires the session
+    // (proxy IP, cookies and browser) and the request is retried on a fresh one after a backoff
+    const assertNotBlocked = async (page, crawlerName) => {
+        const blockReason = await runExtractor(page, detectBlockPage, BLOCK_PHRASES).catch(() => null);
+        if (!blockReason) {
+            blockTracker?.recordSuccess();
+            return;
+        }
+        blockTracker?.recordBlock(crawlerName, blockReason);
+        console.error(`🚫 Blocked by Google on ${crawlerName} page (${blockReason}), retiring session: ${page.url()}`);
+        throw new SessionError(`Blocked by Google: ${blockReason}`);
+    };
 
-    // Construct Google Maps search URL with language
-    const searchQuery = `${category} in ${location}`;
-    const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}?hl=${language}`;
+    // consent.google.com cookie wall or an interstitial dialog (app promo, sign-in prompt) instead of Maps:
+    // click it away and store the consent cookies in the session so its next pages go straight to Maps
+    // (crawlee only saves cookies right after navigation, i.e. before the click)
+    const dismissInterstitials = async (page, session, crawlerName) => {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const found = await runExtractor(page, findInterstitialButton, INTERSTITIAL_LABELS, consentAction).catch(() => null);
+            if (!found) return;
 
-    console.log(`🔍 Searching Google Maps: "${searchQuery}" (language: ${language})`);
+            if (!found.action) {
+                throw new Error(`Unrecognized ${found.kind} page on ${crawlerName} page, no known button: ${page.url()}`);
+            }
+
+            console.log(`🍪 ${found.kind === 'consent' ? 'Consent wall' : 'Interstitial'} on ${crawlerName} page, clicking "${found.label}"`);
+            blockTracker?.recordInterstitial(found.kind);
+
+            if (found.kind === 'consent') {
+                // Saving the choice redirects back to the Maps URL (or reloads the page for the in-page dialog)
+                await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 15000 }).catch(() => null),
+                    page.click('[data-gmaps-dismiss]'),
+                ]);
+                await page.waitForNetworkIdle({ timeout: 10000 }).catch(() => {});
+                session?.setCookies(await page.cookies(), page.url());
+            } else {
+                await page.click('[data-gmaps-dismiss]');
+                await page.waitForTimeout(1000);
+            }
+        }
+        throw new Error(`Could not get past the consent/interstitial page on ${crawlerName} page: ${page.url()}`);
+    };
+
+    // JSON backend: Maps XHR bodies captured per page (see preNavigationHooks), decoded with the page's
+    // APP_INITIALIZATION_STATE. Whatever the payloads lack is still read from the rendered page.
+    const useEmbeddedData = extractionBackend === 'json';
+    const capturedPayloads = new WeakMap();
+
+    // Embedded payloads of a page: { place: [...], search: [...] }, newest place payload first, search ones in feed order
+    const readEmbeddedPayloads = async (page) => {
+        const captured = capturedPayloads.get(page) || { place: [], search: [] };
+        const initial = await page.evaluate(() => {
+            // [3] is an array on most builds, an object with one array value on some
+            const state = window.APP_INITIALIZATION_STATE?.[3];
+            const slot = Array.isArray(state) ? state : state && Object.values(state).find(Array.isArray);
+            return slot ? { place: slot[6] ?? null, search: slot[2] ?? null } : null;
+        }).catch(() => null);
+
+        return {
+            place: [...captured.place].reverse().concat(initial?.place ? [initial.place] : []),
+            search: [initial?.search, ...captured.search].filter(Boolean),
+        };
+    };
+
+    // Search cards from the embedded result lists, or the rendered feed when there are none (or on the DOM backend)
+    const extractCards = async (page) => {
+        if (useEmbeddedData) {
+            const { search } = await readEmbeddedPayloads(page);
+            const cards = search
+                .flatMap((payload) => parseSearchPayload(payload, CLOSED_STATUS_PHRASES))
+                .map((place) => ({
+                    businessName: place.businessName,
+                    googleMapsUrl: buildPlaceIdUrl(place.featureId || place.placeId, language),
+                    rating: place.rating,
+                    reviewCount: place.reviewCount ?? 0,
+                    businessStatus: place.businessStatus || 'OPERATIONAL',
+                    isAdvertisement: false, // Paid placements are not part of the result list payload
+                    placeId: place.placeId,
+                    latitude: place.latitude,
+                    longitude: place.longitude,
+                }))
+                .filter((card) => card.googleMapsUrl)
+                .map((card, index) => ({ ...card, searchRank: index + 1 }));
+
+            if (cards.length > 0) {
+                return {
+                    cards,
+                    debug: {
+                        source: 'embedded JSON',
+                        totalElements: cards.length,
+                        cardsExtracted: cards.length,
+                        cardStrategies: cards.map(() => ({ rating: 'json', reviews: 'json' })),
+                    },
+                };
+            }
+            console.log('⚠️ No embedded search results, reading the rendered feed');
+        }
+
+        return runExtractor(page, extractSearchCards, CLOSED_STATUS_PHRASES, SPONSORED_LABELS, RATING_LABELS);
+    };
+
+    // Session pool settings shared by both crawlers (blocked sessions are retired, not reused)
+    const sessionSettings = (persistStateKey) => ({
+        useSessionPool: true,
+        persistCookiesPerSession: true,
+        maxSessionRotations: 10,
+        sessionPoolOptions: {
+            persistStateKey,
+            sessionOptions: { maxUsageCount: 100 },
+        },
+        // Runs before the retry is queued: back off exponentially while Google keeps blocking
+        async errorHandler(context, error) {
+            if (error instanceof SessionError) await blockTracker?.backoff();
+        },
+    });
+
+    // Cards and finished detail pages live in the (persisted) query state so a restarted run can resume
+    const queryState = resumeState || { cards: [], searchDone: false, doneDetailUrls: new Set() };
+    const leads = queryState.cards;
+    const processedUrls = new Set(leads.map((lead) => getPlaceKey(lead.googleMapsUrl)));
+
+    if (queryState.searchDone || leads.length > 0) {
+        console.log(`♻️ Resuming: ${leads.length} cards already collected, ${queryState.doneDetailUrls.size} places already processed`);
+    }
+
+    // Places given directly as URLs/IDs go straight to the detail crawler
+    const directPlaces = [];
+    let startRequests = [];
+
+    const startPlaceUrls = [
+        ...startUrls.map((source) => (typeof source === 'string' ? source : source?.url)),
+        ...placeIds.map((placeId) => buildPlaceIdUrl(placeId, language)),
+    ].filter(Boolean);
+
+    for (const url of startPlaceUrls) {
+        if (isSearchUrl(url)) {
+            startRequests.push({ url, label: 'SEARCH' });
+            continue;
+        }
+        if (!isPlaceUrl(url)) {
+            console.warn(`⚠️ Skipping unsupported start URL: ${url}`);
+            continue;
+        }
+
+        const placeKey = getPlaceKey(url);
+        if (processedUrls.has(placeKey)) continue;
+        processedUrls.add(placeKey);
+
+        if (isSavedPlace && isSavedPlace(url)) {
+            console.log(`⏭️ Skipped (already saved by another query): ${url}`);
+            continue;
+        }
+        if (isKnownPlace && isKnownPlace(url)) {
+            console.log(`⏭️ Skipped (delivered in an earlier run): ${url}`);
+            continue;
+        }
+
+        directPlaces.push({
+            businessName: null, // Read from the detail page
+            googleMapsUrl: url,
+            rating: null,
+            reviewCount: null,
+        });
+    }
+
+    if (startPlaceUrls.length > 0) {
+        console.log(`📌 Starting from ${startPlaceUrls.length} URLs/place IDs: ${directPlaces.length} places, ${startRequests.length} searches`);
+    } else if (nearby) {
+        // Map centered on the point, zoomed so the viewport just covers the radius
+        const center = { lat: nearby.lat, lng: nearby.lng, zoom: getZoomForRadius(nearby.lat, nearby.radiusKm) };
+
+        console.log(`📍 Nearby search: "${category}" within ${nearby.radiusKm} km of ${nearby.lat},${nearby.lng} (zoom ${center.zoom}, language: ${language})`);
+        startRequests = [{ url: buildTileSearchUrl(category, center, language), label: 'SEARCH' }];
+    } else {
+        // Construct Google Maps search URL with language
+        const searchQuery = `${category} in ${location}`;
+        const searchUrl = `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}?hl=${language}`;
+
+        console.log(`🔍 Searching Google Maps: "${searchQuery}" (language: ${language})`);
+        startRequests = [{ url: searchUrl, label: 'SEARCH' }];
+    }
+
+    // Grid mode: one search per map tile instead of a single text search
+    const gridStats = grid ? { tiles: 0, splitTiles: 0 } : null;
+    const maxGridZoom = grid?.maxZoom || 18;
+
+    if (grid && startPlaceUrls.length === 0) {
+        // Nearby search: only tiles inside the radius
+        const area = await resolveSearchArea({
+            location,
+            boundingBox: grid.boundingBox,
+            polygon: nearby ? buildCirclePolygon(nearby, nearby.radiusKm) : grid.polygon,
+        });
+        const tiles = buildGridTiles(area, grid.zoom || 14);
+        gridStats.tiles = tiles.length;
+
+        startRequests = tiles.map((tile) => ({
+            url: buildTileSearchUrl(category, tile, language),
+            label: 'SEARCH',
+            userData: { tile },
+        }));
+
+        console.log(`🗺️ Grid search: ${tiles.length} tiles at zoom ${grid.zoom || 14} (auto-split up to zoom ${maxGridZoom})`);
+    }
 
     // Set up proxy configuration with fallback
     let proxyConfiguration;
@@ -62,881 +496,960 @@ export const scrapeGoogleMaps = async ({
         }
     }
 
-    const crawler = new PuppeteerCrawler({
-        proxyConfiguration,
-        // Respect user's performance preset choice (Balanced/Fast/Turbo)
-        maxConcurrency: maxConcurrency,
-        maxRequestRetries: 5, // Increased for production reliability
-        requestHandlerTimeoutSecs: 60, // Production timeout for slow pages
-        navigationTimeoutSecs: 30, // Production navigation timeout
+    // Search and detail pages run in one crawler: one request queue, one browser pool and one concurrency
+    // budget. Every new card is queued for its detail page right away, so places are scraped and saved
+    // while the search is still scrolling instead of after it.
+    const usingProxies = proxyConfiguration !== undefined;
+    const detailedLeads = [];
 
-        launchContext: {
-            launchOptions: {
-                headless: true,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-dev-shm-usage',
-                    '--disable-web-security',
-                    '--disable-features=IsolateOrigins,site-per-process',
-                ],
-            },
-            useChrome: true, // Use full Chrome instead of Chromium
-        },
+    const crawlerSettings = {
+        navTimeout: 60, // Increased to handle slow Google Maps pages
+        handlerTimeout: 90, // Increased to handle slow extraction + email crawling
+        retries: 5, // Increased for production reliability
+    };
 
-        // Set realistic browser context
-        preNavigationHooks: [
-            async ({ page, request }) => {
-                // Set realistic viewport
-                await page.setViewport({ width: 1920, height: 1080 });
+    console.log(`⚙️ Crawler settings: ${usingProxies ? 'WITH' : 'WITHOUT'} proxies (concurrency: ${maxConcurrency} search + detail pages, nav timeout: ${crawlerSettings.navTimeout}s, handler timeout: ${crawlerSettings.handlerTimeout}s)`);
 
-                // Set realistic user agent
-                await page.setUserAgent(
-                    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                );
+    // Nearby search: km from the center (null without a center or place coordinates)
+    const getDistanceFromCenter = (place) => {
+        if (!nearby || !Number.isFinite(place.latitude) || !Number.isFinite(place.longitude)) return null;
+        return Math.round(getDistanceKm(nearby, { lat: place.latitude, lng: place.longitude }) * 100) / 100;
+    };
 
-                // Remove webdriver flag
-                await page.evaluateOnNewDocument(() => {
-                    Object.defineProperty(navigator, 'webdriver', { get: () => false });
-                });
-            },
-        ],
+    // Search requests queued or running; at 0 the search is done and not repeated after a restart,
+    // unless the time budget cut a search short (a resumed run searches again, known cards are skipped)
+    let pendingSearches = 0;
+    let searchCutShort = false;
+    const finishSearch = () => {
+        pendingSearches--;
+        if (pendingSearches === 0 && !searchCutShort) {
+            queryState.searchDone = true;
+            console.log(`📋 Search finished with ${leads.length} business cards`);
+        }
+    };
 
-        async requestHandler({ page, request }) {
-            console.log(`🌐 Loading: ${request.url}`);
+    // Near the time limit: the crawler opens no new pages (queued ones stay for a resumed run), in-flight ones finish
+    const isOutOfTime = () => {
+        if (!timeBudget?.isNearLimit()) return false;
+        crawler.stop('Time budget nearly used, no new pages will be opened');
+        return true;
+    };
 
-            // Handle different request types
-            if (!request.label || request.label === 'SEARCH') {
-                // This is the main search page
-                try {
-                    // Wait for page to fully load
-                    await page.waitForNetworkIdle({ timeout: 15000 }).catch(() => {
-                        console.log('⏳ Network not idle after 15s, continuing anyway...');
-                    });
+    // The default request queue outlives a migration, and requests skipped near the time limit are marked
+    // handled in it. Keys are per container so a resumed run can queue those pages again.
+    const getUniqueKey = (label, url) => `${restarts}:${label}:${url}`;
 
-                    // Wait for results to load
-                    await page.waitForSelector('[role="feed"]', { timeout: 30000 });
-                    console.log('✅ Google Maps results loaded');
+    const buildDetailRequest = (lead) => ({
+        url: lead.googleMapsUrl,
+        uniqueKey: getUniqueKey('DETAIL', lead.googleMapsUrl),
+        label: 'DETAIL',
+        userData: {
+            businessName: lead.businessName,
+            rating: lead.rating,
+            reviewCount: lead.reviewCount,
+            businessStatus: lead.businessStatus || null,
+            searchRank: lead.searchRank ?? null,
+            isAdvertisement: lead.isAdvertisement || false,
+            distanceKm: lead.distanceKm ?? null,
+            isChain: lead.isChain || false,
+            chainReason: lead.chainReason || null,
+            extractReviews: enrichment?.extractReviews || false,
+            maxReviewsPerPlace: enrichment?.maxReviewsPerPlace || 10,
+        },
+    });
 
-                // Scroll to load more results (bypass 120-result limit)
-                let scrollAttempts = 0;
-                const maxScrollAttempts = Math.ceil(maxResults / 20); // ~20 results per scroll
+    // Hand new cards to the next stage: their detail pages, or in fast mode straight to the dataset
+    const queueCards = async (cards) => {
+        if (cards.length === 0) return;
 
-                while (leads.length < maxResults && scrollAttempts < maxScrollAttempts) {
-                    // Scroll the results panel
-                    await page.evaluate(() => {
-                        const feed = document.querySelector('[role="feed"]');
-                        if (feed) {
-                            feed.scrollTop = feed.scrollHeight;
-                        }
-                    });
+        if (!fastMode) {
+            // Ahead of remaining grid tiles, so the detail stage never waits for the whole search;
+            // reversed because each forefront request goes before the previous one
+            await crawler.addRequests(cards.map(buildDetailRequest).reverse(), { forefront: true });
+            return;
+        }
 
-                    // Wait for new content to load (faster in fast mode)
-                    await page.waitForTimeout(fastMode ? 1000 : 2000);
+        if (!onLeadScraped) return;
+        for (const lead of cards) {
+            try {
+                await onLeadScraped(lead);
+                queryState.doneDetailUrls.add(lead.googleMapsUrl);
+                console.log(`💾 Saved (fast mode): ${lead.businessName}`);
+            } catch (callbackError) {
+                console.error(`❌ Fast mode save failed for ${lead.businessName}: ${callbackError.message}`);
+            }
+        }
+    };
 
-                    // Extract visible business cards with updated selectors
-                    const extractionResult = await page.evaluate(() => {
-                        const cards = [];
-                        const debug = { selectors: {}, errors: [], reviewExtractionStats: {} };
+    // Search page: scroll the results feed and queue every new card
+    const handleSearch = async ({ page, request, session }) => {
+        console.log(`🌐 Loading: ${request.url}`);
 
-                        // Find all business listing containers in the feed
-                        const feed = document.querySelector('[role="feed"]');
-                        if (!feed) {
-                            debug.feedFound = false;
-                            return { cards, debug };
-                        }
-                        debug.feedFound = true;
-
-                        // Try multiple selector strategies for business cards
-                        debug.selectors.articles = feed.querySelectorAll('div[role="article"]').length;
-                        debug.selectors.nv2pk = feed.querySelectorAll('div.Nv2PK').length;
-                        debug.selectors.placeLinks = feed.querySelectorAll('a[href*="/maps/place/"]').length;
-
-                        const listItems = feed.querySelectorAll('div[role="article"], div.Nv2PK, a[href*="/maps/place/"]');
-                        debug.totalElements = listItems.length;
-
-                        const processedUrls = new Set();
-
-                        listItems.forEach((item) => {
-                            try {
-                                // Find the place link
-                                let link = item.querySelector('a[href*="/maps/place/"]') ||
-                                          (item.tagName === 'A' && item.href?.includes('/maps/place/') ? item : null);
-
-                                if (!link) return;
-
-                                const href = link.href;
-                                if (!href || processedUrls.has(href)) return;
-                                processedUrls.add(href);
-
-                                // Find the parent container (article or closest div)
-                                const container = item.closest('[role="article"]') ||
-                                                 item.closest('div.Nv2PK') ||
-                                                 link.closest('div[jsaction]') ||
-                                                 item;
-
-                                if (!container) return;
-
-                                // Extract business name (try multiple selectors)
-                                let name = null;
-                                const nameSelectors = [
-                                    '[class*="fontHeadline"]',
-                                    '[class*="fontBodyMedium"]',
-                                    'div[role="heading"]',
-                                    '.fontDisplayLarge',
-                                    'a[href*="/maps/place/"] div'
-                                ];
-
-                                for (const selector of nameSelectors) {
-                                    const nameEl = container.querySelector(selector);
-                                    if (nameEl?.textContent?.trim()) {
-                                        name = nameEl.textContent.trim();
-                                        break;
-                                    }
-                                }
-
-                                // If still no name, try the link's aria-label
-                                if (!name && link.getAttribute('aria-label')) {
-                                    name = link.getAttribute('aria-label');
-                                }
-
-                                // Extract rating with multiple fallback strategies
-                                let rating = null;
-                                let ratingStrategy = null;
-
-                                // Strategy 1: aria-label with "star"
-                                let ratingEl = container.querySelector('[role="img"][aria-label*="star"]') ||
-                                              container.querySelector('span[aria-label*="stars"]') ||
-                                              container.querySelector('[aria-label*="star"]');
-
-                                if (ratingEl) {
-                                    const ratingText = ratingEl.getAttribute('aria-label') || '';
-                                    const match = ratingText.match(/(\d+\.?\d*)\s*star/i);
-                                    if (match) {
-                                        rating = parseFloat(match[1]);
-                                        ratingStrategy = 'aria-label-star';
-                                    } else {
-                                        // DEBUG: Log failed aria-label extractions to identify pattern issues
-                                        console.log(`⚠️ Rating aria-label found but regex failed: "${ratingText}" for ${name}`);
-                                    }
-                                }
-
-                                // Strategy 2: Look for decimal number pattern (e.g., "4.7" or "3.3")
-                                if (rating === null) {
-                                    const allText = container.textContent || '';
-                                    // Match rating-like numbers (1.0-5.0 range)
-                                    const ratingMatch = allText.match(/\b([1-5]\.\d)\b/);
-                                    if (ratingMatch) {
-                                        rating = parseFloat(ratingMatch[1]);
-                                        ratingStrategy = 'text-decimal';
-                                    }
-                                }
-
-                                // Strategy 3: Look in spans for rating numbers
-                                if (rating === null) {
-                                    const spans = container.querySelectorAll('span');
-                                    for (const span of spans) {
-                                        const text = span.textContent?.trim() || '';
-                                        // Match X.X format where X is 1-5
-                                        if (/^[1-5]\.\d$/.test(text)) {
-                                            rating = parseFloat(text);
-                                            ratingStrategy = 'span-rating';
-                                            break;
-                                        }
-                                    }
-                                }
-
-                                // Track which strategies work
-                                if (ratingStrategy) {
-                                    debug.ratingExtractionStats = debug.ratingExtractionStats || {};
-                                    debug.ratingExtractionStats[ratingStrategy] = (debug.ratingExtractionStats[ratingStrategy] || 0) + 1;
-                                } else {
-                                    debug.ratingExtractionStats = debug.ratingExtractionStats || {};
-                                    debug.ratingExtractionStats['failed'] = (debug.ratingExtractionStats['failed'] || 0) + 1;
-                                }
-
-                                // Extract review count with multiple fallback strategies
-                                let reviewCount = 0;
-                                let reviewStrategy = null;
-
-                                // Strategy 1: Look for aria-label with "review"
-                                let reviewEl = container.querySelector('span[aria-label*="review"]') ||
-                                              container.querySelector('button[aria-label*="review"]');
-
-                                if (reviewEl) {
-                                    const reviewText = reviewEl.getAttribute('aria-label') || '';
-                                    const match = reviewText.match(/(\d+)/);
-                                    if (match) {
-                                        reviewCount = parseInt(match[1]);
-                                        reviewStrategy = 'aria-label';
-                                    }
-                                }
-
-                                // Strategy 2: Look for text content with parentheses (e.g., "(123)")
-                                if (reviewCount === 0) {
-                                    const allText = container.textContent || '';
-                                    const parenMatch = allText.match(/\((\d+)\)/);
-                                    if (parenMatch) {
-                                        reviewCount = parseInt(parenMatch[1]);
-                                        reviewStrategy = 'parentheses';
-                                    }
-                                }
-
-                                // Strategy 3: Look for rating element siblings
-                                if (reviewCount === 0 && ratingEl) {
-                                    const parent = ratingEl.parentElement;
-                                    if (parent) {
-                                        const siblingText = parent.textContent || '';
-                                        const numMatch = siblingText.match(/(\d+)\s*reviews?/i);
-                                        if (numMatch) {
-                                            reviewCount = parseInt(numMatch[1]);
-                                            reviewStrategy = 'rating-sibling';
-                                        }
-                                    }
-                                }
-
-                                // Strategy 4: Look for span with review numbers next to rating
-                                if (reviewCount === 0) {
-                                    const spans = container.querySelectorAll('span');
-                                    for (const span of spans) {
-                                        const text = span.textContent?.trim() || '';
-                                        // Match patterns like "123 reviews" or just "(123)"
-                                        if (/^\(?\d+\)?$/.test(text) && text.length <= 6) {
-                                            const num = parseInt(text.replace(/[()]/g, ''));
-                                            if (num > 0 && num < 1000000) { // Sanity check
-                                                reviewCount = num;
-                                                reviewStrategy = 'span-number';
-                                                break;
-                                            }
-                                        }
-                                    }
-                                }
-
-                                // Track which strategies work
-                                if (reviewStrategy) {
-                                    debug.reviewExtractionStats[reviewStrategy] = (debug.reviewExtractionStats[reviewStrategy] || 0) + 1;
-                                } else {
-                                    debug.reviewExtractionStats['failed'] = (debug.reviewExtractionStats['failed'] || 0) + 1;
-                                }
-
-                                if (name && href) {
-                                    cards.push({
-                                        businessName: name,
-                                        googleMapsUrl: href,
-                                        rating: rating,
-                                        reviewCount: reviewCount,
-                                    });
-                                }
-                            } catch (err) {
-                                debug.errors.push(err.message);
-                            }
-                        });
+        // Remaining grid tiles are not needed once enough places were collected
+        if (leads.length >= maxResults) {
+            console.log(`⏭️ Skipping search, already collected ${leads.length}/${maxResults} places`);
+            return;
+        }
 
-                        debug.cardsExtracted = cards.length;
-                        return { cards, debug };
-                    });
+        if (isOutOfTime()) {
+            searchCutShort = true;
+            console.log(`⏱️ Skipping search, time budget nearly used: ${request.url}`);
+            return;
+        }
 
-                    const newBusinessCards = extractionResult.cards;
+        const tile = request.userData?.tile || null;
+        blockTracker?.recordRequest('search');
 
-                    // Log diagnostic info
-                    console.log(`🔍 DIAGNOSTICS:`, JSON.stringify(extractionResult.debug, null, 2));
-                    console.log(`📊 Found ${extractionResult.debug.totalElements} elements, extracted ${extractionResult.debug.cardsExtracted} cards`);
+        // Scroll waits must end before the crawler's handler timeout, or the whole search is failed and retried
+        const scrollDeadline = Date.now() + crawlerSettings.handlerTimeout * 1000 - SEARCH_HANDLER_RESERVE_MS;
 
-                    // Log sample cards for debugging
-                    if (newBusinessCards.length > 0) {
-                        console.log(`📋 Sample card 1:`, JSON.stringify(newBusinessCards[0], null, 2));
-                        if (newBusinessCards.length > 1) {
-                            console.log(`📋 Sample card 2:`, JSON.stringify(newBusinessCards[1], null, 2));
-                        }
+        // This is the main search page
+        try {
+            // Wait for page to fully load
+            await page.waitForNetworkIdle({ timeout: 15000 }).catch(() => {
+                console.log('⏳ Network not idle after 15s, continuing anyway...');
+            });
+
+            // Don't wait 30s for a results feed behind a consent wall or on a CAPTCHA page
+            await dismissInterstitials(page, session, 'search');
+            await assertNotBlocked(page, 'search');
+
+            // Wait for results to load
+            await page.waitForSelector('[role="feed"]', { timeout: 30000 });
+            console.log('✅ Google Maps results loaded');
+
+            // Scroll until the end-of-list marker, the result cap, or a feed that stopped growing
+            let scrollAttempts = 0;
+            let stalls = 0; // Scrolls in a row that loaded nothing new
+            let stopReason = null;
+
+            // Places seen in this feed, including ones already collected by neighbouring tiles
+            const seenInFeed = new Set();
+
+            while (!stopReason) {
+                // Scroll the results panel, then wait until Google appends to the feed (longer after each stall)
+                const childCount = await page.evaluate(() => {
+                    const feed = document.querySelector('[role="feed"]');
+                    if (!feed) return 0;
+                    feed.scrollTop = feed.scrollHeight;
+                    return feed.children.length;
+                });
+                const feedGrew = await page.waitForFunction(
+                    (previousCount) => (document.querySelector('[role="feed"]')?.children.length ?? 0) !== previousCount,
+                    { timeout: Math.max(1, Math.min(SCROLL_WAIT_MS * (stalls + 1), scrollDeadline - Date.now())), polling: 250 },
+                    childCount,
+                ).then(() => true, () => false);
+
+                // New blocks are appended before their ratings and labels are filled in
+                if (feedGrew) await page.waitForTimeout(fastMode ? 300 : 600);
+
+                // Extract visible business cards with updated selectors
+                const extractionResult = await extractCards(page);
+
+                // Place ID, feature ID and coordinates are encoded in the place URL (embedded-data cards may carry them already)
+                const newBusinessCards = extractionResult.cards.map((card) => {
+                    const placeInfo = parsePlaceUrl(card.googleMapsUrl);
+                    for (const key of Object.keys(placeInfo)) placeInfo[key] = card[key] ?? placeInfo[key];
+                    return { ...card, ...placeInfo, distanceKm: getDistanceFromCenter(placeInfo) };
+                });
+
+                // Log diagnostic info
+                console.log(`🔍 DIAGNOSTICS:`, JSON.stringify(extractionResult.debug, null, 2));
+                console.log(`📊 Found ${extractionResult.debug.totalElements} elements, extracted ${extractionResult.debug.cardsExtracted} cards`);
+
+                // Log sample cards for debugging
+                if (newBusinessCards.length > 0) {
+                    console.log(`📋 Sample card 1:`, JSON.stringify(newBusinessCards[0], null, 2));
+                    if (newBusinessCards.length > 1) {
+                        console.log(`📋 Sample card 2:`, JSON.stringify(newBusinessCards[1], null, 2));
                     }
+                }
 
-                    // Add new unique businesses
-                    let addedCount = 0;
-                    let filteredOut = { noRating: 0, noReviews: 0, duplicate: 0 };
+                // Add new unique businesses
+                const addedCards = [];
+                let newInFeed = 0;
+                let filteredOut = { noRating: 0, noReviews: 0, duplicate: 0, seenBefore: 0, closed: 0, outsideRadius: 0, chain: 0 };
 
-                    for (const card of newBusinessCards) {
-                        if (processedUrls.has(card.googleMapsUrl)) {
-                            filteredOut.duplicate++;
-                            continue;
-                        }
+                for (const [cardIndex, card] of newBusinessCards.entries()) {
+                    const placeKey = getPlaceKey(card.googleMapsUrl);
 
-                        if (leads.length >= maxResults) break;
+                    if (!seenInFeed.has(placeKey)) {
+                        seenInFeed.add(placeKey);
+                        newInFeed++;
+                        extractionHealth?.recordCard(card, extractionResult.debug.cardStrategies?.[cardIndex]);
+                        chainDetector?.recordPlace(card, placeKey); // Every location counts, filtered or not
+                    }
 
-                        // Apply initial filters with logging
-                        // Allow null ratings to pass (will get rating from detail page)
-                        if (filters.minRating && card.rating !== null && card.rating < filters.minRating) {
-                            filteredOut.noRating++;
-                            continue;
-                        }
-                        if (filters.minReviews && card.reviewCount < filters.minReviews) {
-                            filteredOut.noReviews++;
-                            continue;
-                        }
+                    if (processedUrls.has(placeKey)) {
+                        filteredOut.duplicate++;
+                        continue;
+                    }
 
-                        processedUrls.add(card.googleMapsUrl);
-                        leads.push(card);
-                        addedCount++;
+                    // Saved by an earlier query of this run: no second detail page
+                    if (isSavedPlace && isSavedPlace(card.googleMapsUrl)) {
+                        processedUrls.add(placeKey);
+                        filteredOut.duplicate++;
+                        continue;
                     }
 
-                    console.log(`🚫 Filtered out: ${JSON.stringify(filteredOut)}`);
+                    if (leads.length >= maxResults) break;
 
-                    scrollAttempts++;
-                    console.log(
-                        `📊 Scroll ${scrollAttempts}: Found ${addedCount} new businesses (total: ${leads.length}/${maxResults})`
-                    );
+                    // Apply initial filters with logging
+                    // Allow null ratings to pass (will get rating from detail page)
+                    if (filters.minRating && card.rating !== null && card.rating < filters.minRating) {
+                        filteredOut.noRating++;
+                        countFiltered('noRating');
+                        continue;
+                    }
+                    if (filters.minReviews && card.reviewCount < filters.minReviews) {
+                        filteredOut.noReviews++;
+                        countFiltered('noReviews');
+                        continue;
+                    }
+
+                    // Closed businesses are dropped before the detail page and email steps
+                    if (skipClosedPlaces && card.businessStatus !== 'OPERATIONAL') {
+                        processedUrls.add(placeKey);
+                        filteredOut.closed++;
+                        countFiltered(card.businessStatus === 'CLOSED_PERMANENTLY' ? 'closedPermanently' : 'closedTemporarily');
+                        continue;
+                    }
 
-                    // Stop if we haven't found new results in this scroll
-                    if (addedCount === 0) {
-                        console.log('⚠️ No new results found, stopping scroll');
-                        break;
+                    // Nearby search: the map viewport is square, the radius is not
+                    if (card.distanceKm !== null && card.distanceKm > nearby.radiusKm) {
+                        processedUrls.add(placeKey);
+                        filteredOut.outsideRadius++;
+                        countFiltered('outsideRadius');
+                        continue;
+                    }
+
+                    // Chains known from the name alone are dropped before their detail page
+                    const chainReason = chainDetector?.getChainReason(card) ?? null;
+                    if (filters.excludeChains && chainReason) {
+                        processedUrls.add(placeKey);
+                        filteredOut.chain++;
+                        countFiltered('chain');
+                        continue;
+                    }
+                    card.isChain = chainReason !== null;
+                    card.chainReason = chainReason;
+
+                    // Delivered by an earlier run: skip before the expensive detail/email steps
+                    if (isKnownPlace && isKnownPlace(card.googleMapsUrl, card)) {
+                        processedUrls.add(placeKey);
+                        filteredOut.seenBefore++;
+                        countFiltered('seenBefore');
+                        continue;
                     }
+
+                    processedUrls.add(placeKey);
+                    leads.push(card);
+                    addedCards.push(card);
                 }
 
-                console.log(`✅ Collected ${leads.length} business cards`);
+                console.log(`🚫 Filtered out: ${JSON.stringify(filteredOut)}`);
 
-                } catch (error) {
-                    console.error('❌ Error during search scraping', {
-                        error: error.message,
-                        url: request.url,
-                    });
+                // Straight to the detail stage, which runs while this search keeps scrolling
+                await queueCards(addedCards);
 
-                    // Diagnostic: Check what's on the page
-                    try {
-                        const pageTitle = await page.title();
-                        const pageUrl = page.url();
-                        console.log(`🔍 Page diagnostics: title="${pageTitle}", url="${pageUrl}"`);
-
-                        // Check for common Google block messages
-                        const bodyText = await page.evaluate(() => document.body.innerText);
-                        if (bodyText.includes('unusual traffic') || bodyText.includes('CAPTCHA') || bodyText.includes('detected automated queries')) {
-                            console.error('🚫 DETECTED: Google is showing a bot detection page!');
-                        }
-                    } catch (diagError) {
-                        console.log('⚠️ Could not get page diagnostics');
-                    }
+                scrollAttempts++;
+                console.log(
+                    `📊 Scroll ${scrollAttempts}: Found ${addedCards.length} new businesses (total: ${leads.length}/${maxResults})`
+                );
 
-                    throw error;
+                if (leads.length >= maxResults || seenInFeed.size >= GOOGLE_RESULT_CAP) {
+                    stopReason = 'cap';
+                } else if (await runExtractor(page, detectFeedEnd, END_OF_LIST_PHRASES).catch(() => false)) {
+                    stopReason = 'end';
+                } else if (isOutOfTime()) {
+                    stopReason = 'timeBudget';
+                } else if (Date.now() >= scrollDeadline) {
+                    stopReason = 'handlerTimeout';
+                } else if (newInFeed > 0) {
+                    stalls = 0;
+                } else if (await runExtractor(page, detectBlockPage, BLOCK_PHRASES).catch(() => null)) {
+                    stopReason = 'blocked';
+                } else if (stalls >= MAX_SCROLL_STALLS) {
+                    stopReason = 'stalled';
+                } else {
+                    // Slow proxies: nudge the feed up and down so Google fires the next page request again
+                    stalls++;
+                    console.log(`⏳ No new results after scroll ${scrollAttempts}, retrying (${stalls}/${MAX_SCROLL_STALLS})`);
+                    await page.evaluate(() => {
+                        const feed = document.querySelector('[role="feed"]');
+                        if (feed) feed.scrollTop = Math.max(0, feed.scrollHeight - feed.clientHeight * 2);
+                    });
+                    await page.waitForTimeout(500);
                 }
             }
-        },
 
-        failedRequestHandler({ request, error }) {
-            console.error(`❌ Request failed: ${request.url}`, {
+            scrollStats[stopReason] = (scrollStats[stopReason] || 0) + 1;
+            if (stopReason === 'timeBudget') searchCutShort = true;
+            console.log(`🛑 Stopped scrolling (${SCROLL_STOP_DESCRIPTIONS[stopReason]}) after ${scrollAttempts} scrolls, ${seenInFeed.size} places in feed`);
+
+            // The block page replaced the results mid-scroll: retire the session and retry this search
+            if (stopReason === 'blocked') await assertNotBlocked(page, 'search');
+
+            console.log(`✅ Collected ${leads.length} business cards`);
+
+            // Tile hit the result cap: search its 4 quadrants one zoom level deeper
+            if (tile && seenInFeed.size >= TILE_SPLIT_THRESHOLD && leads.length < maxResults) {
+                const childTiles = splitTile(tile, maxGridZoom);
+                if (childTiles.length > 0) {
+                    pendingSearches += childTiles.length;
+                    await crawler.addRequests(childTiles.map((childTile) => {
+                        const url = buildTileSearchUrl(category, childTile, language);
+                        return { url, uniqueKey: getUniqueKey('SEARCH', url), label: 'SEARCH', userData: { tile: childTile } };
+                    }));
+                    gridStats.tiles += childTiles.length;
+                    gridStats.splitTiles++;
+                    console.log(`🗺️ Tile ${tile.lat},${tile.lng} @${tile.zoom}z returned ${seenInFeed.size} places, split into ${childTiles.length} tiles`);
+                } else {
+                    console.log(`⚠️ Tile ${tile.lat},${tile.lng} hit the result cap at max zoom ${maxGridZoom}, some places may be missing`);
+                }
+            }
+
+        } catch (error) {
+            if (error instanceof SessionError) throw error;
+
+            console.error('❌ Error during search scraping', {
                 error: error.message,
+                url: request.url,
             });
-        },
-    });
 
-    // Run the Puppeteer crawler to get listing cards
-    await crawler.run([searchUrl]);
-
-    console.log(`📋 Collected ${leads.length} business cards`);
+            // Diagnostic: Check what's on the page
+            try {
+                const pageTitle = await page.title();
+                const pageUrl = page.url();
+                console.log(`🔍 Page diagnostics: title="${pageTitle}", url="${pageUrl}"`);
+            } catch (diagError) {
+                console.log('⚠️ Could not get page diagnostics');
+            }
 
-    // FAST MODE: Skip detail pages but still save listing data
-    if (fastMode) {
-        console.log(`⚡ Fast mode enabled - skipping detail page extraction`);
+            // The block page may have replaced the results mid-scroll
+            await assertNotBlocked(page, 'search');
 
-        // Call callback for each lead to save data incrementally
-        if (onLeadScraped) {
-            for (const lead of leads) {
-                try {
-                    await onLeadScraped(lead);
-                    console.log(`💾 Saved (fast mode): ${lead.businessName}`);
-                } catch (callbackError) {
-                    console.error(`❌ Fast mode save failed for ${lead.businessName}: ${callbackError.message}`);
-                }
-            }
+            throw error;
         }
+    };
 
-        console.log(`✅ Successfully scraped ${leads.length} businesses (fast mode)`);
-        return leads;
-    }
+    // Detail page: phone, website, hours, attributes and reviews, then filters and saving
+    const handleDetail = async ({ page, request, session }) => {
+        const leadData = request.userData;
 
-    console.log(`🔍 Now fetching details with browsers (lower concurrency)...`);
+        // Opened just before the time limit was reached: leave the place for a resumed run
+        if (isOutOfTime()) {
+            console.log(`⏱️ Skipping details, time budget nearly used: ${leadData.businessName || request.url}`);
+            return;
+        }
 
-    // Now fetch detail pages with Puppeteer (JS needed for Google Maps)
-    // Use LOWER concurrency (2-3 browsers) to prevent CPU overload
-    const detailedLeads = [];
+        console.log(`🔍 Fetching details: ${leadData.businessName || request.url}`);
+        blockTracker?.recordRequest('detail');
 
-    // Adjust settings based on proxy usage and performance preset
-    const usingProxies = proxyConfiguration !== undefined;
+        let blocked = false;
+        try {
+            // Wait for page to load (increased timeouts to handle slow pages)
+            const networkIdleTimeout = usingProxies ? 10000 : 10000;
+            const selectorTimeout = usingProxies ? 15000 : 15000;
 
-    // Determine detail concurrency: use custom value if provided, otherwise use defaults
-    let detailConcurrencyValue;
-    if (detailConcurrency !== null) {
-        detailConcurrencyValue = detailConcurrency; // User-specified concurrency (from performance preset)
-    } else {
-        detailConcurrencyValue = usingProxies ? 3 : 1; // Default: 3 with proxies, 1 without
-    }
+            await page.waitForNetworkIdle({ timeout: networkIdleTimeout }).catch(() => {});
 
-    const detailSettings = {
-        concurrency: detailConcurrencyValue,
-        navTimeout: 60, // Increased to handle slow Google Maps pages
-        handlerTimeout: 90, // Increased to handle slow extraction + email crawling
-        retries: 5 // Increased for production reliability
-    };
+            // The consent wall has no info panel, don't wait for one
+            await dismissInterstitials(page, session, 'detail');
 
-    console.log(`⚙️ Detail crawler settings: ${usingProxies ? 'WITH' : 'WITHOUT'} proxies (concurrency: ${detailSettings.concurrency}, nav timeout: ${detailSettings.navTimeout}s, handler timeout: ${detailSettings.handlerTimeout}s)`);
+            // Wait for main info panel to appear
+            await page.waitForSelector('[role="main"]', { timeout: selectorTimeout }).catch(() => {});
 
-    const detailCrawler = new PuppeteerCrawler({
-        proxyConfiguration,
-        maxConcurrency: detailSettings.concurrency,
-        maxRequestRetries: detailSettings.retries,
-        requestHandlerTimeoutSecs: detailSettings.handlerTimeout,
-        navigationTimeoutSecs: detailSettings.navTimeout,
+            // A CAPTCHA page would otherwise become a lead with no phone or website
+            await assertNotBlocked(page, 'detail');
 
-        launchContext: {
-            launchOptions: {
-                headless: true,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-dev-shm-usage',
-                ],
-            },
-            useChrome: true,
-        },
+            // JSON backend: the place's embedded data first, the rendered panel for every field it lacks
+            let embedded = null;
+            if (useEmbeddedData) {
+                const { place } = await readEmbeddedPayloads(page);
+                embedded = place.map((payload) => parsePlacePayload(payload, CLOSED_STATUS_PHRASES)).find(Boolean) || null;
+                if (!embedded) console.log(`⚠️ No embedded place data, reading the rendered page: ${leadData.businessName || request.url}`);
+            }
 
-        // Same anti-bot measures
-        preNavigationHooks: [
-            async ({ page }) => {
-                await page.setViewport({ width: 1920, height: 1080 });
-                await page.setUserAgent(
-                    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                );
-                await page.evaluateOnNewDocument(() => {
-                    Object.defineProperty(navigator, 'webdriver', { get: () => false });
-                });
-            },
-        ],
+            if (embedded) {
+                leadData.businessName = leadData.businessName || embedded.businessName;
+                leadData.rating = leadData.rating ?? embedded.rating;
+                leadData.reviewCount = leadData.reviewCount ?? embedded.reviewCount;
+            }
 
-        async requestHandler({ page, request }) {
-            const leadData = request.userData;
-            console.log(`🔍 Fetching details: ${leadData.businessName}`);
+            // Places from startUrls/placeIds have no search card, so read name, rating and reviews from the header
+            if (!leadData.businessName || leadData.rating === null) {
+                const header = await runExtractor(page, extractPlaceHeader, RATING_LABELS).catch(() => ({}));
 
-            try {
-                // Wait for page to load (increased timeouts to handle slow pages)
-                const networkIdleTimeout = usingProxies ? 10000 : 10000;
-                const selectorTimeout = usingProxies ? 15000 : 15000;
+                leadData.businessName = leadData.businessName || header.name || null;
+                leadData.rating = leadData.rating ?? header.rating ?? null;
+                leadData.reviewCount = leadData.reviewCount ?? header.reviewCount ?? 0;
+            }
 
-                await page.waitForNetworkIdle({ timeout: networkIdleTimeout }).catch(() => {});
+            // Business status from the place panel (aria-labels or the red status text)
+            const businessStatus = embedded?.businessStatus || await runExtractor(page, extractBusinessStatus, CLOSED_STATUS_PHRASES)
+                .catch(() => leadData.businessStatus || 'OPERATIONAL');
 
-                // Wait for main info panel to appear
-                await page.waitForSelector('[role="main"]', { timeout: selectorTimeout }).catch(() => {});
+            // Skip if closed and filter is enabled (before phone/website/email work)
+            if (skipClosedPlaces && businessStatus !== 'OPERATIONAL') {
+                countFiltered(businessStatus === 'CLOSED_PERMANENTLY' ? 'closedPermanently' : 'closedTemporarily');
+                console.log(`⏭️ Skipped (${businessStatus === 'CLOSED_PERMANENTLY' ? 'permanently' : 'temporarily'} closed): ${leadData.businessName}`);
+                return;
+            }
 
-                // Extract phone number with multiple strategies
-                let phone = null;
-                try {
-                    phone = await page.evaluate(() => {
-                        // Strategy 1: Look for phone in buttons/links with "phone" label (most reliable)
-                        const buttons = Array.from(document.querySelectorAll('button[aria-label*="hone" i], a[aria-label*="hone" i]'));
-                        for (const btn of buttons) {
-                            const ariaLabel = btn.getAttribute('aria-label') || '';
-                            // Extract phone from aria-label with strict patterns
-                            const patterns = [
-                                /\+1[\s-]?\(?\d{3}\)?[\s-]?\d{3}[\s-]?\d{4}/,  // +1 (123) 456-7890 or +1-123-456-7890
-                                /\(?\d{3}\)?[\s-]\d{3}[\s-]\d{4}/,             // (123) 456-7890 or 123-456-7890 (requires separator)
-                            ];
-                            for (const pattern of patterns) {
-                                const match = ariaLabel.match(pattern);
-                                if (match) return match[0];
-                            }
-                        }
+            // Extract phone number with multiple strategies
+            let phone = embedded?.phone || null;
+            try {
+                phone = phone || await runExtractor(page, extractPhone, PHONE_LABELS);
 
-                        // Strategy 2: Search for phone number buttons in action area
-                        const actionButtons = Array.from(document.querySelectorAll('[data-item-id*="phone"], [data-tooltip*="hone" i]'));
-                        for (const el of actionButtons) {
-                            const text = el.textContent || el.getAttribute('aria-label') || '';
-                            const match = text.match(/\(?\d{3}\)?[\s-]\d{3}[\s-]\d{4}/);
-                            if (match && text.length < 50) { // Avoid matching long text blocks
-                                return match[0];
-                            }
-                        }
+                if (phone) {
+                    console.log(`📞 Found phone: ${phone}`);
+                }
+            } catch (e) {
+                console.warn(`⚠️ Phone extraction error: ${e.message}`);
+            }
 
-                        // Strategy 3: Last resort - search page with STRICT patterns only
-                        const bodyText = document.body.textContent || '';
-                        const strictPatterns = [
-                            /\(\d{3}\)\s\d{3}-\d{4}/,      // (123) 456-7890 - exact format
-                            /\d{3}-\d{3}-\d{4}(?!\d)/,     // 123-456-7890 - not followed by more digits
-                            /\+1\s\(\d{3}\)\s\d{3}-\d{4}/, // +1 (123) 456-7890
-                        ];
-
-                        for (const pattern of strictPatterns) {
-                            const match = bodyText.match(pattern);
-                            if (match) {
-                                // Validate it's not part of a larger number (like a rating)
-                                const phone = match[0];
-                                if (!/\d\.\d/.test(phone)) { // Exclude if contains decimal (like "4.8")
-                                    return phone;
-                                }
-                            }
-                        }
+            // Extract website with multiple fallback strategies
+            let website = embedded?.website || null;
+            try {
+                website = website || await runExtractor(page, extractWebsite, DETAIL_LABELS.website);
 
-                        return null;
-                    });
+                if (website) {
+                    console.log(`🌐 Found website: ${website}`);
+                }
+            } catch (e) {
+                console.warn(`⚠️ Website extraction error: ${e.message}`);
+            }
 
-                    if (phone) {
-                        console.log(`📞 Found phone: ${phone}`);
-                    }
-                } catch (e) {
-                    console.warn(`⚠️ Phone extraction error: ${e.message}`);
+            // Extract address with multiple strategies
+            let address = embedded?.address || null;
+            try {
+                address = address || await runExtractor(page, extractAddress, DETAIL_LABELS.address);
+
+                if (address) {
+                    console.log(`📍 Found address: ${address}`);
                 }
+            } catch (e) {
+                console.warn(`⚠️ Address extraction error: ${e.message}`);
+            }
 
-                // Extract website with multiple fallback strategies
-                let website = null;
-                try {
-                    website = await page.evaluate(() => {
-                        // Strategy 1: Look for links in action buttons
-                        const buttons = Array.from(document.querySelectorAll('button, a'));
-                        for (const btn of buttons) {
-                            const ariaLabel = btn.getAttribute('aria-label') || '';
-                            if (ariaLabel.toLowerCase().includes('website')) {
-                                // Extract URL from onclick or href
-                                const href = btn.getAttribute('href') || btn.onclick?.toString() || '';
-                                const match = href.match(/https?:\/\/[^\s"']+/);
-                                if (match) return match[0];
-                            }
-                        }
+            // Extract category
+            let category = embedded?.category || null;
+            try {
+                category = category || await runExtractor(page, extractCategory);
+            } catch (e) {}
 
-                        // Strategy 2: Look for any external link (not google/social)
-                        const links = Array.from(document.querySelectorAll('a[href]'));
-                        for (const link of links) {
-                            const href = link.href || '';
-                            const text = (link.textContent || '').toLowerCase();
-
-                            // Skip social media and google links
-                            if (href.includes('google.com') || href.includes('facebook.com') ||
-                                href.includes('instagram.com') || href.includes('twitter.com') ||
-                                href.includes('linkedin.com') || href.includes('youtube.com')) {
-                                continue;
-                            }
+            // Extract opening hours (weekly table, aria-label summary and "Open ⋅ Closes 5 PM" status line)
+            let hours = { openingHours: null, specialHours: [], openNow: null, isAlwaysOpen: false };
+            try {
+                hours = parseOpeningHours(embedded?.rawHours || {});
+                if (!hours.openingHours) {
+                    hours = parseOpeningHours(await runExtractor(page, extractOpeningHoursRaw));
+                }
+                if (hours.openingHours) {
+                    console.log(`🕒 Found opening hours (open now: ${hours.openNow === null ? 'unknown' : hours.openNow})`);
+                }
+            } catch (e) {
+                console.warn(`⚠️ Opening hours extraction error: ${e.message}`);
+            }
 
-                            // Look for http links or text containing "website"
-                            if (href.startsWith('http') || text.includes('website')) {
-                                return href;
-                            }
-                        }
+            // Extract social media links with improved selectors
+            const socialLinks = await runExtractor(page, extractSocialLinks);
 
-                        return null;
-                    });
+            // Log social media extraction results
+            const socialCount = Object.values(socialLinks).filter(link => link !== null).length;
+            if (socialCount > 0) {
+                console.log(`🔗 Found ${socialCount} social links:`, socialLinks);
+            } else {
+                console.log(`⚠️ No social media links found for ${leadData.businessName}`);
+            }
 
-                    if (website) {
-                        console.log(`🌐 Found website: ${website}`);
-                    }
-                } catch (e) {
-                    console.warn(`⚠️ Website extraction error: ${e.message}`);
+            // Extract place attributes: overview header first, then the About tab sections
+            let attributes = null;
+            try {
+                const rawAttributes = await runExtractor(page, extractAttributeOverview, DETAIL_LABELS);
+                rawAttributes.priceText = rawAttributes.priceText || embedded?.rawAttributes.priceText || null;
+                rawAttributes.plusCode = rawAttributes.plusCode || embedded?.rawAttributes.plusCode || null;
+
+                // About tab: "Service options", "Accessibility", "From the business" ... sections
+                // (already in the embedded data, which saves the tab click)
+                rawAttributes.sections = embedded?.rawAttributes.sections || [];
+                const tabs = rawAttributes.sections.length > 0 ? [] : await page.$$('button[role="tab"]');
+                for (const tab of tabs) {
+                    const tabLabel = await tab.evaluate((el) => (el.getAttribute('aria-label') || el.textContent || '').trim().toLowerCase());
+                    if (!ABOUT_TAB_LABELS.some((label) => tabLabel.startsWith(label))) continue;
+
+                    await tab.click();
+                    await page.waitForSelector('[role="main"] h2', { timeout: 3000 }).catch(() => {});
+                    await new Promise((resolve) => setTimeout(resolve, 800));
+
+                    rawAttributes.sections = await runExtractor(page, extractAboutSections);
+                    break;
                 }
 
-                // Extract address with multiple strategies
-                let address = null;
-                try {
-                    address = await page.evaluate(() => {
-                        // Strategy 1: Look for address in buttons with aria-label
-                        const buttons = Array.from(document.querySelectorAll('button, a, div'));
-                        for (const el of buttons) {
-                            const ariaLabel = el.getAttribute('aria-label') || '';
-                            if (ariaLabel.toLowerCase().includes('address')) {
-                                // Extract address from aria-label
-                                const addr = ariaLabel.replace(/address:\s*/i, '').trim();
-                                if (addr.length > 10) return addr;
-                            }
-                        }
+                attributes = parsePlaceAttributes(rawAttributes);
+                console.log(`🏷️ Found ${rawAttributes.sections.length} attribute sections (price level: ${attributes.priceLevel ?? 'unknown'})`);
+            } catch (e) {
+                console.warn(`⚠️ Attribute extraction error: ${e.message}`);
+            }
 
-                        // Strategy 2: Look for address patterns in page text
-                        const bodyText = document.body.textContent || '';
+            // Check if listing is claimed (business owner verified)
+            // Most legitimate businesses ARE claimed but don't show explicit badge
+            // Better heuristic: if no "Claim this business" link, it's already claimed
+            let claimed = attributes?.claimStatus !== 'UNCLAIMED';
 
-                        // Pattern 1: Street number + street name + city + state + ZIP
-                        const fullPattern = /\d+\s+[A-Za-z0-9\s\.#]+,\s*[A-Za-z\s]+,\s*[A-Z]{2}\s*\d{5}(-\d{4})?/;
-                        let match = bodyText.match(fullPattern);
-                        if (match) return match[0];
+            // Fallback: if has website AND phone, assume claimed
+            if (!claimed && website && phone) {
+                claimed = true; // Likely claimed if they added full contact info
+            }
 
-                        // Pattern 2: Simplified pattern (street, city, state)
-                        const simplePattern = /\d+\s+[A-Za-z0-9\s\.#]+[,\s]+[A-Za-z\s]+[,\s]+[A-Z]{2}/;
-                        match = bodyText.match(simplePattern);
-                        if (match) return match[0];
+            // Extract reviews if enabled
+            let reviews = [];
+            if (leadData.extractReviews && leadData.maxReviewsPerPlace > 0) {
+                try {
+                    console.log(`📝 Extracting ${leadData.maxReviewsPerPlace} reviews for: ${leadData.businessName}`);
+
+                    // Click on reviews tab ("Reviews", "Rezensionen", "クチコミ", ...)
+                    let reviewsButton = null;
+                    for (const tab of await page.$$('button[role="tab"]')) {
+                        const tabLabel = await tab.evaluate((el) => (el.textContent || el.getAttribute('aria-label') || '').trim().toLowerCase());
+                        if (RATING_LABELS.reviews.some((word) => tabLabel.includes(word))) {
+                            reviewsButton = tab;
+                            break;
+                        }
+                    }
+                    if (reviewsButton) {
+                        await reviewsButton.click();
+                        await page.waitForTimeout(2000); // Wait for reviews to load
+
+                        // Scroll to load more reviews
+                        const reviewsContainer = await page.$('[role="feed"]');
+                        if (reviewsContainer) {
+                            for (let i = 0; i < Math.ceil(leadData.maxReviewsPerPlace / 10); i++) {
+                                await page.evaluate(() => {
+                                    const feed = document.querySelector('[role="feed"]');
+                                    if (feed) feed.scrollTop = feed.scrollHeight;
+                                });
+                                await page.waitForTimeout(1000);
+                            }
 
-                        return null;
-                    });
+                            // Extract review data
+                            reviews = await runExtractor(page, extractReviews, leadData.maxReviewsPerPlace, RATING_LABELS);
 
-                    if (address) {
-                        console.log(`📍 Found address: ${address}`);
+                            console.log(`✅ Extracted ${reviews.length} reviews`);
+                        }
                     }
-                } catch (e) {
-                    console.warn(`⚠️ Address extraction error: ${e.message}`);
+                } catch (reviewError) {
+                    console.warn(`⚠️ Failed to extract reviews: ${reviewError.message}`);
                 }
+            }
 
-                // Extract category
-                let category = null;
-                try {
-                    const categoryButton = await page.$('button[jsaction*="category"]');
-                    if (categoryButton) {
-                        category = await categoryButton.evaluate((el) => el.textContent?.trim());
-                    }
-                } catch (e) {}
+            // Stable IDs and coordinates: from the requested place URL, then the URL the page settled on
+            const placeInfo = parsePlaceUrl(request.url);
+            const loadedPlaceInfo = parsePlaceUrl(page.url());
+            for (const [key, value] of Object.entries(loadedPlaceInfo)) {
+                if (placeInfo[key] === null) placeInfo[key] = embedded?.[key] ?? value;
+            }
 
-                // Check if place is permanently closed
-                const isClosed = (await page.$('[aria-label*="Permanently closed"]')) !== null ||
-                                (await page.$('[aria-label*="Closed permanently"]')) !== null ||
-                                (await page.evaluate(() => document.body.textContent.includes('Permanently closed')));
+            // Chain / franchise: known brand, or the same name or website domain at several places in this run
+            const chainPlace = { businessName: leadData.businessName, website };
+            chainDetector?.recordPlace(chainPlace, getPlaceKey(request.url));
+            const chainReason = chainDetector?.getChainReason(chainPlace) ?? leadData.chainReason ?? null;
 
-                // Skip if closed and filter is enabled
-                if (skipClosedPlaces && isClosed) {
-                    console.log(`⏭️ Skipped (closed): ${leadData.businessName}`);
-                    return;
-                }
+            // Create complete lead object
+            const lead = {
+                businessName: leadData.businessName,
+                googleMapsUrl: request.url,
+                ...placeInfo, // placeId, featureId, cid, latitude, longitude
+                distanceKm: getDistanceFromCenter(placeInfo) ?? leadData.distanceKm ?? null, // Nearby search only
+                searchRank: leadData.searchRank ?? null,
+                isAdvertisement: leadData.isAdvertisement || false,
+                rating: leadData.rating,
+                reviewCount: leadData.reviewCount,
+                phone,
+                website,
+                address,
+                category,
+                isChain: chainReason !== null,
+                chainReason, // 'known brand "regus"', 'name at 4 locations', 'domain example.com at 3 locations'
+                businessStatus, // OPERATIONAL, CLOSED_TEMPORARILY or CLOSED_PERMANENTLY
+                openingHours: hours.openingHours, // { monday: [{ open: '09:00', close: '17:00' }], ... }, [] = closed
+                specialHours: hours.specialHours, // Holiday-adjusted days
+                openNow: hours.openNow,
+                isAlwaysOpen: hours.isAlwaysOpen,
+                claimed,
+                attributes, // { priceLevel, photoCount, plusCode, claimStatus, identifiesAs, serviceOptions: {...}, accessibility: {...}, ... }
+                socialLinks,
+                reviews, // Customer reviews (if extracted)
+            };
 
-                // Check if listing is claimed (business owner verified)
-                // Most legitimate businesses ARE claimed but don't show explicit badge
-                // Better heuristic: if no "Claim this business" button, it's already claimed
-                let claimed = (await page.$('[aria-label*="Claim this business"]')) === null;
+            extractionHealth?.recordDetail(lead);
+            if (chainReason) chainDetector?.recordFlagged(chainReason);
 
-                // Fallback: if has website AND phone, assume claimed
-                if (!claimed && website && phone) {
-                    claimed = true; // Likely claimed if they added full contact info
-                }
+            // Debug: Log extracted data
+            console.log(`📊 Extracted data for ${lead.businessName}:`, {
+                website: website || 'NONE',
+                claimed: claimed ? 'YES' : 'NO',
+                phone: phone || 'NONE',
+                address: address || 'NONE',
+            });
 
-                // Extract social media links with improved selectors
-                const socialLinks = await page.evaluate(() => {
-                    const links = {
-                        linkedin: null,
-                        facebook: null,
-                        twitter: null,
-                        instagram: null,
-                    };
+            // Apply additional filters
+            let shouldInclude = true;
+            const filterReasons = [];
 
-                    // Method 1: Try standard <a> tags
-                    const allLinks = Array.from(document.querySelectorAll('a[href]'));
+            if (filters.hasWebsite && !lead.website) {
+                shouldInclude = false;
+                filterReasons.push('no website');
+                countFiltered('noWebsite');
+            }
 
-                    for (const link of allLinks) {
-                        const href = link.href.toLowerCase();
+            if (filters.claimedListing && !lead.claimed) {
+                shouldInclude = false;
+                filterReasons.push('not claimed');
+                countFiltered('notClaimed');
+            }
 
-                        if (!links.linkedin && href.includes('linkedin.com')) {
-                            links.linkedin = link.href;
-                        }
-                        if (!links.facebook && (href.includes('facebook.com') || href.includes('fb.com'))) {
-                            links.facebook = link.href;
-                        }
-                        if (!links.twitter && (href.includes('twitter.com') || href.includes('x.com'))) {
-                            links.twitter = link.href;
-                        }
-                        if (!links.instagram && href.includes('instagram.com')) {
-                            links.instagram = link.href;
-                        }
-                    }
+            if (filters.hasSocialMedia) {
+                const hasSocial = Object.values(lead.socialLinks).some((link) => link !== null);
+                if (!hasSocial) {
+                    shouldInclude = false;
+                    filterReasons.push('no social media');
+                    countFiltered('noSocialMedia');
+                }
+            }
 
-                    // Method 2: Try buttons and aria-labels (Google Maps sometimes uses these)
-                    if (!links.facebook || !links.instagram || !links.twitter || !links.linkedin) {
-                        const buttons = Array.from(document.querySelectorAll('button[aria-label], a[aria-label]'));
+            // Places given without a search card (or cards without a pin) are only checked here
+            if (nearby && lead.distanceKm !== null && lead.distanceKm > nearby.radiusKm) {
+                shouldInclude = false;
+                filterReasons.push(`${lead.distanceKm} km away (radius ${nearby.radiusKm} km)`);
+                countFiltered('outsideRadius');
+            }
 
-                        for (const btn of buttons) {
-                            const label = (btn.getAttribute('aria-label') || '').toLowerCase();
-                            const dataUrl = btn.getAttribute('data-url') || btn.getAttribute('href') || '';
+            const categoryFilterReason = getCategoryFilterReason(lead, filters);
+            if (categoryFilterReason) {
+                shouldInclude = false;
+                filterReasons.push(categoryFilterReason);
+                countFiltered('category');
+            }
 
-                            if (!links.facebook && (label.includes('facebook') || dataUrl.includes('facebook'))) {
-                                links.facebook = dataUrl || 'https://facebook.com'; // Placeholder
-                            }
-                            if (!links.instagram && (label.includes('instagram') || dataUrl.includes('instagram'))) {
-                                links.instagram = dataUrl || 'https://instagram.com';
-                            }
-                            if (!links.twitter && (label.includes('twitter') || label.includes('x.com') || dataUrl.includes('twitter'))) {
-                                links.twitter = dataUrl || 'https://twitter.com';
-                            }
-                            if (!links.linkedin && (label.includes('linkedin') || dataUrl.includes('linkedin'))) {
-                                links.linkedin = dataUrl || 'https://linkedin.com';
-                            }
-                        }
-                    }
+            if (filters.excludeChains && lead.isChain) {
+                shouldInclude = false;
+                filterReasons.push(`chain (${lead.chainReason})`);
+                countFiltered('chain');
+            }
 
-                    return links;
-                });
+            const hoursFilterReason = getOpeningHoursFilterReason(lead, filters);
+            if (hoursFilterReason) {
+                shouldInclude = false;
+                filterReasons.push(hoursFilterReason);
+                countFiltered('openingHours');
+            }
 
-                // Log social media extraction results
-                const socialCount = Object.values(socialLinks).filter(link => link !== null).length;
-                if (socialCount > 0) {
-                    console.log(`🔗 Found ${socialCount} social links:`, socialLinks);
-                } else {
-                    console.log(`⚠️ No social media links found for ${leadData.businessName}`);
-                }
+            const attributeFilterReason = getAttributeFilterReason(lead, filters);
+            if (attributeFilterReason) {
+                shouldInclude = false;
+                filterReasons.push(attributeFilterReason);
+                countFiltered('attributes');
+            }
+
+            if (shouldInclude) {
+                detailedLeads.push(lead);
+                console.log(`✅ Added: ${lead.businessName} (${lead.website || 'no website'})`);
 
-                // Extract reviews if enabled
-                let reviews = [];
-                if (leadData.extractReviews && leadData.maxReviewsPerPlace > 0) {
+                // Call callback immediately to save data incrementally
+                if (onLeadScraped) {
                     try {
-                        console.log(`📝 Extracting ${leadData.maxReviewsPerPlace} reviews for: ${leadData.businessName}`);
-
-                        // Click on reviews tab
-                        const reviewsButton = await page.$('button[aria-label*="Reviews"]');
-                        if (reviewsButton) {
-                            await reviewsButton.click();
-                            await page.waitForTimeout(2000); // Wait for reviews to load
-
-                            // Scroll to load more reviews
-                            const reviewsContainer = await page.$('[role="feed"]');
-                            if (reviewsContainer) {
-                                for (let i = 0; i < Math.ceil(leadData.maxReviewsPerPlace / 10); i++) {
-                                    await page.evaluate(() => {
-                                        const feed = document.querySelector('[role="feed"]');
-                                        if (feed) feed.scrollTop = feed.scrollHeight;
-                                    });
-                                    await page.waitForTimeout(1000);
-                                }
-
-                                // Extract review data
-                                reviews = await page.evaluate((maxReviews) => {
-                                    const reviewElements = document.querySelectorAll('[data-review-id]');
-                                    const extractedReviews = [];
-
-                                    for (let i = 0; i < Math.min(reviewElements.length, maxReviews); i++) {
-                                        const reviewEl = reviewElements[i];
-                                        try {
-                                            const ratingEl = reviewEl.querySelector('[role="img"][aria-label*="star"]');
-                                            const ratingText = ratingEl?.getAttribute('aria-label') || '';
-                                            const ratingMatch = ratingText.match(/(\d+)\s*star/i);
-                                            const rating = ratingMatch ? parseInt(ratingMatch[1]) : null;
-
-                                            const textEl = reviewEl.querySelector('[class*="review-text"], [class*="MyEned"]');
-                                            const text = textEl?.textContent?.trim() || '';
-
-                                            const authorEl = reviewEl.querySelector('[class*="author"], [class*="d4r55"]');
-                                            const author = authorEl?.textContent?.trim() || 'Anonymous';
-
-                                            const dateEl = reviewEl.querySelector('[class*="date"], [class*="rsqaWe"]');
-                                            const date = dateEl?.textContent?.trim() || '';
-
-                                            if (text || rating) {
-                                                extractedReviews.push({ rating, text, author, date });
-                                            }
-                                        } catch (e) {
-                                            // Skip failed review extraction
-                                        }
-                                    }
-
-                                    return extractedReviews;
-                                }, leadData.maxReviewsPerPlace);
-
-                                console.log(`✅ Extracted ${reviews.length} reviews`);
-                            }
-                        }
-                    } catch (reviewError) {
-                        console.warn(`⚠️ Failed to extract reviews: ${reviewError.message}`);
+                        await onLeadScraped(lead);
+                    } catch (callbackError) {
+                        console.error(`❌ onLeadScraped callback failed: ${callbackError.message}`);
                     }
                 }
+            } else {
+                console.log(`🚫 Filtered: ${lead.businessName} - Reasons: ${filterReasons.join(', ')}`);
+            }
 
-                // Create complete lead object
-                const lead = {
-                    businessName: leadData.businessName,
-                    googleMapsUrl: request.url,
-                    rating: leadData.rating,
-                    reviewCount: leadData.reviewCount,
-                    phone,
-                    website,
-                    address,
-                    category,
-                    claimed,
-                    socialLinks,
-                    reviews, // Customer reviews (if extracted)
-                };
-
-                // Debug: Log extracted data
-                console.log(`📊 Extracted data for ${lead.businessName}:`, {
-                    website: website || 'NONE',
-                    claimed: claimed ? 'YES' : 'NO',
-                    phone: phone || 'NONE',
-                    address: address || 'NONE',
-                });
-
-                // Apply additional filters
-                let shouldInclude = true;
-                const filterReasons = [];
+        } catch (error) {
+            if (error instanceof SessionError) {
+                blocked = true;
+                throw error; // Retried with a fresh session
+            }
+            console.warn(`⚠️ Failed to extract details for ${leadData.businessName}: ${error.message}`);
+        } finally {
+            // Saved, filtered or skipped - either way this place is not processed again after a restart
+            if (!blocked) queryState.doneDetailUrls.add(request.url);
+        }
+    };
 
-                if (filters.hasWebsite && !lead.website) {
-                    shouldInclude = false;
-                    filterReasons.push('no website');
-                }
+    // Detail page failed after all retries: save what the search card had
+    const handleFailedDetail = async ({ request, error }) => {
+        // Still a block page after every retry: a lead without phone and website would look like a real one.
+        // Not marked done, so a resumed run tries the place again.
+        if (error instanceof SessionError) {
+            blockTracker?.recordGaveUp('detail');
+            console.warn(`🚫 Skipped (still blocked after all retries): ${request.userData.businessName || request.url}`);
+            return;
+        }
 
-                if (filters.claimedListing && !lead.claimed) {
-                    shouldInclude = false;
-                    filterReasons.push('not claimed');
-                }
+        console.warn(`⚠️ Request failed for ${request.userData.businessName}: ${error.message}`);
+
+        // Still add partial data even if detail fetch fails
+        const partialLead = {
+            businessName: request.userData.businessName,
+            googleMapsUrl: request.url,
+            ...parsePlaceUrl(request.url),
+            distanceKm: request.userData.distanceKm ?? null,
+            searchRank: request.userData.searchRank ?? null,
+            isAdvertisement: request.userData.isAdvertisement || false,
+            rating: request.userData.rating,
+            reviewCount: request.userData.reviewCount,
+            phone: null,
+            website: null,
+            address: null,
+            category: null,
+            isChain: request.userData.isChain || false,
+            chainReason: request.userData.chainReason || null,
+            businessStatus: request.userData.businessStatus || null,
+            claimed: false,
+            attributes: null,
+            socialLinks: {},
+            error: `Failed to fetch details: ${error.message}`,
+        };
+
+        detailedLeads.push(partialLead);
+        console.log(`⚠️ Added partial data for: ${partialLead.businessName}`);
+
+        // Call callback immediately to save partial data
+        if (onLeadScraped) {
+            try {
+                await onLeadScraped(partialLead);
+            } catch (callbackError) {
+                console.error(`❌ onLeadScraped callback failed: ${callbackError.message}`);
+            }
+        }
+        queryState.doneDetailUrls.add(request.url);
+    };
 
-                if (filters.hasSocialMedia) {
-                    const hasSocial = Object.values(lead.socialLinks).some((link) => link !== null);
-                    if (!hasSocial) {
-                        shouldInclude = false;
-                        filterReasons.push('no social media');
-                    }
-                }
+    const crawler = new PuppeteerCrawler({
+        proxyConfiguration,
+        // Search + detail pages at once, from the user's performance preset (Balanced/Fast/Turbo)
+        maxConcurrency,
+        maxRequestRetries: crawlerSettings.retries,
+        requestHandlerTimeoutSecs: crawlerSettings.handlerTimeout,
+        navigationTimeoutSecs: crawlerSettings.navTimeout,
+        ...sessionSettings('GOOGLE_MAPS_SESSION_POOL'),
 
-                if (shouldInclude) {
-                    detailedLeads.push(lead);
-                    console.log(`✅ Added: ${lead.businessName} (${lead.website || 'no website'})`);
+        launchContext: {
+            launchOptions: {
+                headless: true,
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-blink-features=AutomationControlled',
+                    '--disable-dev-shm-usage',
+                    '--disable-web-security',
+                    '--disable-features=IsolateOrigins,site-per-process',
+                ],
+            },
+            useChrome: true, // Use full Chrome instead of Chromium
+        },
 
-                    // Call callback immediately to save data incrementally
-                    if (onLeadScraped) {
+        // Set realistic browser context
+        preNavigationHooks: [
+            async ({ page, request }) => {
+                // Stop the crawler before more pages are opened; this one is skipped by its handler
+                isOutOfTime();
+
+                // Images, video, fonts, map tiles and analytics never load
+                await resourceBlocker?.attach(page);
+
+                // JSON backend: keep the place and search XHR bodies for the handlers
+                if (useEmbeddedData) {
+                    const payloads = { place: [], search: [] };
+                    capturedPayloads.set(page, payloads);
+                    page.on('response', async (response) => {
+                        const kind = getPayloadKind(response.url());
+                        if (!kind) return;
                         try {
-                            await onLeadScraped(lead);
-                        } catch (callbackError) {
-                            console.error(`❌ onLeadScraped callback failed: ${callbackError.message}`);
-                        }
-                    }
-                } else {
-                    console.log(`🚫 Filtered: ${lead.businessName} - Reasons: ${filterReasons.join(', ')}`);
+                            payloads[kind].push(await response.text());
+                        } catch (e) {} // Body no longer available (page navigated away)
+                    });
                 }
 
-            } catch (error) {
-                console.warn(`⚠️ Failed to extract details for ${leadData.businessName}: ${error.message}`);
-            }
-        },
+                // Set realistic viewport
+                await page.setViewport({ width: 1920, height: 1080 });
 
-        async failedRequestHandler({ request, error }) {
-            console.warn(`⚠️ Request failed for ${request.userData.businessName}: ${error.message}`);
+                // Set realistic user agent
+                await page.setUserAgent(
+                    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+                );
 
-            // Still add partial data even if detail fetch fails
-            const partialLead = {
-                businessName: request.userData.businessName,
-                googleMapsUrl: request.url,
-                rating: request.userData.rating,
-                reviewCount: request.userData.reviewCount,
-                phone: null,
-                website: null,
-                address: null,
-                category: null,
-                claimed: false,
-                socialLinks: {},
-                error: `Failed to fetch details: ${error.message}`,
-            };
+                // Remove webdriver flag
+                await page.evaluateOnNewDocument(() => {
+                    Object.defineProperty(navigator, 'webdriver', { get: () => false });
+                });
+            },
+        ],
 
-            detailedLeads.push(partialLead);
-            console.log(`⚠️ Added partial data for: ${partialLead.businessName}`);
+        async requestHandler(context) {
+            if (context.request.label === 'DETAIL') {
+                await handleDetail(context);
+                return;
+            }
 
-            // Call callback immediately to save partial data
-            if (onLeadScraped) {
-                try {
-                    await onLeadScraped(partialLead);
-                } catch (callbackError) {
-                    console.error(`❌ onLeadScraped callback failed: ${callbackError.message}`);
-                }
+            await handleSearch(context);
+            finishSearch(); // Failed searches are finished in failedRequestHandler
+        },
+
+        async failedRequestHandler(context) {
+            const { request, error } = context;
+            if (request.label === 'DETAIL') {
+                await handleFailedDetail(context);
+                return;
             }
+
+            console.error(`❌ Request failed: ${request.url}`, {
+                error: error.message,
+            });
+            if (error instanceof SessionError) blockTracker?.recordGaveUp('search');
+            finishSearch();
         },
     });
 
-    // Enqueue detail page URLs for detail crawler
-    const detailRequests = leads.map((lead) => ({
-        url: lead.googleMapsUrl,
-        userData: {
-            businessName: lead.businessName,
-            rating: lead.rating,
-            reviewCount: lead.reviewCount,
-            extractReviews: enrichment?.extractReviews || false,
-            maxReviewsPerPlace: enrichment?.maxReviewsPerPlace || 10,
-        },
-    }));
+    // Searches (unless finished before a migration/restart), places given by URL/ID and cards collected
+    // before a restart whose detail page is still missing
+    const initialRequests = queryState.searchDone ? [] : startRequests.map((request) => ({ ...request, uniqueKey: getUniqueKey('SEARCH', request.url) }));
+    pendingSearches = initialRequests.length;
 
-    await detailCrawler.run(detailRequests);
+    const unfinishedCards = leads.filter((lead) => !queryState.doneDetailUrls.has(lead.googleMapsUrl));
+    if (fastMode) {
+        await queueCards(unfinishedCards);
+    } else {
+        initialRequests.push(...unfinishedCards.map(buildDetailRequest));
+    }
+    initialRequests.push(...directPlaces
+        .filter((lead) => !queryState.doneDetailUrls.has(lead.googleMapsUrl))
+        .map(buildDetailRequest));
+
+    // Requests a container stopped near the time limit left unstarted: the requests above replace them
+    const requestQueue = await crawler.getRequestQueue();
+    for (let stale = await requestQueue.fetchNextRequest(); stale; stale = await requestQueue.fetchNextRequest()) {
+        await requestQueue.markRequestHandled(stale);
+    }
+
+    if (initialRequests.length > 0) {
+        await crawler.run(initialRequests);
+    }
+    // Queries of place URLs/IDs only have no search to finish
+    if (pendingSearches === 0 && !searchCutShort) queryState.searchDone = true;
+
+    console.log(`📋 Collected ${leads.length} business cards`);
+    if (gridStats) {
+        console.log(`🗺️ Grid search covered ${gridStats.tiles} tiles (${gridStats.splitTiles} split for hitting the result cap)`);
+    }
+
+    // Fast mode saves listing cards only; places given by URL/ID still needed their detail page
+    if (fastMode && directPlaces.length === 0) {
+        console.log(`✅ Successfully scraped ${leads.length} businesses (fast mode)`);
+        return leads;
+    }
 
     console.log(`✅ Successfully scraped ${detailedLeads.length} businesses with full details`);
+    console.log(`🚫 Filter totals: ${JSON.stringify(filterStats)}`);
 
     return detailedLeads;
 };
+
+/**
+ * Stable key for a place URL, so the same place found from different searches/tiles is deduplicated
+ * Uses the feature ID (!1s0x...:0x...), place ID or cid when present, otherwise the URL without query string
+ * @param {string} url - Google Maps place URL
+ * @returns {string} Place key
+ */
+export const getPlaceKey = (url) => {
+    const featureId = url?.match(/(?:!1s|[?&]ftid=)(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+    if (featureId) return featureId[1].toLowerCase();
+
+    const placeId = url?.match(/place_id:([\w-]+)/);
+    if (placeId) return placeId[1];
+
+    const cid = url?.match(/[?&]cid=(\d+)/);
+    if (cid) return `cid:${cid[1]}`;
+
+    return (url || '').split('?')[0];
+};
+
+/**
+ * Extract stable identifiers and coordinates from a Google Maps place URL
+ * - placeId: Google Places API ID (ChIJ...), from !19s or place_id:
+ * - featureId: Maps feature ID (0x...:0x...), from !1s or ftid=
+ * - cid: customer ID (decimal form of the feature ID's second half), used by maps?cid= links
+ * - latitude/longitude: place pin (!3d/!4d), falling back to the map center (@lat,lng)
+ * @param {string} url - Google Maps place URL
+ * @returns {{placeId: string|null, featureId: string|null, cid: string|null, latitude: number|null, longitude: number|null}}
+ */
+export const parsePlaceUrl = (url) => {
+    const decoded = safeDecode(url || '');
+
+    const placeId = decoded.match(/!19s(ChIJ[\w-]+)/)?.[1] || decoded.match(/place_id:(ChIJ[\w-]+)/)?.[1] || null;
+    const featureId = decoded.match(/(?:!1s|[?&]ftid=)(0x[0-9a-f]+:0x[0-9a-f]+)/i)?.[1]?.toLowerCase() || null;
+
+    let cid = decoded.match(/[?&]cid=(\d+)/)?.[1] || null;
+    if (!cid && featureId) {
+        try {
+            cid = BigInt(featureId.split(':')[1]).toString();
+        } catch (e) {}
+    }
+
+    const pin = decoded.match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/);
+    const center = decoded.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+    const coordinates = pin || center;
+
+    return {
+        placeId,
+        featureId,
+        cid,
+        latitude: coordinates ? parseFloat(coordinates[1]) : null,
+        longitude: coordinates ? parseFloat(coordinates[2]) : null,
+    };
+};
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+// Maps XHRs carrying place data: the place panel payload and the search results pages
+function getPayloadKind(url) {
+    if (/\/maps\/preview\/place\b/.test(url)) return 'place';
+    if (/\/search\?(?:.*&)?tbm=map\b/.test(url)) return 'search';
+    return null;
+}
+
+// Google Maps search result URLs (treated as searches, not places)
+function isSearchUrl(url) {
+    return /google\.[^/]+\/maps\/search\//i.test(url);
+}
+
+// Google Maps place URLs, place_id queries and cid/ftid links
+function isPlaceUrl(url) {
+    return /google\.[^/]+\/maps\/place\//i.test(url)
+        || /google\.[^/]+\/maps\/?\?.*\b(cid|ftid)=/i.test(url)
+        || /[?&]q=place_id:/i.test(url);
+}
+
+/**
+ * Build a place URL from a Google place ID (ChIJ...) or feature ID (0x...:0x...)
+ */
+function buildPlaceIdUrl(placeId, language) {
+    const id = String(placeId || '').trim();
+    if (!id) return null;
+
+    if (/^0x[0-9a-f]+:0x[0-9a-f]+$/i.test(id)) {
+        return `https://www.google.com/maps?ftid=${id}&hl=${language}`;
+    }
+    return `https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(id)}&hl=${language}`;
+}
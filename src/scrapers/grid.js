@@ -0,0 +1,295 @@
+/**
+ * Geographic grid tiling for Google Maps searches
+ *
+ * Google Maps stops returning cards after ~120 results per search, no matter how far
+ * the feed is scrolled. Splitting the area into map tiles and searching each tile
+ * separately (`/maps/search/{category}/@lat,lng,zoomz`) gets past that cap.
+ */
+
+// Viewport used by the crawlers (see preNavigationHooks in googleMaps.js)
+const VIEWPORT_WIDTH = 1920;
+const VIEWPORT_HEIGHT = 1080;
+
+// Google Maps tile size in pixels (Web Mercator)
+const TILE_SIZE = 256;
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Nominatim usage policy: at most one request per second, from a client identified by its User-Agent
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const NOMINATIM_MIN_INTERVAL_MS = 1000;
+const NOMINATIM_USER_AGENT = 'Apify-B2B-Lead-Generator/1.0';
+
+// Geocoded areas of this run by location, so a location searched for several categories is looked up once
+const geocodeCache = new Map();
+let nextGeocodeAt = 0;
+
+/**
+ * Resolve the area to tile from input: explicit polygon, bounding box, or geocoded location
+ * @param {Object} params - Area parameters
+ * @param {string} params.location - Free-text location (geocoded when no box/polygon is given)
+ * @param {Object} params.boundingBox - { north, south, east, west } in degrees
+ * @param {Array} params.polygon - [lng, lat] points, or the coordinates of a GeoJSON Polygon/MultiPolygon
+ * @returns {Promise<{boundingBox: Object, polygons: Array|null}>} Area to cover
+ */
+export const resolveSearchArea = async ({ location, boundingBox, polygon }) => {
+    const polygons = normalizePolygon(polygon);
+    if (polygons) {
+        return { boundingBox: getPolygonBounds(polygons), polygons };
+    }
+
+    if (isValidBoundingBox(boundingBox)) {
+        return { boundingBox: { ...boundingBox }, polygons: null };
+    }
+
+    if (!location) {
+        throw new Error('Grid search needs a location, bounding box or polygon');
+    }
+
+    // Geocode the location with OpenStreetMap Nominatim, once per location and run
+    const key = location.trim().toLowerCase();
+    if (!geocodeCache.has(key)) {
+        // Failed lookups aren't cached, the next query of the location tries again
+        geocodeCache.set(key, geocodeLocation(location).catch((error) => {
+            geocodeCache.delete(key);
+            throw error;
+        }));
+    }
+
+    const area = await geocodeCache.get(key);
+    return { boundingBox: { ...area.boundingBox }, polygons: area.polygons };
+};
+
+/**
+ * Split an area into map tiles at the given zoom level
+ * @param {Object} area - Result of resolveSearchArea
+ * @param {number} zoom - Google Maps zoom level (higher = smaller tiles)
+ * @returns {Array<{lat: number, lng: number, zoom: number}>} Tile centers
+ */
+export const buildGridTiles = (area, zoom) => {
+    const { north, south, east, west } = area.boundingBox;
+    const tiles = [];
+
+    // Tiles get shorter towards the poles, so walk rows first and size each row by its latitude
+    let lat = north;
+    while (lat > south) {
+        const { latSpan } = getTileSpan(lat, zoom);
+        const rowCenter = Math.max(lat - latSpan / 2, south);
+        const { lngSpan } = getTileSpan(rowCenter, zoom);
+
+        for (let lng = west; lng < east; lng += lngSpan) {
+            const tile = {
+                lat: round(rowCenter),
+                lng: round(Math.min(lng + lngSpan / 2, east)),
+                zoom,
+            };
+            if (!area.polygons || tileIntersectsPolygons(tile, area.polygons)) {
+                tiles.push(tile);
+            }
+        }
+
+        lat -= latSpan;
+    }
+
+    return tiles;
+};
+
+/**
+ * Split a tile into its four quadrants one zoom level deeper
+ * @param {Object} tile - Tile to split
+ * @param {number} maxZoom - Deepest zoom level tiles are split to
+ * @returns {Array<{lat: number, lng: number, zoom: number}>} Child tiles, none once the tile is at maxZoom
+ */
+export const splitTile = (tile, maxZoom = 18) => {
+    if (tile.zoom >= maxZoom) return [];
+
+    const { latSpan, lngSpan } = getTileSpan(tile.lat, tile.zoom);
+    const zoom = tile.zoom + 1;
+
+    return [
+        { lat: round(tile.lat + latSpan / 4), lng: round(tile.lng - lngSpan / 4), zoom },
+        { lat: round(tile.lat + latSpan / 4), lng: round(tile.lng + lngSpan / 4), zoom },
+        { lat: round(tile.lat - latSpan / 4), lng: round(tile.lng - lngSpan / 4), zoom },
+        { lat: round(tile.lat - latSpan / 4), lng: round(tile.lng + lngSpan / 4), zoom },
+    ];
+};
+
+/**
+ * Build the Google Maps search URL for a single tile
+ * @param {string} category - Business category to search
+ * @param {Object} tile - Tile center and zoom
+ * @param {string} language - Language code
+ * @returns {string} Search URL centered on the tile
+ */
+export const buildTileSearchUrl = (category, tile, language = 'en') => {
+    return `https://www.google.com/maps/search/${encodeURIComponent(category)}/@${tile.lat},${tile.lng},${tile.zoom}z?hl=${language}`;
+};
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {{lat: number, lng: number}} from - First point
+ * @param {{lat: number, lng: number}} to - Second point
+ * @returns {number} Distance in kilometres
+ */
+export const getDistanceKm = (from, to) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Deepest zoom level whose viewport still shows a whole circle around a point
+ * @param {number} lat - Latitude of the center
+ * @param {number} radiusKm - Circle radius
+ * @returns {number} Google Maps zoom level (3-18)
+ */
+export const getZoomForRadius = (lat, radiusKm) => {
+    // The viewport's shorter side (height) has to span the diameter
+    const { latSpan } = getTileSpan(lat, 0);
+    const zoom = Math.floor(Math.log2((latSpan * KM_PER_DEGREE_LAT) / (2 * radiusKm)));
+    return Math.min(18, Math.max(3, zoom));
+};
+
+/**
+ * Approximate a circle as a polygon, so grid search only tiles the area inside the radius
+ * @param {{lat: number, lng: number}} center - Circle center
+ * @param {number} radiusKm - Circle radius
+ * @param {number} points - Number of vertices
+ * @returns {Array<[number, number]>} Ring of [lng, lat] points
+ */
+export const buildCirclePolygon = (center, radiusKm, points = 32) => {
+    const latRadius = radiusKm / KM_PER_DEGREE_LAT;
+    const lngRadius = radiusKm / (KM_PER_DEGREE_LAT * Math.cos((center.lat * Math.PI) / 180));
+
+    return Array.from({ length: points }, (_, index) => {
+        const angle = (2 * Math.PI * index) / points;
+        return [round(center.lng + lngRadius * Math.cos(angle)), round(center.lat + latRadius * Math.sin(angle))];
+    });
+};
+
+/**
+ * Degrees of latitude/longitude covered by one viewport at a zoom level
+ */
+function getTileSpan(lat, zoom) {
+    const lngSpan = (VIEWPORT_WIDTH / TILE_SIZE) * (360 / 2 ** zoom);
+    const latSpan = (VIEWPORT_HEIGHT / TILE_SIZE) * (360 / 2 ** zoom) * Math.cos((lat * Math.PI) / 180);
+    return { latSpan, lngSpan };
+}
+
+// Geocode a location with OpenStreetMap Nominatim (boundary polygon included when available)
+async function geocodeLocation(location) {
+    // Reserve the next free slot before waiting, so concurrent lookups stay a second apart too
+    const wait = nextGeocodeAt - Date.now();
+    nextGeocodeAt = Math.max(Date.now(), nextGeocodeAt) + NOMINATIM_MIN_INTERVAL_MS;
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+
+    const url = `${NOMINATIM_URL}?format=json&limit=1&polygon_geojson=1&q=${encodeURIComponent(location)}`;
+    const response = await fetch(url, {
+        headers: { 'User-Agent': NOMINATIM_USER_AGENT },
+    });
+
+    if (!response.ok) {
+        throw new Error(`Geocoding failed for "${location}" with status ${response.status}`);
+    }
+
+    const [place] = await response.json();
+    if (!place?.boundingbox) {
+        throw new Error(`Could not geocode location "${location}"`);
+    }
+
+    // Nominatim order: [south, north, west, east]
+    const [south, north, west, east] = place.boundingbox.map(Number);
+
+    return {
+        boundingBox: { north, south, east, west },
+        polygons: normalizePolygon(place.geojson),
+    };
+}
+
+/**
+ * Normalize polygon input to a list of outer rings of [lng, lat] points
+ */
+function normalizePolygon(polygon) {
+    if (!polygon) return null;
+
+    // Arrays from input: a ring of [lng, lat] points, or GeoJSON Polygon / MultiPolygon coordinates
+    if (Array.isArray(polygon)) {
+        const isPoint = (value) => Array.isArray(value) && value.length >= 2 && value.every(Number.isFinite);
+        if (isPoint(polygon[0])) return polygon.length >= 3 ? [polygon] : null;
+        if (isPoint(polygon[0]?.[0])) return normalizePolygon({ type: 'Polygon', coordinates: polygon });
+        if (isPoint(polygon[0]?.[0]?.[0])) return normalizePolygon({ type: 'MultiPolygon', coordinates: polygon });
+        return null;
+    }
+
+    // GeoJSON geometry (only outer rings are used, holes are ignored)
+    if (polygon.type === 'Polygon') {
+        return [polygon.coordinates[0]];
+    }
+    if (polygon.type === 'MultiPolygon') {
+        return polygon.coordinates.map((rings) => rings[0]);
+    }
+
+    return null;
+}
+
+function isValidBoundingBox(box) {
+    return Boolean(box)
+        && ['north', 'south', 'east', 'west'].every((key) => Number.isFinite(box[key]))
+        && box.north > box.south
+        && box.east > box.west;
+}
+
+function getPolygonBounds(polygons) {
+    const points = polygons.flat();
+    return {
+        north: Math.max(...points.map(([, lat]) => lat)),
+        south: Math.min(...points.map(([, lat]) => lat)),
+        east: Math.max(...points.map(([lng]) => lng)),
+        west: Math.min(...points.map(([lng]) => lng)),
+    };
+}
+
+/**
+ * Check whether a tile overlaps any polygon (tile center/corners inside, or a polygon vertex inside the tile)
+ */
+function tileIntersectsPolygons(tile, polygons) {
+    const { latSpan, lngSpan } = getTileSpan(tile.lat, tile.zoom);
+    const north = tile.lat + latSpan / 2;
+    const south = tile.lat - latSpan / 2;
+    const east = tile.lng + lngSpan / 2;
+    const west = tile.lng - lngSpan / 2;
+
+    const tilePoints = [
+        [tile.lng, tile.lat],
+        [west, north],
+        [east, north],
+        [west, south],
+        [east, south],
+    ];
+
+    return polygons.some((ring) => tilePoints.some((point) => isPointInRing(point, ring))
+        || ring.some(([lng, lat]) => lat <= north && lat >= south && lng <= east && lng >= west));
+}
+
+/**
+ * Ray-casting point-in-polygon test
+ */
+function isPointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
@@ -0,0 +1,222 @@
+/**
+ * Opening hours parsing for Google Maps detail pages
+ *
+ * The detail handler collects the raw hours table rows, the weekly aria-label summary and the
+ * "Open ⋅ Closes 5 PM" status line; this module turns them into a structured weekly schedule.
+ */
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Day names per supported language (lowercase), matched against the start of the day cell
+const DAY_NAMES = {
+    monday: ['monday', 'mon', 'lunes', 'lundi', 'montag', 'lunedì', 'segunda-feira', 'segunda', '月曜日', '星期一', '周一', 'понедельник', 'الاثنين', 'الإثنين'],
+    tuesday: ['tuesday', 'tue', 'martes', 'mardi', 'dienstag', 'martedì', 'terça-feira', 'terça', '火曜日', '星期二', '周二', 'вторник', 'الثلاثاء'],
+    wednesday: ['wednesday', 'wed', 'miércoles', 'mercredi', 'mittwoch', 'mercoledì', 'quarta-feira', 'quarta', '水曜日', '星期三', '周三', 'среда', 'الأربعاء'],
+    thursday: ['thursday', 'thu', 'jueves', 'jeudi', 'donnerstag', 'giovedì', 'quinta-feira', 'quinta', '木曜日', '星期四', '周四', 'четверг', 'الخميس'],
+    friday: ['friday', 'fri', 'viernes', 'vendredi', 'freitag', 'venerdì', 'sexta-feira', 'sexta', '金曜日', '星期五', '周五', 'пятница', 'الجمعة'],
+    saturday: ['saturday', 'sat', 'sábado', 'samedi', 'samstag', 'sabato', '土曜日', '星期六', '周六', 'суббота', 'السبت'],
+    sunday: ['sunday', 'sun', 'domingo', 'dimanche', 'sonntag', 'domenica', '日曜日', '星期日', '星期天', '周日', 'воскресенье', 'الأحد'],
+};
+
+const CLOSED_WORDS = ['closed', 'cerrado', 'fermé', 'geschlossen', 'chiuso', 'fechado', '定休日', '休業', '休息', '不营业', 'закрыто', 'выходной', 'مغلق'];
+
+const OPEN_24_HOURS_WORDS = ['open 24 hours', '24 hours', 'abierto 24 horas', 'ouvert 24h/24', '24 stunden geöffnet', 'aperto 24 ore', 'aberto 24 horas', '24 時間営業', '24 小时营业', 'круглосуточно', 'مفتوح على مدار 24 ساعة'];
+
+// First word(s) of the status line when the place is currently open / closed
+const OPEN_NOW_WORDS = ['open', 'closes soon', 'abierto', 'cierra pronto', 'ouvert', 'ferme bientôt', 'geöffnet', 'schließt bald', 'aperto', 'chiude a breve', 'aberto', 'fecha em breve', '営業中', 'まもなく営業終了', '营业中', '即将打烊', 'открыто', 'скоро закроется', 'مفتوح', 'سيغلق قريبًا'];
+const CLOSED_NOW_WORDS = ['closed', 'opens soon', 'cerrado', 'abre pronto', 'fermé', 'ouvre bientôt', 'geschlossen', 'öffnet bald', 'chiuso', 'apre a breve', 'fechado', 'abre em breve', '営業時間外', 'まもなく営業開始', '已打烊', '即将开始营业', 'закрыто', 'скоро откроется', 'مغلق', 'سيفتح قريبًا'];
+
+// Notes Google adds to holiday-adjusted rows
+const SPECIAL_HOURS_NOTES = ['hours might differ', 'holiday hours', 'los horarios pueden variar', 'horario festivo', 'les horaires peuvent être différents', 'öffnungszeiten können abweichen', 'gli orari potrebbero variare', 'o horário pode variar', '営業時間が異なる場合があります', '营业时间可能不同', 'часы работы могут отличаться', 'قد تختلف ساعات العمل'];
+
+/**
+ * Parse raw hours data from the detail page into a structured weekly schedule
+ * @param {Object} raw - Raw hours data collected in the browser
+ * @param {Array<{day: string, hours: string}>} raw.rows - Hours table rows (day cell, hours cell text)
+ * @param {string} raw.label - Weekly aria-label summary ("Monday, 9 AM to 5 PM; Tuesday, ...")
+ * @param {string} raw.statusText - Status line ("Open ⋅ Closes 5 PM", "Closed ⋅ Opens 9 AM Mon")
+ * @returns {{openingHours: Object|null, specialHours: Array, openNow: boolean|null, isAlwaysOpen: boolean}}
+ */
+export const parseOpeningHours = ({ rows = [], label = null, statusText = null } = {}) => {
+    // Table rows are preferred; the aria-label summary is the fallback ("Day, hours; Day, hours")
+    let dayRows = rows.filter((row) => row?.day && row?.hours !== undefined);
+    if (dayRows.length === 0 && label) {
+        dayRows = label
+            .split(/[;；]/)
+            .map((part) => {
+                const [day, ...rest] = part.split(/[,，、]/);
+                return { day: day || '', hours: rest.join(',') };
+            });
+    }
+
+    const openingHours = {};
+    const specialHours = [];
+
+    for (const row of dayRows) {
+        const dayText = row.day.trim();
+        const weekday = matchWeekday(dayText);
+        if (!weekday || openingHours[weekday]) continue;
+
+        const hoursText = String(row.hours || '').trim();
+        openingHours[weekday] = parseDayHours(hoursText);
+
+        // Holiday-adjusted rows carry the holiday name next to the day, or a "hours might differ" note
+        const extraDayText = stripWeekdayName(dayText, weekday);
+        const lowerRow = `${dayText} ${hoursText}`.toLowerCase();
+        if (extraDayText || SPECIAL_HOURS_NOTES.some((note) => lowerRow.includes(note))) {
+            specialHours.push({
+                day: weekday,
+                label: extraDayText || null,
+                hours: openingHours[weekday],
+            });
+        }
+    }
+
+    const knownDays = Object.keys(openingHours);
+    if (knownDays.length === 0) {
+        return { openingHours: null, specialHours: [], openNow: parseOpenNow(statusText), isAlwaysOpen: false };
+    }
+
+    // Fill in a stable Monday-Sunday order
+    const orderedHours = {};
+    for (const day of WEEKDAYS) {
+        orderedHours[day] = openingHours[day] || null;
+    }
+
+    const isAlwaysOpen = WEEKDAYS.every((day) => orderedHours[day]?.length === 1
+        && orderedHours[day][0].open === '00:00'
+        && orderedHours[day][0].close === '24:00');
+
+    return {
+        openingHours: orderedHours,
+        specialHours,
+        openNow: isAlwaysOpen ? true : parseOpenNow(statusText),
+        isAlwaysOpen,
+    };
+};
+
+/**
+ * Check a lead's hours against the opening-hours filters
+ * Places without hours data are kept (nothing to judge them on)
+ * @param {Object} lead - Lead with openingHours / isAlwaysOpen
+ * @param {Object} filters - { openOnWeekends, excludeAlwaysOpen, minClosingTime ("HH:MM") }
+ * @returns {string|null} Filter reason, or null if the lead passes
+ */
+export const getOpeningHoursFilterReason = (lead, filters = {}) => {
+    const hours = lead.openingHours;
+    if (!hours) return null;
+
+    if (filters.excludeAlwaysOpen && lead.isAlwaysOpen) {
+        return 'open 24/7';
+    }
+
+    if (filters.openOnWeekends && !(hours.saturday?.length > 0 || hours.sunday?.length > 0)) {
+        return 'closed on weekends';
+    }
+
+    if (filters.minClosingTime) {
+        const minClose = toMinutes(filters.minClosingTime);
+        const closesEarly = WEEKDAYS.slice(0, 5).some((day) => {
+            const shifts = hours[day];
+            if (!shifts || shifts.length === 0) return false; // Closed all day is not "closes early"
+            const last = shifts[shifts.length - 1];
+            const close = toMinutes(last.close);
+            // Closing after midnight (close earlier than open) counts as late
+            return close >= toMinutes(last.open) && close < minClose;
+        });
+        if (closesEarly) return `closes before ${filters.minClosingTime}`;
+    }
+
+    return null;
+};
+
+/**
+ * Parse one day's hours text into shifts: [] = closed, [{ open: '00:00', close: '24:00' }] = open 24 hours
+ */
+function parseDayHours(text) {
+    const lower = text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+    if (OPEN_24_HOURS_WORDS.some((word) => lower.includes(word))) {
+        return [{ open: '00:00', close: '24:00' }];
+    }
+    if (CLOSED_WORDS.some((word) => lower.startsWith(word)) || lower === '') {
+        return [];
+    }
+
+    // Normalize words for noon/midnight, then collect times in order and pair them into shifts
+    const normalized = lower
+        .replace(/\bnoon\b/g, '12 pm')
+        .replace(/\bmidnight\b/g, '12 am')
+        .replace(/a\.\s?m\./g, 'am')
+        .replace(/p\.\s?m\./g, 'pm');
+
+    const tokens = [...normalized.matchAll(/(\d{1,2})(?:[:.h](\d{2}))?\s*(am|pm)?/g)]
+        .map((match) => ({ hour: parseInt(match[1], 10), minute: parseInt(match[2] || '0', 10), meridiem: match[3] || null }))
+        .filter((token) => token.hour <= 24 && token.minute < 60);
+
+    const shifts = [];
+    for (let i = 0; i + 1 < tokens.length; i += 2) {
+        const openToken = { ...tokens[i] };
+        const closeToken = tokens[i + 1];
+
+        // "9–11 AM": the opening time inherits the closing meridiem unless that puts it after closing
+        if (!openToken.meridiem && closeToken.meridiem) {
+            openToken.meridiem = closeToken.meridiem;
+            if (to24Hour(openToken) > to24Hour(closeToken)) {
+                openToken.meridiem = closeToken.meridiem === 'pm' ? 'am' : 'pm';
+            }
+        }
+
+        shifts.push({ open: formatTime(to24Hour(openToken)), close: formatTime(to24Hour(closeToken, true)) });
+    }
+
+    return shifts;
+}
+
+function parseOpenNow(statusText) {
+    if (!statusText) return null;
+    const lower = statusText.toLowerCase().trim();
+
+    // Check "closed" words first: "opens soon" must not match "open"
+    const closedMatch = CLOSED_NOW_WORDS.find((word) => lower.startsWith(word));
+    const openMatch = OPEN_NOW_WORDS.find((word) => lower.startsWith(word));
+    if (closedMatch && (!openMatch || closedMatch.length >= openMatch.length)) return false;
+    if (openMatch) return true;
+    return null;
+}
+
+function matchWeekday(dayText) {
+    const lower = dayText.toLowerCase();
+    for (const day of WEEKDAYS) {
+        if (DAY_NAMES[day].some((name) => lower.startsWith(name))) return day;
+    }
+    return null;
+}
+
+// Text left in the day cell after the weekday name (holiday name), or null
+function stripWeekdayName(dayText, weekday) {
+    const lower = dayText.toLowerCase();
+    const name = DAY_NAMES[weekday]
+        .filter((candidate) => lower.startsWith(candidate))
+        .sort((a, b) => b.length - a.length)[0];
+    const rest = dayText.slice(name.length).replace(/^[\s,.()（）:-]+|[\s()（）]+$/g, '').trim();
+    return rest || null;
+}
+
+function to24Hour({ hour, minute, meridiem }, isClosing = false) {
+    let h = hour;
+    if (meridiem === 'am' && h === 12) h = isClosing && minute === 0 ? 24 : 0;
+    if (meridiem === 'pm' && h < 12) h += 12;
+    return h * 60 + minute;
+}
+
+function formatTime(minutes) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+function toMinutes(time) {
+    const [h, m] = String(time).split(':').map((part) => parseInt(part, 10) || 0);
+    return h * 60 + m;
+}
@@ -0,0 +1,272 @@
+/**
+ * Phone numbers from Google Maps and business websites, normalized to E.164
+ *
+ * Websites are searched for tel: links, JSON-LD `telephone` properties, microdata and OpenGraph phone
+ * tags and labelled numbers in the visible text ("Tel.: 030 1234567"). National numbers need a country: it is taken from the lead's
+ * address, then from an international number already known for the lead, then from input.
+ * The number type (mobile, landline, tollFree) is inferred from the national prefix where the
+ * numbering plan allows it (not in the US/Canada, where mobile and landline numbers look alike).
+ */
+
+// Numbering plans: calling code, trunk prefix dialled before national numbers, national significant number lengths, type prefixes
+const COUNTRIES = {
+    US: { code: '1', trunk: '1', lengths: [10, 10], tollFree: /^8(00|33|44|55|66|77|88)/ },
+    CA: { code: '1', trunk: '1', lengths: [10, 10], tollFree: /^8(00|33|44|55|66|77|88)/ },
+    GB: { code: '44', trunk: '0', lengths: [9, 10], tollFree: /^80[08]/, mobile: /^7[1-57-9]/, landline: /^[123]/ },
+    IE: { code: '353', trunk: '0', lengths: [7, 9], tollFree: /^1800/, mobile: /^8[3-9]/, landline: /^[1-9]/ },
+    DE: { code: '49', trunk: '0', lengths: [6, 11], tollFree: /^800/, mobile: /^1[5-7]/, landline: /^[2-9]/ },
+    AT: { code: '43', trunk: '0', lengths: [4, 13], tollFree: /^800/, mobile: /^6[5-9]/, landline: /^[1-57]/ },
+    CH: { code: '41', trunk: '0', lengths: [9, 9], tollFree: /^800/, mobile: /^7[5-9]/, landline: /^[2-6]|^9[1-9]/ },
+    FR: { code: '33', trunk: '0', lengths: [9, 9], tollFree: /^80[05]/, mobile: /^[67]/, landline: /^[1-59]/ },
+    BE: { code: '32', trunk: '0', lengths: [8, 9], tollFree: /^800/, mobile: /^4[5-9]/, landline: /^[1-9]/ },
+    NL: { code: '31', trunk: '0', lengths: [9, 9], tollFree: /^800/, mobile: /^6/, landline: /^[1-57]/ },
+    ES: { code: '34', trunk: null, lengths: [9, 9], tollFree: /^[89]00/, mobile: /^[67]/, landline: /^[89]/ },
+    PT: { code: '351', trunk: null, lengths: [9, 9], tollFree: /^800/, mobile: /^9[1236]/, landline: /^2/ },
+    IT: { code: '39', trunk: null, lengths: [6, 11], tollFree: /^80[03]/, mobile: /^3/, landline: /^0/ }, // Landlines keep their 0
+    PL: { code: '48', trunk: null, lengths: [9, 9], tollFree: /^800/, mobile: /^(5[0137]|6[069]|7[2389]|88)/, landline: /^[1-9]/ },
+    SE: { code: '46', trunk: '0', lengths: [7, 9], tollFree: /^20/, mobile: /^7[02369]/, landline: /^[1-9]/ },
+    DK: { code: '45', trunk: null, lengths: [8, 8], tollFree: /^80/ },
+    NO: { code: '47', trunk: null, lengths: [8, 8], tollFree: /^80/, mobile: /^[49]/, landline: /^[2-7]/ },
+    AU: { code: '61', trunk: '0', lengths: [9, 10], tollFree: /^180/, mobile: /^4/, landline: /^[2378]/ },
+    NZ: { code: '64', trunk: '0', lengths: [8, 10], tollFree: /^(800|508)/, mobile: /^2/, landline: /^[3-9]/ },
+    IN: { code: '91', trunk: '0', lengths: [10, 11], tollFree: /^1800/, mobile: /^[6-9]/, landline: /^[1-5]/ },
+    JP: { code: '81', trunk: '0', lengths: [9, 10], tollFree: /^(120|800)/, mobile: /^[789]0/, landline: /^[1-9]/ },
+    BR: { code: '55', trunk: '0', lengths: [10, 11], tollFree: /^800/, mobile: /^\d{2}9\d{8}$/, landline: /^\d{2}[2-5]\d{7}$/ },
+    MX: { code: '52', trunk: null, lengths: [10, 10], tollFree: /^800/ },
+    ZA: { code: '27', trunk: '0', lengths: [9, 9], tollFree: /^80/, mobile: /^[6-8]/, landline: /^[1-5]/ },
+    AE: { code: '971', trunk: '0', lengths: [8, 9], tollFree: /^800/, mobile: /^5/, landline: /^[2-9]/ },
+};
+
+// Country as written at the end of Google Maps addresses (in the supported languages)
+const COUNTRY_NAMES = {
+    'united states': 'US', usa: 'US', 'estados unidos': 'US', 'états-unis': 'US', 'vereinigte staaten': 'US',
+    canada: 'CA', kanada: 'CA',
+    'united kingdom': 'GB', uk: 'GB', 'vereinigtes königreich': 'GB', 'royaume-uni': 'GB', 'reino unido': 'GB', 'regno unito': 'GB',
+    ireland: 'IE', irland: 'IE', irlande: 'IE', irlanda: 'IE',
+    germany: 'DE', deutschland: 'DE', allemagne: 'DE', alemania: 'DE', germania: 'DE', alemanha: 'DE',
+    austria: 'AT', österreich: 'AT', autriche: 'AT',
+    switzerland: 'CH', schweiz: 'CH', suisse: 'CH', svizzera: 'CH', suiza: 'CH',
+    france: 'FR', frankreich: 'FR', francia: 'FR', frança: 'FR',
+    belgium: 'BE', belgien: 'BE', belgique: 'BE', belgië: 'BE', bélgica: 'BE', belgio: 'BE',
+    netherlands: 'NL', niederlande: 'NL', nederland: 'NL', 'pays-bas': 'NL', 'países bajos': 'NL', 'paesi bassi': 'NL',
+    spain: 'ES', spanien: 'ES', españa: 'ES', espagne: 'ES', spagna: 'ES', espanha: 'ES',
+    portugal: 'PT', portogallo: 'PT',
+    italy: 'IT', italien: 'IT', italia: 'IT', italie: 'IT', itália: 'IT',
+    poland: 'PL', polen: 'PL', polska: 'PL', pologne: 'PL', polonia: 'PL',
+    sweden: 'SE', schweden: 'SE', sverige: 'SE', suède: 'SE', suecia: 'SE',
+    denmark: 'DK', dänemark: 'DK', danmark: 'DK', danemark: 'DK', dinamarca: 'DK',
+    norway: 'NO', norwegen: 'NO', norge: 'NO', norvège: 'NO', noruega: 'NO',
+    australia: 'AU', australien: 'AU', australie: 'AU',
+    'new zealand': 'NZ', neuseeland: 'NZ', 'nouvelle-zélande': 'NZ', 'nueva zelanda': 'NZ',
+    india: 'IN', indien: 'IN', inde: 'IN',
+    japan: 'JP', 日本: 'JP', japon: 'JP', giappone: 'JP', japão: 'JP',
+    brazil: 'BR', brasilien: 'BR', brasil: 'BR', brésil: 'BR', brasile: 'BR',
+    mexico: 'MX', mexiko: 'MX', méxico: 'MX', mexique: 'MX', messico: 'MX',
+    'south africa': 'ZA', südafrika: 'ZA', 'afrique du sud': 'ZA', sudáfrica: 'ZA',
+    'united arab emirates': 'AE', 'vereinigte arabische emirate': 'AE', 'émirats arabes unis': 'AE', 'emiratos árabes unidos': 'AE',
+};
+
+// Labels in front of a phone number in page text; unlabelled numbers are only taken in international or (NNN) NNN-NNNN format
+const PHONE_LABELS = ['tel', 'phone', 'call', 'fon', 'mobil', 'handy', 'cell', 'téléphone', 'teléfono', 'telefono', 'telefone', 'whatsapp', '☎', '📞'];
+
+// "(212) 555-0123", "030 1234567", "+49 (0)30 1234567", "01 42 68 53 00"
+const PHONE_TEXT_PATTERN = /(?:\+|00)?\(?\d[\d\s().\-/]{5,}\d/g;
+
+// Where a number was found, in order of trust
+const METHOD_ORDER = ['maps', 'tel', 'json-ld', 'microdata', 'opengraph', 'text'];
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} raw - Phone as displayed ("030 1234567", "+1 (212) 555-0123", "tel:+4930...")
+ * @param {string|null} countryHint - ISO country code used for national numbers ("DE")
+ * @returns {{phone: string, country: string|null, type: string|null}|null} E.164 number, its country and type
+ *   ('mobile', 'landline', 'tollFree' or null if unknown), or null if the number isn't valid
+ */
+export const normalizePhone = (raw, countryHint = null) => {
+    let text = String(raw || '').trim().replace(/^tel:/i, '');
+    try {
+        text = decodeURIComponent(text);
+    } catch (e) {
+        // Keep as is
+    }
+
+    text = text
+        .replace(/\s*(?:ext\.?|extension|x|#|;ext=)\s*\d{1,6}\s*$/i, '') // Extension
+        .replace(/^(\+\d{1,3})\s*\(0\)/, '$1'); // "+49 (0)30 ..." - the trunk 0 isn't dialled from abroad
+    if (/[a-zA-Z]/.test(text)) return null;
+
+    const hint = COUNTRIES[String(countryHint || '').toUpperCase()] ? String(countryHint).toUpperCase() : null;
+    const digits = text.replace(/\D/g, '');
+
+    // International: +49..., 0049..., 011 49... (from the US/Canada)
+    const international = text.startsWith('+') ? digits
+        : digits.startsWith('00') ? digits.slice(2)
+            : (hint === 'US' || hint === 'CA') && digits.startsWith('011') ? digits.slice(3)
+                : null;
+
+    if (international !== null) {
+        const country = findCountryByCode(international, hint);
+        if (!country) {
+            return international.length >= 8 && international.length <= 15 && !international.startsWith('0')
+                ? { phone: `+${international}`, country: null, type: null }
+                : null;
+        }
+        return buildNumber(country, international.slice(COUNTRIES[country].code.length));
+    }
+
+    if (!hint) return null;
+    const plan = COUNTRIES[hint];
+    let national = digits;
+    if (plan.trunk && national.startsWith(plan.trunk) && national.length > plan.lengths[0]) {
+        national = national.slice(plan.trunk.length);
+    }
+    return buildNumber(hint, national);
+};
+
+/**
+ * Country of a lead for national phone numbers
+ * @param {Object} lead - Lead with `address` and possibly an international `phone`
+ * @param {string|null} fallback - Country code from input, used when the lead gives no clue
+ * @returns {string|null} ISO country code
+ */
+export const getCountryHint = (lead, fallback = null) => {
+    const address = String(lead.address || '').trim();
+    const lastPart = address.split(',').pop().trim().toLowerCase();
+    if (COUNTRY_NAMES[lastPart]) return COUNTRY_NAMES[lastPart];
+
+    // US and Canadian addresses usually end in state/province and ZIP/postal code, without the country
+    if (/,\s*[A-Z]{2}\s+\d{5}(?:-\d{4})?$/.test(address)) return 'US';
+    if (/,\s*[A-Z]{2}\s+[A-Z]\d[A-Z]\s?\d[A-Z]\d$/.test(address)) return 'CA';
+
+    const fromPhone = String(lead.phone || '').trim().startsWith('+') ? normalizePhone(lead.phone) : null;
+    if (fromPhone?.country) return fromPhone.country;
+
+    return fallback ? String(fallback).toUpperCase() : null;
+};
+
+/**
+ * Find phone candidates on a page
+ * @param {Function} $ - Cheerio root of the page
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array<{raw: string, sourceUrl: string, method: string}>} Candidates in page order
+ *   (method: tel, json-ld, microdata, opengraph or text)
+ */
+export const findPhonesInPage = ($, pageUrl) => {
+    const found = [];
+    const add = (raw, method) => {
+        const phone = String(raw || '').trim();
+        if (phone) found.push({ raw: phone, sourceUrl: pageUrl, method });
+    };
+
+    $('a[href]').each((_, element) => {
+        const href = ($(element).attr('href') || '').trim();
+        if (/^tel:/i.test(href)) add(href.slice('tel:'.length), 'tel');
+    });
+
+    $('script[type="application/ld+json"]').each((_, element) => {
+        let data;
+        try {
+            data = JSON.parse($(element).html() || '');
+        } catch (e) {
+            return; // Invalid JSON-LD is common, skip it
+        }
+        for (const value of collectJsonLdTelephones(data)) add(value, 'json-ld');
+    });
+
+    // <span itemprop="telephone">, <meta property="og:phone_number">
+    $('[itemprop~="telephone"]').each((_, element) => {
+        add(($(element).attr('content') || $(element).attr('href') || $(element).text()).replace(/^tel:/i, ''), 'microdata');
+    });
+    $('meta[property="og:phone_number"], meta[property="business:contact_data:phone_number"]').each((_, element) => {
+        add($(element).attr('content'), 'opengraph');
+    });
+
+    const $body = $('body').clone();
+    $body.find('script, style, noscript').remove();
+    const pageText = $body.text().replace(/\s+/g, ' ');
+
+    for (const match of pageText.matchAll(PHONE_TEXT_PATTERN)) {
+        const before = pageText.slice(Math.max(0, match.index - 25), match.index).toLowerCase();
+        const lastLabel = Math.max(...PHONE_LABELS.map((label) => before.lastIndexOf(label)));
+        const isFax = before.lastIndexOf('fax') > lastLabel;
+        const candidate = match[0].trim();
+        const digitCount = candidate.replace(/\D/g, '').length;
+        if (digitCount < 7 || digitCount > 15) continue; // Times, dates, postal codes
+
+        const selfEvident = /^(?:\+|00\d)/.test(candidate) || /^\(\d{3}\)\s?\d{3}[-.\s]\d{4}$/.test(candidate);
+
+        if (!isFax && (lastLabel >= 0 || selfEvident)) add(candidate, 'text');
+    }
+
+    return found;
+};
+
+/**
+ * Merge the Maps phone and website candidates into one list of E.164 numbers
+ * @param {Array<{raw: string, sourceUrl: string, method: string}>} candidates - Maps phone (method 'maps') and findPhonesInPage results
+ * @param {string|null} countryHint - ISO country code for national numbers (see getCountryHint)
+ * @returns {Array<Object>} One entry per number, Maps first, then by method: { phone (E.164), raw (as first found),
+ *   country, type, sources: [{ method, url }] }; candidates that aren't valid numbers are dropped
+ */
+export const buildPhoneList = (candidates, countryHint = null) => {
+    const sorted = [...candidates].sort((a, b) => METHOD_ORDER.indexOf(a.method) - METHOD_ORDER.indexOf(b.method));
+    const entries = new Map();
+
+    for (const candidate of sorted) {
+        const normalized = normalizePhone(candidate.raw, countryHint);
+        if (!normalized) continue;
+
+        const source = { method: candidate.method, url: candidate.sourceUrl || null };
+        const entry = entries.get(normalized.phone);
+        if (!entry) {
+            entries.set(normalized.phone, { phone: normalized.phone, raw: candidate.raw, country: normalized.country, type: normalized.type, sources: [source] });
+        } else if (!entry.sources.some((known) => known.method === source.method && known.url === source.url)) {
+            entry.sources.push(source);
+        }
+    }
+
+    return [...entries.values()];
+};
+
+// Calling code at the start of an international number (the hint wins for shared codes like +1)
+function findCountryByCode(digits, hint) {
+    if (hint && digits.startsWith(COUNTRIES[hint].code)) return hint;
+    for (const length of [3, 2, 1]) {
+        const code = digits.slice(0, length);
+        const country = Object.keys(COUNTRIES).find((iso) => COUNTRIES[iso].code === code);
+        if (country) return country;
+    }
+    return null;
+}
+
+function buildNumber(country, national) {
+    const plan = COUNTRIES[country];
+    if (national.length < plan.lengths[0] || national.length > plan.lengths[1]) return null;
+    if (plan.trunk === '0' && national.startsWith('0')) return null;
+    return { phone: `+${plan.code}${national}`, country, type: getPhoneType(plan, national) };
+}
+
+function getPhoneType(plan, national) {
+    if (plan.tollFree?.test(national)) return 'tollFree';
+    if (plan.mobile?.test(national)) return 'mobile';
+    if (plan.landline?.test(national)) return 'landline';
+    return null;
+}
+
+// `telephone` properties anywhere in a JSON-LD document
+function collectJsonLdTelephones(node, found = []) {
+    if (Array.isArray(node)) {
+        for (const item of node) collectJsonLdTelephones(item, found);
+    } else if (node && typeof node === 'object') {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'telephone') {
+                for (const phone of [value].flat()) {
+                    if (typeof phone === 'string') found.push(phone);
+                }
+            } else {
+                collectJsonLdTelephones(value, found);
+            }
+        }
+    }
+    return found;
+}
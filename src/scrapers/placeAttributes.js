@@ -0,0 +1,204 @@
+/**
+ * Google Maps place attributes (About tab, price level, photos, plus code, ownership)
+ *
+ * The detail handler collects raw section/item labels in the browser; this module turns them
+ * into a structured `attributes` object and applies the attribute filters from input.
+ */
+
+// Price words used in "Price: Moderate" labels, mapped to Google's 1-4 price level (lowercase, per supported language)
+const PRICE_LEVEL_WORDS = {
+    inexpensive: 1, cheap: 1, moderate: 2, expensive: 3, 'very expensive': 4, // en
+    'económico': 1, barato: 1, moderado: 2, caro: 3, 'muy caro': 4, // es (pt: barato, moderado, caro)
+    'bon marché': 1, 'peu cher': 1, 'modéré': 2, cher: 3, 'très cher': 4, // fr
+    'günstig': 1, preiswert: 1, moderat: 2, teuer: 3, 'sehr teuer': 4, // de
+    economico: 1, moderato: 2, costoso: 3, 'molto costoso': 4, // it
+    'muito caro': 4, // pt
+    '安い': 1, '手頃': 2, '高い': 3, 'とても高い': 4, // ja
+    '便宜': 1, '中等': 2, '昂贵': 3, '非常昂贵': 4, // zh
+    'недорого': 1, 'умеренн': 2, 'дорого': 3, 'очень дорого': 4, // ru
+    'رخيص': 1, 'معتدل': 2, 'مكلف': 3, 'مكلف جدًا': 4, // ar
+};
+
+// Leading words of aria-labels for attributes the place does NOT offer ("No online appointments",
+// "Keine Online-Termine", "Sans réservation"), lowercase per supported language; followed by a space
+const NEGATIVE_ATTRIBUTE_PREFIXES = [
+    'no', 'not', "doesn't", 'does not', "isn't", 'is not', 'without', // en
+    'sin', 'no tiene', // es
+    'pas de', 'sans', "n'a pas", "n'accepte pas", // fr
+    'kein', 'keine', 'keinen', 'nicht', 'ohne', // de
+    'non', 'senza', // it
+    'não', 'sem', // pt
+    'нет', 'без', 'не', // ru
+    'لا', 'بدون', 'ليس', // ar
+];
+
+// Languages written without spaces: the negation is glued to the attribute name ("没有线上预约", "オンライン予約なし")
+const NEGATIVE_ATTRIBUTE_GLUED = {
+    prefixes: ['没有', '不提供', '不接受', '不支持'], // zh
+    suffixes: ['はありません', 'なし', '不可'], // ja
+};
+
+// Leading verbs stripped from positive aria-labels to get the attribute name
+const ATTRIBUTE_VERB_PATTERN = /^(has|have|offers|offer|serves|provides|accepts|is|are|allows|good for|popular for)\s+/i;
+
+// "Identifies as women-owned" - leading phrase per supported language
+const IDENTIFIES_AS_PREFIXES = [
+    'identifies as', // en
+    'se identifica como', // es, pt
+    "s'identifie comme", // fr
+    'identifiziert sich als', // de
+    'si identifica come', // it
+    'идентифицирует себя как', // ru
+    'تُعرّف بأنها', 'يُعرّف بأنه', // ar
+];
+
+/**
+ * Build the structured attributes object from raw detail page data
+ * @param {Object} raw - Raw data collected in the browser
+ * @param {Array<{heading: string, items: Array<{text: string, label: string, available?: boolean}>}>} raw.sections - About
+ *   tab sections (`available` set by the embedded data, otherwise read from the label)
+ * @param {string} raw.priceText - Price label or symbols ("Price: Moderate", "$$", "$10–20")
+ * @param {string} raw.photoText - Photos button text ("1,234 photos")
+ * @param {string} raw.plusCode - Plus code ("8FVC9G8F+5W Zürich")
+ * @param {boolean} raw.hasClaimButton - "Claim this business" link present
+ * @param {boolean} raw.hasOwnerContent - Owner responses / "Managed by this business" present
+ * @returns {Object} Attributes ({ priceLevel, priceRange, photoCount, plusCode, claimStatus, ownerActive, identifiesAs, <section>: { <attribute>: boolean } })
+ */
+export const parsePlaceAttributes = (raw = {}) => {
+    const attributes = {
+        ...parsePrice(raw.priceText),
+        photoCount: parseCount(raw.photoText),
+        plusCode: raw.plusCode ? stripLabel(raw.plusCode) : null,
+        claimStatus: raw.hasClaimButton ? 'UNCLAIMED' : 'CLAIMED',
+        ownerActive: Boolean(raw.hasOwnerContent), // Owner answers reviews / manages the profile
+        identifiesAs: [],
+    };
+
+    for (const section of raw.sections || []) {
+        const sectionKey = toCamelCase(section.heading);
+        if (!sectionKey) continue;
+
+        const values = attributes[sectionKey] && typeof attributes[sectionKey] === 'object' ? attributes[sectionKey] : {};
+
+        for (const item of section.items || []) {
+            const label = (item.label || item.text || '').trim();
+            const text = (item.text || '').trim();
+            if (!label) continue;
+
+            // "Identifies as women-owned" - listed separately for segmentation
+            const identifiesAs = IDENTIFIES_AS_PREFIXES.find((prefix) => label.toLowerCase().startsWith(`${prefix} `));
+            if (identifiesAs) {
+                attributes.identifiesAs.push(label.slice(identifiesAs.length).trim().toLowerCase());
+                continue;
+            }
+
+            // Embedded data knows availability outright; About tab items only say it in their label
+            const negated = stripNegation(label);
+            const available = typeof item.available === 'boolean' ? item.available : negated === null;
+            const name = (text || (negated ?? label).replace(ATTRIBUTE_VERB_PATTERN, ''))
+                .trim()
+                .toLowerCase();
+            if (name) values[name] = available;
+        }
+
+        if (Object.keys(values).length > 0) {
+            attributes[sectionKey] = values;
+        }
+    }
+
+    return attributes;
+};
+
+/**
+ * Check a lead's attributes against the required attribute list from input
+ * @param {Object} lead - Lead with `attributes`
+ * @param {Object} filters - { requiredAttributes: ["online appointments", "women-owned"], maxPriceLevel: 2 }
+ * @returns {string|null} Filter reason, or null if the lead passes
+ */
+export const getAttributeFilterReason = (lead, filters = {}) => {
+    const attributes = lead.attributes || {};
+
+    for (const required of filters.requiredAttributes || []) {
+        if (!hasAttribute(attributes, required)) {
+            return `missing attribute "${required}"`;
+        }
+    }
+
+    if (filters.maxPriceLevel && attributes.priceLevel && attributes.priceLevel > filters.maxPriceLevel) {
+        return `price level ${attributes.priceLevel} above ${filters.maxPriceLevel}`;
+    }
+
+    return null;
+};
+
+// Attribute is offered if any section lists it as available (fuzzy, case-insensitive)
+function hasAttribute(attributes, required) {
+    const wanted = String(required).trim().toLowerCase();
+    if (!wanted) return true;
+
+    if ((attributes.identifiesAs || []).some((value) => value.includes(wanted))) {
+        return true;
+    }
+
+    return Object.values(attributes)
+        .filter((section) => section && typeof section === 'object' && !Array.isArray(section))
+        .some((section) => Object.entries(section).some(([name, available]) => available === true && name.includes(wanted)));
+}
+
+// "Price: Moderate" / "Preis: Mittel" / "Plus code: ..." -> text after the label (no "+" before the colon)
+function stripLabel(text) {
+    return text.replace(/^[^:：+]*[:：]\s*/, '').trim();
+}
+
+// Attribute name without its negation, or null when the label doesn't negate the attribute
+function stripNegation(label) {
+    const lower = label.toLowerCase();
+
+    const prefix = [...NEGATIVE_ATTRIBUTE_PREFIXES]
+        .sort((a, b) => b.length - a.length)
+        .find((word) => lower.startsWith(`${word} `));
+    if (prefix) return label.slice(prefix.length).trim();
+
+    const gluedPrefix = NEGATIVE_ATTRIBUTE_GLUED.prefixes.find((word) => lower.startsWith(word));
+    if (gluedPrefix) return label.slice(gluedPrefix.length).trim();
+
+    const gluedSuffix = NEGATIVE_ATTRIBUTE_GLUED.suffixes.find((word) => lower.endsWith(word));
+    if (gluedSuffix) return label.slice(0, -gluedSuffix.length).trim();
+
+    return null;
+}
+
+function parsePrice(priceText) {
+    if (!priceText) return { priceLevel: null, priceRange: null };
+    const text = stripLabel(priceText);
+
+    // "$$" / "€€€"
+    const symbols = text.match(/^([$€£¥₹₩₽])\1{0,3}$/);
+    if (symbols) return { priceLevel: text.length, priceRange: text };
+
+    // "Moderate", "Very expensive"
+    const word = Object.keys(PRICE_LEVEL_WORDS)
+        .sort((a, b) => b.length - a.length)
+        .find((candidate) => text.toLowerCase().includes(candidate));
+    if (word) return { priceLevel: PRICE_LEVEL_WORDS[word], priceRange: text };
+
+    // "$10–20" per person ranges have no level
+    return { priceLevel: null, priceRange: text || null };
+}
+
+function parseCount(text) {
+    if (!text) return null;
+    const match = text.match(/(\d[\d,.\s]*)/);
+    if (!match) return null;
+    const count = parseInt(match[1].replace(/[,.\s]/g, ''), 10);
+    return Number.isFinite(count) ? count : null;
+}
+
+function toCamelCase(heading) {
+    const words = String(heading || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    return words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+}
@@ -0,0 +1,294 @@
+/**
+ * Business details published as structured data on business websites
+ *
+ * Reads schema.org JSON-LD and microdata (Organization, LocalBusiness and their subtypes) and
+ * OpenGraph / Facebook business tags. Each field keeps the source it came from; when a page has
+ * several, JSON-LD wins over microdata, which wins over OpenGraph.
+ */
+
+// schema.org types describing the business itself: Organization, LocalBusiness and their subtypes
+// (not Service, Product or Offer, whose name is what is sold, not who sells it)
+const BUSINESS_TYPES = new Set([
+    'Organization', 'Corporation', 'LocalBusiness', 'OnlineBusiness', 'OnlineStore', 'NGO', 'Airline', 'Consortium',
+    'EducationalOrganization', 'MedicalOrganization', 'NewsMediaOrganization', 'SportsOrganization', 'ResearchOrganization',
+    'GovernmentOrganization', 'PerformingGroup', 'WorkersUnion',
+    // LocalBusiness subtypes
+    'AnimalShelter', 'ChildCare', 'DryCleaningOrLaundry', 'EmergencyService', 'EmploymentAgency', 'GovernmentOffice',
+    'InternetCafe', 'Library', 'RadioStation', 'RealEstateAgent', 'RecyclingCenter', 'SelfStorage', 'ShoppingCenter',
+    'TelevisionStation', 'TouristInformationCenter', 'TravelAgency',
+    'AutomotiveBusiness', 'AutoBodyShop', 'AutoDealer', 'AutoPartsStore', 'AutoRental', 'AutoRepair', 'AutoWash',
+    'GasStation', 'MotorcycleDealer', 'MotorcycleRepair',
+    'EntertainmentBusiness', 'AmusementPark', 'ArtGallery', 'Casino', 'ComedyClub', 'MovieTheater', 'NightClub',
+    'FinancialService', 'AccountingService', 'BankOrCreditUnion', 'InsuranceAgency',
+    'FoodEstablishment', 'Bakery', 'BarOrPub', 'Brewery', 'CafeOrCoffeeShop', 'Distillery', 'FastFoodRestaurant',
+    'IceCreamShop', 'Restaurant', 'Winery',
+    'HealthAndBeautyBusiness', 'BeautySalon', 'DaySpa', 'HairSalon', 'HealthClub', 'NailSalon', 'TattooParlor',
+    'HomeAndConstructionBusiness', 'Electrician', 'GeneralContractor', 'HVACBusiness', 'HousePainter', 'Locksmith',
+    'MovingCompany', 'Plumber', 'RoofingContractor',
+    'LegalService', 'Attorney', 'Notary',
+    'LodgingBusiness', 'BedAndBreakfast', 'Campground', 'Hostel', 'Hotel', 'Motel', 'Resort', 'VacationRental',
+    'MedicalBusiness', 'MedicalClinic', 'Dentist', 'Physician', 'Optician', 'Pharmacy', 'Hospital', 'VeterinaryCare',
+    'DiagnosticLab', 'Physiotherapy',
+    'ProfessionalService',
+    'SportsActivityLocation', 'BowlingAlley', 'ExerciseGym', 'GolfCourse', 'SkiResort', 'SportsClub', 'TennisComplex',
+    'Store', 'BikeStore', 'BookStore', 'ClothingStore', 'ComputerStore', 'ConvenienceStore', 'DepartmentStore',
+    'ElectronicsStore', 'Florist', 'FurnitureStore', 'GardenStore', 'GroceryStore', 'HardwareStore', 'HobbyShop',
+    'HomeGoodsStore', 'JewelryStore', 'LiquorStore', 'MensClothingStore', 'MobilePhoneStore', 'MusicStore',
+    'OfficeEquipmentStore', 'OutletStore', 'PawnShop', 'PetStore', 'ShoeStore', 'SportingGoodsStore', 'TireShop',
+    'ToyStore', 'WholesaleStore',
+]);
+
+// JSON-LD properties whose value describes the page's own subject; anything else (provider, publisher,
+// brand, author, ...) is a business mentioned by the page
+const TOP_LEVEL_PROPERTIES = ['@graph', 'mainEntity', 'mainEntityOfPage', 'about'];
+
+const SOURCE_ORDER = ['json-ld', 'microdata', 'opengraph'];
+
+// OpenGraph and Facebook business tags -> field
+const OPENGRAPH_FIELDS = {
+    'og:site_name': 'businessName',
+    'og:description': 'description',
+    'og:email': 'email',
+    'og:phone_number': 'telephone',
+    'business:contact_data:email': 'email',
+    'business:contact_data:phone_number': 'telephone',
+};
+const OPENGRAPH_ADDRESS = {
+    streetAddress: ['og:street-address', 'business:contact_data:street_address'],
+    postalCode: ['og:postal-code', 'business:contact_data:postal_code'],
+    addressLocality: ['og:locality', 'business:contact_data:locality'],
+    addressRegion: ['og:region', 'business:contact_data:region'],
+    addressCountry: ['og:country-name', 'business:contact_data:country_name'],
+};
+
+/**
+ * Read the structured business data of a page
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {Object} Fields found, each { value, source } (source: json-ld, microdata or opengraph): types, businessName,
+ *   legalName, email, telephone, address, sameAs (URLs), foundingDate, employeeCount, description
+ */
+export const parseStructuredData = ($) => {
+    const data = {};
+    const add = (fields, source) => {
+        for (const [field, value] of Object.entries(fields)) {
+            if (isEmpty(value)) continue;
+            if (!data[field] || SOURCE_ORDER.indexOf(source) < SOURCE_ORDER.indexOf(data[field].source)) {
+                data[field] = { value, source };
+            }
+        }
+    };
+
+    const jsonLdNodes = [];
+    $('script[type="application/ld+json"]').each((_, element) => {
+        try {
+            collectBusinessNodes(JSON.parse($(element).html() || ''), jsonLdNodes, false);
+        } catch (e) {
+            // Invalid JSON-LD is common, skip it
+        }
+    });
+    const jsonLdBusiness = pickBusinessNode(jsonLdNodes);
+    if (jsonLdBusiness) add(readBusinessNode(jsonLdBusiness), 'json-ld');
+
+    // Items that are a property of another item (itemprop="provider") are nested
+    const microdataNodes = $('[itemscope][itemtype]')
+        .map((_, element) => ({ node: readMicrodataItem($, element), nested: $(element).is('[itemprop]') }))
+        .get()
+        .filter(({ node }) => isBusinessNode(node));
+    const microdataBusiness = pickBusinessNode(microdataNodes);
+    if (microdataBusiness) add(readBusinessNode(microdataBusiness), 'microdata');
+
+    const meta = (property) => ($(`meta[property="${property}"]`).attr('content') || '').trim() || null;
+    const openGraph = {};
+    for (const [property, field] of Object.entries(OPENGRAPH_FIELDS)) {
+        openGraph[field] = openGraph[field] || meta(property);
+    }
+    const openGraphAddress = Object.fromEntries(Object.entries(OPENGRAPH_ADDRESS)
+        .map(([part, properties]) => [part, properties.map(meta).find(Boolean) || null]));
+    openGraph.address = formatAddress(openGraphAddress);
+    add(openGraph, 'opengraph');
+
+    return data;
+};
+
+/**
+ * Merge the structured data of all crawled pages
+ * @param {Array<{url: string, data: Object}>} pages - parseStructuredData results in crawl order (homepage first)
+ * @returns {Object} { field: { value, source, url } }; the most trusted source wins, then the earliest page
+ */
+export const mergeStructuredData = (pages) => {
+    const merged = {};
+    for (const { url, data } of pages) {
+        for (const [field, { value, source }] of Object.entries(data)) {
+            if (!merged[field] || SOURCE_ORDER.indexOf(source) < SOURCE_ORDER.indexOf(merged[field].source)) {
+                merged[field] = { value, source, url };
+            }
+        }
+    }
+    return merged;
+};
+
+/**
+ * Trusted structured data fields for a lead: legal name, founding date and employee count; the address
+ * only when Google Maps had none; sameAs profiles only for social networks the lead has no link for
+ * @param {Object} lead - Lead with Maps and website data
+ * @param {Object} structuredData - mergeStructuredData result
+ * @returns {{updates: Object, fieldSources: Object}} Lead fields to set and { leadField: { source, url } } for each
+ */
+export const getStructuredDataUpdates = (lead, structuredData = {}) => {
+    const updates = {};
+    const fieldSources = {};
+    const take = (leadField, field, value = structuredData[field]?.value) => {
+        if (isEmpty(value)) return;
+        updates[leadField] = value;
+        fieldSources[leadField] = { source: structuredData[field].source, url: structuredData[field].url };
+    };
+
+    take('legalName', 'legalName');
+    take('foundingDate', 'foundingDate');
+    take('employeeCount', 'employeeCount');
+    if (!lead.address) take('address', 'address');
+
+    const socialLinks = { ...lead.socialLinks };
+    for (const url of structuredData.sameAs?.value || []) {
+        const platform = getSocialPlatform(url);
+        if (!platform || socialLinks[platform]) continue;
+        socialLinks[platform] = url;
+        fieldSources[`socialLinks.${platform}`] = { source: structuredData.sameAs.source, url: structuredData.sameAs.url };
+    }
+    if (Object.keys(fieldSources).some((field) => field.startsWith('socialLinks.'))) {
+        updates.socialLinks = socialLinks;
+    }
+
+    return { updates, fieldSources };
+};
+
+// Business nodes anywhere in a JSON-LD document as { node, nested }: top level, @graph and mainEntity ones are
+// the page's own business, ones under publisher, provider, brand, ... are nested
+function collectBusinessNodes(node, found, nested) {
+    if (Array.isArray(node)) {
+        for (const item of node) collectBusinessNodes(item, found, nested);
+    } else if (node && typeof node === 'object') {
+        if (isBusinessNode(node)) found.push({ node, nested });
+        for (const [property, value] of Object.entries(node)) {
+            collectBusinessNodes(value, found, nested || !TOP_LEVEL_PROPERTIES.includes(property));
+        }
+    }
+}
+
+function isBusinessNode(node) {
+    return getTypes(node).some((type) => BUSINESS_TYPES.has(type));
+}
+
+// The node describing the business best: top-level nodes before nested ones, then the most fields; the first one on ties
+function pickBusinessNode(nodes) {
+    const topLevel = nodes.filter(({ nested }) => !nested);
+    let best = null;
+    let bestCount = 0;
+    for (const { node } of topLevel.length > 0 ? topLevel : nodes) {
+        const count = Object.values(readBusinessNode(node)).filter((value) => !isEmpty(value)).length;
+        if (count > bestCount) {
+            best = node;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+function readBusinessNode(node) {
+    return {
+        types: getTypes(node),
+        businessName: text(node.name),
+        legalName: text(node.legalName),
+        email: text(node.email)?.replace(/^mailto:/i, '') || null,
+        telephone: text(node.telephone),
+        address: formatAddress(node.address),
+        sameAs: [node.sameAs].flat().map(text).filter((url) => url && /^https?:\/\//i.test(url)),
+        foundingDate: /^\d{4}(?:-\d{2}(?:-\d{2})?)?/.exec(text(node.foundingDate) || '')?.[0] || null,
+        employeeCount: parseEmployeeCount(node.numberOfEmployees),
+        description: text(node.description),
+    };
+}
+
+// Microdata item as a JSON-LD-like object: { '@type': 'LocalBusiness', name: '...', address: { streetAddress: ... } }
+function readMicrodataItem($, element) {
+    const item = { '@type': ($(element).attr('itemtype') || '').trim().split(/\s+/).map((type) => type.split('/').pop()) };
+
+    $(element).find('[itemprop]').each((_, property) => {
+        if ($(property).parents('[itemscope]').first()[0] !== element) return; // Belongs to a nested item
+
+        const value = $(property).is('[itemscope]') ? readMicrodataItem($, property) : readMicrodataValue($, property);
+        for (const name of ($(property).attr('itemprop') || '').trim().split(/\s+/)) {
+            if (!name) continue;
+            item[name] = item[name] === undefined ? value : [item[name], value].flat();
+        }
+    });
+
+    return item;
+}
+
+function readMicrodataValue($, property) {
+    const $property = $(property);
+    if ($property.attr('content') !== undefined) return $property.attr('content');
+    if ($property.is('a, link, area')) return $property.attr('href');
+    if ($property.is('img, audio, video, source, iframe, embed')) return $property.attr('src');
+    if ($property.is('time') && $property.attr('datetime')) return $property.attr('datetime');
+    if ($property.is('data, meter') && $property.attr('value') !== undefined) return $property.attr('value');
+    return $property.text();
+}
+
+// "Oranienstraße 12, 10999 Berlin, DE" from a PostalAddress or a plain string
+function formatAddress(address) {
+    if (Array.isArray(address)) return formatAddress(address[0]);
+    if (typeof address === 'string') return text(address);
+    if (!address || typeof address !== 'object') return null;
+
+    const country = typeof address.addressCountry === 'object' ? address.addressCountry?.name : address.addressCountry;
+    const cityLine = [text(address.postalCode), text(address.addressLocality)].filter(Boolean).join(' ');
+    const parts = [text(address.streetAddress), cityLine, text(address.addressRegion), text(country)].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : null;
+}
+
+// 25, "25", "11-50", "50+" (51), { "@type": "QuantitativeValue", "value": 25 } or { "minValue": 11, "maxValue": 50 }
+function parseEmployeeCount(value) {
+    if (Array.isArray(value)) return parseEmployeeCount(value[0]);
+    if (typeof value === 'number') return value > 0 ? Math.round(value) : null;
+    if (value && typeof value === 'object') {
+        if (value.value !== undefined) return parseEmployeeCount(value.value);
+        const min = parseEmployeeCount(value.minValue);
+        const max = parseEmployeeCount(value.maxValue);
+        return min && max ? Math.round((min + max) / 2) : min || max || null;
+    }
+
+    const normalized = (text(value) || '').replace(/(\d)[.,\s](\d{3})\b/g, '$1$2');
+    const numbers = normalized.match(/\d+/g);
+    if (!numbers) return null;
+    const [min, max] = numbers.map(Number);
+    if (max) return Math.round((min + max) / 2);
+    // "50+" means more than 50, so it lands in the range above 50
+    if (min && /^\D*\d+\s*\+/.test(normalized)) return min + 1;
+    return min || null;
+}
+
+function getSocialPlatform(url) {
+    const lower = url.toLowerCase();
+    if (lower.includes('linkedin.com')) return 'linkedin';
+    if (lower.includes('facebook.com') || lower.includes('fb.com')) return 'facebook';
+    if (lower.includes('twitter.com') || /\/\/(www\.)?x\.com\//.test(lower)) return 'twitter';
+    if (lower.includes('instagram.com')) return 'instagram';
+    return null;
+}
+
+function getTypes(node) {
+    return [node?.['@type']].flat().filter((type) => typeof type === 'string').map((type) => type.split(/[/:]/).pop());
+}
+
+function text(value) {
+    if (Array.isArray(value)) return text(value[0]);
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string') return null;
+    return value.replace(/\s+/g, ' ').trim() || null;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
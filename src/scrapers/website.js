@@ -1,74 +1,50 @@
 import { Actor } from 'apify';
 import { CheerioCrawler } from 'crawlee';
+import { findEmailsInPage, rankEmails } from './emails.js';
+import { findPhonesInPage } from './phones.js';
+import { parseStructuredData, mergeStructuredData } from './structuredData.js';
+
+const EMPTY_SOCIAL_LINKS = { linkedin: null, facebook: null, twitter: null, instagram: null };
 
 /**
- * Extract email addresses and social links from a website
+ * Extract email addresses, phone numbers, structured business data and social links from a website
  * @param {string} websiteUrl - URL of the website to scrape
- * @returns {Promise<{email: string|null, socialLinks: Object}>} Email and social links or null if not found
+ * @returns {Promise<{email: string|null, emails: Array<Object>, phoneCandidates: Array<Object>, structuredData: Object, socialLinks: Object}>}
+ *   Best email (null if none), all emails found ranked best first (see rankEmails), phone numbers as found
+ *   (see findPhonesInPage, normalized by the caller with the lead's country), JSON-LD / microdata / OpenGraph
+ *   fields of all pages (see mergeStructuredData) and social links
  */
 export const extractEmailFromWebsite = async (websiteUrl) => {
-    if (!websiteUrl) return { email: null, socialLinks: { linkedin: null, facebook: null, twitter: null, instagram: null } };
+    if (!websiteUrl) return { email: null, emails: [], phoneCandidates: [], structuredData: {}, socialLinks: { ...EMPTY_SOCIAL_LINKS } };
+
+    // Filled page by page, so a timeout still returns what the finished pages had
+    const collected = { candidates: [], phoneCandidates: [], structuredPages: [], socialLinks: { ...EMPTY_SOCIAL_LINKS } };
 
     // PRODUCTION FIX: Add 45s timeout to prevent hanging (increased from 30s)
-    const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Email extraction timeout (45s)')), 45000)
-    );
+    let timeoutId;
+    const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Email extraction timeout (45s)')), 45000);
+    });
 
     try {
-        const result = await Promise.race([
-            extractEmailWithCrawler(websiteUrl),
+        await Promise.race([
+            extractEmailWithCrawler(websiteUrl, collected),
             timeoutPromise
         ]);
-        return result;
     } catch (error) {
         if (error.message.includes('timeout')) {
-            console.log(`⏱️ Email extraction timed out for ${websiteUrl} (30s limit)`);
+            console.log(`⏱️ Email extraction timed out for ${websiteUrl} (45s limit), using ${collected.structuredPages.length} finished page(s)`);
         }
-        return { email: null, socialLinks: { linkedin: null, facebook: null, twitter: null, instagram: null } };
+    } finally {
+        clearTimeout(timeoutId);
     }
+
+    return buildWebsiteResult(websiteUrl, collected);
 };
 
-async function extractEmailWithCrawler(websiteUrl) {
-    let foundEmail = null;
-    const foundSocialLinks = {
-        linkedin: null,
-        facebook: null,
-        twitter: null,
-        instagram: null,
-    };
+async function extractEmailWithCrawler(websiteUrl, { candidates, phoneCandidates, structuredPages, socialLinks: foundSocialLinks }) {
     const visitedUrls = new Set();
-    const maxPagesToVisit = 2; // Check homepage + 1 contact page (reduced for performance)
-
-    // Common patterns for email addresses
-    const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-
-    // Blacklist of domains to ignore (false positives)
-    const blacklistedDomains = [
-        'example.com',
-        'domain.com',
-        'yourdomain.com',
-        'yoursite.com',
-        'email.com',
-        'test.com',
-        'sample.com',
-        'wix.com',
-        'wordpress.com',
-        'squarespace.com',
-        'weebly.com',
-        'sentry.io',
-        'gravatar.com',
-        'w3.org',
-        'placeholder.com',
-        'yourcompany.com',
-        'companyname.com',
-        'schema.org',
-        'javascript:',
-        'mailto:',
-        '.png',
-        '.jpg',
-        '.gif',
-        '.svg',
-    ];
+    const maxPagesToVisit = 3; // Homepage + 2 contact/about pages, all searched so every address can be ranked
 
     // PRODUCTION FIX: Create unique request queue for each email extraction to prevent collisions
     const queueId = `email-${Date.now()}-${Math.random().toString(36).substring(7)}`;
@@ -83,9 +59,6 @@ async function extractEmailWithCrawler(websiteUrl) {
         requestQueue,
 
         async requestHandler({ $, request, enqueueLinks }) {
-            // Skip if we already found an email
-            if (foundEmail) return;
-
             visitedUrls.add(request.url);
 
             try {
@@ -111,123 +84,45 @@ async function extractEmailWithCrawler(websiteUrl) {
                     }
                 });
 
-                // Extract all text content from the page
-                const pageText = $('body').text();
-
-                // Find all email addresses
-                let rawEmails = pageText.match(emailRegex);
-
-                // Pre-filter: Remove obvious false positives (image files, etc.)
-                if (rawEmails) {
-                    rawEmails = rawEmails.filter((email) => {
-                        const lowerEmail = email.toLowerCase();
-                        // Exclude image files with @2x, @3x patterns
-                        if (lowerEmail.includes('@2x') || lowerEmail.includes('@3x')) return false;
-                        // Exclude if it ends with image/document extensions
-                        if (lowerEmail.match(/\.(png|jpg|jpeg|gif|svg|webp|pdf|doc|docx)$/i)) return false;
-                        return true;
-                    });
-                }
+                // mailto: links, JSON-LD and page text
+                const pageEmails = findEmailsInPage($, request.url);
+                candidates.push(...pageEmails);
 
                 // DEBUG: Log what was searched
-                console.log(`🔍 Searched ${request.url} - Found ${rawEmails ? rawEmails.length : 0} potential emails`);
-                if (rawEmails) {
-                    console.log(`   Raw emails found: ${rawEmails.slice(0, 5).join(', ')}`);
+                console.log(`🔍 Searched ${request.url} - Found ${pageEmails.length} email candidates`);
+                if (pageEmails.length > 0) {
+                    console.log(`   Emails found: ${pageEmails.slice(0, 5).map(({ email, method }) => `${email} (${method})`).join(', ')}`);
                 }
 
-                if (rawEmails && rawEmails.length > 0) {
-                    // Clean and validate emails
-                    const cleanedEmails = rawEmails
-                        .map((email) => {
-                            // Remove phone number patterns from the start (e.g., "206-2832lauraeason@domain.com")
-                            let cleaned = email.replace(/^[\d\s\-\.\(\)]+/, '');
-
-                            // Step 1: Extract email pattern - stop at TLD boundary
-                            // Match: localpart@domain.tld where TLD is 2+ letters, followed by non-letter or end
-                            const emailMatch = cleaned.match(/[a-zA-Z][a-zA-Z0-9._%+-]*@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(?=\s|[^a-zA-Z]|$)/);
-                            if (!emailMatch) return null;
-
-                            let extractedEmail = emailMatch[0];
-
-                            // No post-processing needed - the initial regex is accurate enough
-                            // Any "cleanup" attempts cause more harm than good (truncating valid TLDs)
-
-                            return extractedEmail;
-                        })
-                        .filter((email) => {
-                            if (!email) return false;
-
-                            // Validate email format
-                            const parts = email.split('@');
-                            if (parts.length !== 2) return false;
+                // tel: links, JSON-LD and labelled numbers in the page text
+                phoneCandidates.push(...findPhonesInPage($, request.url));
 
-                            const [localPart, domain] = parts;
+                // schema.org JSON-LD / microdata and OpenGraph business details
+                structuredPages.push({ url: request.url, data: parseStructuredData($) });
 
-                            // Basic validation
-                            if (!localPart || !domain) return false;
-                            if (localPart.length > 64 || domain.length > 255) return false;
-
-                            // Filter out blacklisted domains
-                            const domainLower = domain.toLowerCase();
-                            return !blacklistedDomains.some((blacklisted) => domainLower.includes(blacklisted));
-                        });
-
-                    // DEBUG: Log what survived cleaning
-                    console.log(`   After cleaning: ${cleanedEmails.length} valid emails`);
-                    if (cleanedEmails.length > 0) {
-                        console.log(`   Cleaned emails: ${cleanedEmails.slice(0, 3).join(', ')}`);
-                    }
-
-                    if (cleanedEmails.length > 0) {
-                        // Prioritize certain email prefixes (more likely to be contact emails)
-                        const priorityPrefixes = [
-                            'info@',
-                            'contact@',
-                            'hello@',
-                            'sales@',
-                            'support@',
-                            'admin@',
-                            'office@',
-                        ];
-
-                        const priorityEmail = cleanedEmails.find((email) =>
-                            priorityPrefixes.some((prefix) => email.toLowerCase().startsWith(prefix))
-                        );
-
-                        foundEmail = priorityEmail || cleanedEmails[0];
-
-                        console.log(`📧 Found email: ${foundEmail} on ${request.url}`);
-
-                        // Abort the crawler immediately to stop processing queued pages
-                        if (crawler.autoscaledPool) {
-                            await crawler.autoscaledPool.abort();
-                        }
-                        return;
-                    }
-                }
-
-                // If no email found on homepage, check contact/about pages
+                // From the homepage, also check contact/about pages
                 if (visitedUrls.size === 1) {
-                    // This is the first page (homepage), enqueue contact pages
-                    const contactLinks = $('a[href*="contact"], a[href*="about"], a[href*="team"]')
+                    const contactLinks = $('a[href*="contact"], a[href*="kontakt"], a[href*="about"], a[href*="impressum"], a[href*="team"]')
                         .map((_, el) => $(el).attr('href'))
                         .get()
-                        .filter((href) => href && !href.startsWith('#') && !href.startsWith('mailto:'))
-                        .slice(0, 1); // Limit to 1 additional page (homepage + 1 = 2 total)
+                        .filter((href) => href && !href.startsWith('#') && !href.startsWith('mailto:'));
 
+                    const contactUrls = [];
                     for (const link of contactLinks) {
                         try {
                             const absoluteUrl = new URL(link, websiteUrl).href;
-                            if (!visitedUrls.has(absoluteUrl)) {
-                                await enqueueLinks({
-                                    urls: [absoluteUrl],
-                                    strategy: 'same-domain',
-                                });
-                            }
+                            if (!visitedUrls.has(absoluteUrl) && !contactUrls.includes(absoluteUrl)) contactUrls.push(absoluteUrl);
                         } catch (urlError) {
                             // Skip invalid URLs
                         }
                     }
+
+                    if (contactUrls.length > 0) {
+                        await enqueueLinks({
+                            urls: contactUrls.slice(0, maxPagesToVisit - 1),
+                            strategy: 'same-domain',
+                        });
+                    }
                 }
             } catch (error) {
                 console.log(`⚠️ Error extracting email from ${request.url}: ${error.message}`);
@@ -248,7 +143,16 @@ async function extractEmailWithCrawler(websiteUrl) {
     // NOTE: We intentionally don't drop the request queue here
     // The crawler's async cleanup runs after run() returns, causing race conditions
     // Apify automatically cleans up queues after actor finishes
-    // These queues are tiny (max 2 requests) so storage impact is negligible
+    // These queues are tiny (max 3 requests) so storage impact is negligible
+}
+
+// Rank and merge everything collected from the crawled pages
+function buildWebsiteResult(websiteUrl, { candidates, phoneCandidates, structuredPages, socialLinks: foundSocialLinks }) {
+    const emails = rankEmails(candidates, websiteUrl);
+    if (emails.length > 0) {
+        const [best] = emails;
+        console.log(`📧 Found ${emails.length} email(s), best: ${best.email} (${best.method}, confidence ${best.confidence}) on ${best.sourceUrl}`);
+    }
 
     // Log found social links
     const socialCount = Object.values(foundSocialLinks).filter(link => link !== null).length;
@@ -256,64 +160,11 @@ async function extractEmailWithCrawler(websiteUrl) {
         console.log(`🔗 Found ${socialCount} social links from website:`, foundSocialLinks);
     }
 
-    return { email: foundEmail, socialLinks: foundSocialLinks };
-};
-
-/**
- * Extract multiple contact details from a website
- * @param {string} websiteUrl - URL of the website
- * @returns {Promise<Object>} Object with email, phone, social links
- */
-export const extractContactDetails = async (websiteUrl) => {
-    const details = {
-        email: null,
-        phone: null,
-        linkedin: null,
-        facebook: null,
-        twitter: null,
-    };
-
-    const crawler = new CheerioCrawler({
-        maxRequestsPerCrawl: 3,
-        maxConcurrency: 1,
-
-        async requestHandler({ $, request }) {
-            try {
-                const pageText = $('body').text();
-
-                // Extract email
-                if (!details.email) {
-                    const emailMatch = pageText.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
-                    details.email = emailMatch ? emailMatch[0] : null;
-                }
-
-                // Extract phone
-                if (!details.phone) {
-                    const phoneMatch = pageText.match(/[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}/);
-                    details.phone = phoneMatch ? phoneMatch[0] : null;
-                }
-
-                // Extract social links
-                if (!details.linkedin) {
-                    details.linkedin = $('a[href*="linkedin.com"]').attr('href') || null;
-                }
-                if (!details.facebook) {
-                    details.facebook = $('a[href*="facebook.com"]').attr('href') || null;
-                }
-                if (!details.twitter) {
-                    details.twitter = $('a[href*="twitter.com"]').attr('href') || null;
-                }
-            } catch (error) {
-                // Fail silently
-            }
-        },
-    });
-
-    try {
-        await crawler.run([websiteUrl]);
-    } catch (error) {
-        // Fail silently
+    const structuredData = mergeStructuredData(structuredPages);
+    if (Object.keys(structuredData).length > 0) {
+        console.log(`🏷️ Structured data on ${websiteUrl}: ${Object.entries(structuredData).map(([field, { source }]) => `${field} (${source})`).join(', ')}`);
     }
 
-    return details;
-};
+    // Copies: after a timeout the crawler may still be adding to the collected lists
+    return { email: emails[0]?.email || null, emails, phoneCandidates: [...phoneCandidates], structuredData, socialLinks: { ...foundSocialLinks } };
+}
@@ -0,0 +1,91 @@
+/**
+ * Create the run-wide bot-detection tracker
+ * Counts page loads and blocks (CAPTCHA / "unusual traffic") per crawler and computes the exponential
+ * backoff applied before a blocked request is retried with a fresh session.
+ * @param {Object} saved - Counters persisted before a migration/restart (stats.blocking)
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelaySeconds - Delay after the first block in a row
+ * @param {number} options.maxDelaySeconds - Upper bound for the delay
+ * @returns {Object} Tracker with recordRequest(), recordBlock(), recordGaveUp(), recordInterstitial(), recordSuccess(), backoff() and live `stats`
+ */
+export const createBlockTracker = (saved = null, { baseDelaySeconds = 5, maxDelaySeconds = 120 } = {}) => {
+    const stats = {
+        requests: 0, // Page loads, including retries
+        blocked: 0,
+        blockRate: 0, // % of page loads that hit a block page
+        sessionsRetired: 0,
+        gaveUp: 0, // Pages still blocked after every retry, left out of the results
+        backoffSeconds: 0, // Total time spent waiting before retries
+        byCrawler: {}, // { search: { requests, blocked, gaveUp }, detail: { ... } }
+        reasons: {}, // { captcha: 3, 'unusual traffic': 1 }
+        interstitials: {}, // Consent walls and dialogs clicked away: { consent: 2, interstitial: 1 }
+        ...saved,
+    };
+
+    // Blocks in a row across both crawlers; any successful page load resets it
+    let consecutiveBlocks = 0;
+
+    const getCrawlerStats = (crawlerName) => {
+        stats.byCrawler[crawlerName] = { requests: 0, blocked: 0, gaveUp: 0, ...stats.byCrawler[crawlerName] };
+        return stats.byCrawler[crawlerName];
+    };
+
+    const updateRate = () => {
+        stats.blockRate = stats.requests > 0 ? Math.round((stats.blocked / stats.requests) * 1000) / 10 : 0;
+    };
+
+    return {
+        stats,
+
+        recordRequest(crawlerName) {
+            stats.requests++;
+            getCrawlerStats(crawlerName).requests++;
+            updateRate();
+        },
+
+        // Block page detected: its session (proxy IP + cookies + browser) is retired by the caller
+        recordBlock(crawlerName, reason) {
+            stats.blocked++;
+            stats.sessionsRetired++;
+            stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+            getCrawlerStats(crawlerName).blocked++;
+            consecutiveBlocks++;
+            updateRate();
+        },
+
+        // Still blocked after all session rotations: the page is skipped, not saved with empty fields
+        recordGaveUp(crawlerName) {
+            stats.gaveUp++;
+            getCrawlerStats(crawlerName).gaveUp++;
+        },
+
+        // Consent wall or interstitial dismissed; the session stays usable
+        recordInterstitial(kind) {
+            stats.interstitials[kind] = (stats.interstitials[kind] || 0) + 1;
+        },
+
+        recordSuccess() {
+            consecutiveBlocks = 0;
+        },
+
+        /**
+         * Delay for the next retry: base * 2^(blocks in a row - 1), capped, with ±20% jitter
+         * @returns {number} Delay in milliseconds (0 when the last page load was not blocked)
+         */
+        getBackoffMs() {
+            if (consecutiveBlocks === 0) return 0;
+            const delaySeconds = Math.min(maxDelaySeconds, baseDelaySeconds * 2 ** (consecutiveBlocks - 1));
+            const jitter = 0.8 + Math.random() * 0.4;
+            return Math.round(delaySeconds * jitter * 1000);
+        },
+
+        async backoff() {
+            const delayMs = this.getBackoffMs();
+            if (delayMs === 0) return;
+
+            console.log(`⏳ Backing off ${Math.round(delayMs / 1000)}s after ${consecutiveBlocks} block(s) in a row`);
+            stats.backoffSeconds += Math.round(delayMs / 1000);
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+        },
+    };
+};
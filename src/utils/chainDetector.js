@@ -0,0 +1,117 @@
+/**
+ * Run-wide chain / franchise detection
+ * A business counts as a chain when its name (without the branch suffix) or its website domain shows up
+ * at several places across all queries of the run, or when its name starts with a known brand.
+ * Places are counted as soon as they appear in a search feed, so locations filtered out later still count.
+ */
+
+import { getWebsiteDomain } from './domains.js';
+
+// Franchises and chains that commonly show up in B2B searches
+export const KNOWN_CHAIN_BRANDS = [
+    'regus', 'wework', 'industrious', 'servcorp', // Coworking / offices
+    'the ups store', 'fedex office', 'minuteman press', 'alphagraphics', 'sir speedy', 'staples', 'kinkos', // Print & ship
+    'h&r block', 'jackson hewitt', 'liberty tax', // Tax
+    're/max', 'keller williams', 'century 21', 'coldwell banker', "sotheby's international realty", 'engel & völkers', 'era real estate', // Real estate
+    'kumon', 'sylvan learning', 'mathnasium', 'berlitz', // Education
+    'anytime fitness', 'planet fitness', 'snap fitness', 'orangetheory fitness', 'mcfit', // Fitness
+    "mcdonald's", 'starbucks', 'subway', 'burger king', 'kfc', "domino's", 'pizza hut', '7-eleven', 'dunkin', // Food
+    'adecco', 'manpower', 'randstad', 'robert half', 'kelly services', // Staffing
+    'allstate', 'state farm', 'farmers insurance', 'edward jones', // Insurance / finance agents
+    'midas', 'jiffy lube', 'meineke', 'pep boys', 'aspen dental', // Services
+];
+
+/**
+ * Normalize a business name for chain matching: lowercase, no accents, branch suffix removed
+ * ("Regus - Berlin Mitte" -> "regus", "The UPS Store #1234" -> "the ups store")
+ * @param {string} name - Business name
+ * @returns {string} Normalized name ('' for empty input)
+ */
+export const normalizeBusinessName = (name) => String(name || '')
+    .split(/\s+[-–—|·•:]\s+|\s*[(\[]/)[0]
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/#\s*\d+/g, '')
+    .replace(/[^\p{L}\p{N}&'/\-+ ]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Create the run-wide chain detector
+ * Only places counted so far decide a flag: the first locations of a chain are saved unflagged until the
+ * name or domain reaches minLocations.
+ * @param {Object} saved - Stats persisted before a migration/restart (stats.chains)
+ * @param {Object} options - Detection options
+ * @param {number} options.minLocations - Places sharing a name or domain before they count as a chain
+ * @param {Array<string>} options.knownBrands - Brand names from input, added to KNOWN_CHAIN_BRANDS
+ * @param {Map<string, Set<string>>} locations - 'name:<name>' / 'domain:<domain>' -> place keys (runState.chainLocations),
+ *   updated live so counts below the threshold survive a migration/restart too
+ * @returns {Object} Detector with recordPlace(), getChainReason(), recordFlagged() and live `stats`
+ */
+export const createChainDetector = (saved = null, { minLocations = 3, knownBrands = [] } = {}, locations = new Map()) => {
+    const stats = {
+        leadsFlagged: 0, // Detail leads marked isChain (kept or filtered)
+        byReason: {}, // { knownBrand: 4, name: 7, domain: 2 }
+        detected: {}, // Names/domains at minLocations or more places: { 'name:regus': 5, 'domain:ups.com': 3 }
+        ...saved,
+        minLocations,
+    };
+
+    const brands = [...KNOWN_CHAIN_BRANDS, ...knownBrands]
+        .map(normalizeBusinessName)
+        .filter(Boolean);
+
+    const getKeys = ({ businessName, website }) => {
+        const name = normalizeBusinessName(businessName);
+        const domain = getWebsiteDomain(website);
+        return [name && `name:${name}`, domain && `domain:${domain}`].filter(Boolean);
+    };
+
+    return {
+        stats,
+
+        /**
+         * Count a place (search card or detail lead) under its name and website domain
+         * @param {Object} place - { businessName, website }
+         * @param {string} placeKey - Stable place key (see getPlaceKey)
+         */
+        recordPlace(place, placeKey) {
+            for (const key of getKeys(place)) {
+                if (!locations.has(key)) locations.set(key, new Set());
+                locations.get(key).add(placeKey);
+
+                const count = Math.max(locations.get(key).size, stats.detected[key] || 0);
+                if (count >= minLocations) stats.detected[key] = count;
+            }
+        },
+
+        /**
+         * @param {Object} place - { businessName, website }
+         * @returns {string|null} Why the place is a chain ('known brand "regus"', 'name at 4 locations',
+         *   'domain ups.com at 3 locations'), or null
+         */
+        getChainReason(place) {
+            const name = normalizeBusinessName(place.businessName);
+            const brand = name && brands.find((known) => name === known || name.startsWith(`${known} `));
+            if (brand) return `known brand "${brand}"`;
+
+            for (const key of getKeys(place)) {
+                const count = stats.detected[key];
+                if (!count) continue;
+                return key.startsWith('domain:')
+                    ? `domain ${key.slice('domain:'.length)} at ${count} locations`
+                    : `name at ${count} locations`;
+            }
+            return null;
+        },
+
+        // A detail lead was marked as a chain for this reason
+        recordFlagged(reason) {
+            const kind = reason.startsWith('known brand') ? 'knownBrand' : reason.split(' ')[0];
+            stats.leadsFlagged++;
+            stats.byReason[kind] = (stats.byReason[kind] || 0) + 1;
+        },
+    };
+};
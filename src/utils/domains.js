@@ -0,0 +1,24 @@
+// Hosts shared by unrelated businesses (site builders, social profiles), never a chain signal or lead fingerprint
+const SHARED_DOMAINS = [
+    'facebook.com', 'instagram.com', 'linkedin.com', 'twitter.com', 'x.com', 'tiktok.com', 'youtube.com', 'linktr.ee',
+    'google.com', 'business.site', 'sites.google.com', 'wixsite.com', 'squarespace.com', 'godaddysites.com',
+    'square.site', 'weebly.com', 'wordpress.com', 'jimdosite.com', 'yelp.com', 'booking.com',
+];
+
+/**
+ * Website domain identifying one business (chain detection groups locations by it, the lead history
+ * fingerprints leads with it)
+ * @param {string} url - Website URL
+ * @returns {string|null} Hostname without www, null for invalid URLs and shared hosts
+ */
+export const getWebsiteDomain = (url) => {
+    if (!url) return null;
+    let hostname;
+    try {
+        hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+    const shared = SHARED_DOMAINS.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+    return shared ? null : hostname;
+};
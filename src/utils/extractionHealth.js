@@ -0,0 +1,156 @@
+import { Actor } from 'apify';
+
+// Key-value store record holding the extraction health report
+export const EXTRACTION_HEALTH_KEY = 'EXTRACTION_HEALTH';
+
+// Minimum success rate (%) per field; fields that many real places lack get a lower bar
+const DEFAULT_THRESHOLDS = {
+    rating: 50, // Search cards
+    reviews: 50,
+    phone: 50, // Detail pages
+    website: 30,
+    address: 50,
+    category: 50,
+    socials: 5,
+};
+
+export const HEALTH_FIELDS = Object.keys(DEFAULT_THRESHOLDS);
+
+/**
+ * Open the run-wide extraction health tracker (selector drift detection)
+ * Counts how often each field was found (and by which strategy) across all queries. Once a field has
+ * enough samples and its success rate drops below the threshold, an alert is raised - usually a sign
+ * that Google changed its markup.
+ * @param {Object} params - Health check parameters
+ * @param {number} params.threshold - Minimum success rate in % for every field (null = per-field defaults)
+ * @param {string} params.action - 'warn', 'fail' or 'off'
+ * @param {number} params.minSamples - Samples per field before its rate is judged
+ * @returns {Promise<Object>} Tracker with recordCard(), recordDetail(), onAlert(), getReport() and persist()
+ */
+export const openExtractionHealth = async (params = {}) => {
+    // Counts from before a migration/restart of this run
+    const saved = await Actor.getValue(EXTRACTION_HEALTH_KEY);
+    return createExtractionHealth(saved, params);
+};
+
+/**
+ * Create the extraction health tracker from a saved report (see openExtractionHealth)
+ * @param {Object} saved - Report persisted before a migration/restart (null on first start)
+ * @param {Object} params - threshold, action and minSamples as for openExtractionHealth
+ * @returns {Object} Tracker with recordCard(), recordDetail(), onAlert(), getReport() and persist()
+ */
+export const createExtractionHealth = (saved = null, { threshold = null, action = 'warn', minSamples = 20 } = {}) => {
+    const fields = {};
+    for (const field of HEALTH_FIELDS) {
+        const savedField = saved?.fields?.[field] || {};
+        fields[field] = {
+            attempts: savedField.attempts || 0,
+            found: savedField.found || 0,
+            strategies: { ...savedField.strategies },
+            threshold: threshold ?? DEFAULT_THRESHOLDS[field],
+        };
+    }
+
+    const alerts = saved?.alerts || [];
+    const alertedFields = new Set(alerts.map((alert) => alert.field));
+    let alertCallback = null;
+
+    const getSuccessRate = (field) => (fields[field].attempts > 0
+        ? Math.round((fields[field].found / fields[field].attempts) * 1000) / 10
+        : null);
+
+    const record = (field, found, strategy = null) => {
+        const stats = fields[field];
+        stats.attempts++;
+        if (found) stats.found++;
+        if (strategy) stats.strategies[strategy] = (stats.strategies[strategy] || 0) + 1;
+
+        if (action === 'off' || alertedFields.has(field) || stats.attempts < minSamples) return;
+
+        const successRate = getSuccessRate(field);
+        if (successRate >= stats.threshold) return;
+
+        // Below the bar: alert once per field
+        alertedFields.add(field);
+        const alert = {
+            field,
+            successRate,
+            threshold: stats.threshold,
+            found: stats.found,
+            attempts: stats.attempts,
+            detectedAt: new Date().toISOString(),
+        };
+        alerts.push(alert);
+
+        console.error('🚨'.repeat(10));
+        console.error(`🚨 EXTRACTION HEALTH: "${field}" found on only ${successRate}% of ${stats.attempts} places (threshold ${stats.threshold}%)`);
+        console.error('🚨 Google Maps markup may have changed - check the extractors against a fresh page');
+        console.error('🚨'.repeat(10));
+
+        // Async callbacks (status message, failing the run) must not become unhandled rejections
+        if (alertCallback) {
+            Promise.resolve()
+                .then(() => alertCallback(alert))
+                .catch((error) => console.error(`❌ Extraction health alert handler failed: ${error.message}`));
+        }
+    };
+
+    return {
+        /**
+         * Record a search card the first time it shows up in a feed
+         * @param {Object} card - Card from extractSearchCards
+         * @param {Object} strategies - { rating, reviews } strategy names that produced the values ('failed' if none)
+         */
+        recordCard(card, strategies = {}) {
+            record('rating', card.rating !== null && card.rating !== undefined, strategies.rating);
+            record('reviews', card.reviewCount > 0, strategies.reviews);
+        },
+
+        /**
+         * Record the fields of a detail page lead
+         * @param {Object} lead - Lead built by the detail handler
+         */
+        recordDetail(lead) {
+            record('phone', Boolean(lead.phone));
+            record('website', Boolean(lead.website));
+            record('address', Boolean(lead.address));
+            record('category', Boolean(lead.category));
+            record('socials', Object.values(lead.socialLinks || {}).some(Boolean));
+        },
+
+        // Called once per field that drops below its threshold
+        onAlert(callback) {
+            alertCallback = callback;
+        },
+
+        get alerts() {
+            return alerts;
+        },
+
+        getReport() {
+            const report = {};
+            for (const field of HEALTH_FIELDS) {
+                const { attempts, found, strategies, threshold: fieldThreshold } = fields[field];
+                const successRate = getSuccessRate(field);
+                let status = 'ok';
+                if (attempts < minSamples) status = 'insufficient data';
+                else if (successRate < fieldThreshold) status = 'below threshold';
+
+                report[field] = { attempts, found, successRate, threshold: fieldThreshold, status, strategies };
+            }
+
+            return {
+                healthy: alerts.length === 0,
+                action,
+                minSamples,
+                fields: report,
+                alerts,
+                updatedAt: new Date().toISOString(),
+            };
+        },
+
+        async persist() {
+            await Actor.setValue(EXTRACTION_HEALTH_KEY, this.getReport());
+        },
+    };
+};
@@ -0,0 +1,89 @@
+import { Actor } from 'apify';
+import { getPlaceKey } from '../scrapers/googleMaps.js';
+import { normalizePhone, getCountryHint } from '../scrapers/phones.js';
+import { getWebsiteDomain } from './domains.js';
+
+// Record in the named key-value store holding fingerprints of every lead delivered so far
+const FINGERPRINTS_KEY = 'FINGERPRINTS';
+
+/**
+ * Open the cross-run lead history ("new leads only" mode)
+ * Fingerprints (place, E.164 phone, website domain) survive between runs in a named key-value store
+ * @param {string} storeName - Named key-value store shared by scheduled runs
+ * @param {Object} options - History options
+ * @param {string|null} options.defaultCountry - Country for national phone numbers when the lead gives no clue (see getCountryHint)
+ * @param {number} options.newCount - Places this run added before a migration/restart (stats.newLeadsRemembered)
+ * @returns {Promise<Object>} History with findPlace(url), findLead(lead), add(lead) and persist()
+ */
+export const openLeadHistory = async (storeName = 'lead-history', { defaultCountry = null, newCount = 0 } = {}) => {
+    const store = await Actor.openKeyValueStore(storeName);
+    const saved = await store.getValue(FINGERPRINTS_KEY) || {};
+
+    const places = saved.places || {}; // placeKey -> first delivered ISO date
+    const phones = new Set(saved.phones || []); // E.164
+    const domains = new Set(saved.domains || []);
+    const startingSize = Object.keys(places).length;
+    let added = newCount; // Places added by this run (the store already holds those added before a restart)
+
+    // "030 1234567" on Maps and "+49 30 1234567" on the website are the same number in E.164
+    const getPhoneFingerprint = (lead) => normalizePhone(lead.phone, getCountryHint(lead, defaultCountry))?.phone || null;
+
+    console.log(`🧠 Lead history "${storeName}": ${startingSize} places, ${phones.size} phones, ${domains.size} domains already delivered`);
+
+    return {
+        /**
+         * Check a Google Maps URL against delivered places (cheap, before the detail page)
+         * @returns {{reason: string, firstSeenAt: string}|null} Match or null if never delivered
+         */
+        findPlace(url) {
+            const placeKey = getPlaceKey(url);
+            return places[placeKey] ? { reason: 'place', firstSeenAt: places[placeKey] } : null;
+        },
+
+        /**
+         * Check a detailed lead by place, phone and website domain (before email extraction)
+         * @returns {{reason: string, firstSeenAt: string|null}|null} Match or null if never delivered
+         */
+        findLead(lead) {
+            const placeMatch = this.findPlace(lead.googleMapsUrl);
+            if (placeMatch) return placeMatch;
+
+            const phone = getPhoneFingerprint(lead);
+            if (phone && phones.has(phone)) return { reason: 'phone', firstSeenAt: null };
+
+            const domain = getWebsiteDomain(lead.website);
+            if (domain && domains.has(domain)) return { reason: 'website', firstSeenAt: null };
+
+            return null;
+        },
+
+        // Remember a delivered lead
+        add(lead) {
+            const placeKey = getPlaceKey(lead.googleMapsUrl);
+            if (placeKey && !places[placeKey]) {
+                places[placeKey] = new Date().toISOString();
+                added++;
+            }
+
+            const phone = getPhoneFingerprint(lead);
+            if (phone) phones.add(phone);
+
+            const domain = getWebsiteDomain(lead.website);
+            if (domain) domains.add(domain);
+        },
+
+        // Number of places added in this run, across migrations/restarts
+        get newCount() {
+            return added;
+        },
+
+        async persist() {
+            await store.setValue(FINGERPRINTS_KEY, {
+                places,
+                phones: [...phones],
+                domains: [...domains],
+                updatedAt: new Date().toISOString(),
+            });
+        },
+    };
+};
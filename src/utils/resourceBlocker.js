@@ -0,0 +1,114 @@
+/**
+ * Request interception for the Google Maps crawler
+ * Images, video, fonts, map tiles/imagery and analytics beacons are aborted before they load: none of
+ * them carry data the extractors read, and they are where most of the browser's CPU, RAM and bandwidth goes.
+ */
+
+// Resource types never needed for extraction (Puppeteer's request.resourceType())
+const BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font'];
+
+// URL fragments of requests that are blocked whatever their resource type (tiles also load as XHR/fetch)
+const BLOCKED_URL_PATTERNS = {
+    tiles: [
+        '/maps/vt', // Vector and raster map tiles
+        'khms', // Satellite imagery (khms0.googleapis.com, ...)
+        '/kh/v=',
+        'streetviewpixels-pa.googleapis.com', // Street View thumbnails
+        'ggpht.com/cbk', // Street View / photo sphere imagery
+        '/maps/api/js/StaticMapService',
+    ],
+    analytics: [
+        'google-analytics.com',
+        'googletagmanager.com',
+        'doubleclick.net',
+        'play.google.com/log',
+        'csi.gstatic.com',
+        '/gen_204',
+        '/maps/preview/log',
+    ],
+};
+
+// Typical transfer size per blocked request, used to estimate the bandwidth saved (blocked requests have no response)
+const ESTIMATED_BYTES = {
+    image: 30000,
+    media: 500000,
+    font: 40000,
+    tiles: 20000,
+    analytics: 1000,
+    denyList: 10000,
+};
+
+/**
+ * Decide whether a request is blocked
+ * Allow/deny entries are resource types ("image"), categories ("tiles", "analytics") or URL fragments
+ * ("lh5.googleusercontent.com"); the allow list wins. The page document itself is never blocked.
+ * @param {string} url - Request URL
+ * @param {string} resourceType - Puppeteer resource type (document, image, xhr, ...)
+ * @param {Object} lists - { allow: string[], deny: string[] } from input
+ * @returns {string|null} Block category (image, media, font, tiles, analytics, denyList) or null to let it load
+ */
+export const getBlockCategory = (url, resourceType, { allow = [], deny = [] } = {}) => {
+    if (resourceType === 'document') return null;
+
+    let category = null;
+    if (BLOCKED_RESOURCE_TYPES.includes(resourceType)) {
+        category = resourceType;
+    } else {
+        category = Object.keys(BLOCKED_URL_PATTERNS)
+            .find((name) => BLOCKED_URL_PATTERNS[name].some((pattern) => url.includes(pattern))) || null;
+    }
+
+    const matches = (entry) => entry === resourceType || entry === category || url.includes(entry);
+    if (!category && deny.some(matches)) category = 'denyList';
+    if (category && allow.some(matches)) return null;
+
+    return category;
+};
+
+/**
+ * Create the run-wide resource blocker
+ * @param {Object} saved - Counters persisted before a migration/restart (stats.resourceBlocking)
+ * @param {Object} options - Blocking options
+ * @param {boolean} options.enabled - Intercept requests at all
+ * @param {Array<string>} options.allow - Entries always loaded (see getBlockCategory)
+ * @param {Array<string>} options.deny - Extra entries to block
+ * @returns {Object} Blocker with attach(page) and live `stats`
+ */
+export const createResourceBlocker = (saved = null, { enabled = true, allow = [], deny = [] } = {}) => {
+    const stats = {
+        requestsBlocked: 0,
+        estimatedBytesSaved: 0, // Typical size per blocked request type, see ESTIMATED_BYTES
+        byCategory: {}, // { image: 120, tiles: 40, analytics: 12, ... }
+        ...saved,
+        enabled,
+    };
+
+    return {
+        stats,
+
+        /**
+         * Turn on interception for a page (call before navigation)
+         * Cooperative mode (priority 0), so other request handlers on the page keep working
+         * @param {Object} page - Puppeteer page
+         */
+        async attach(page) {
+            if (!enabled) return;
+
+            await page.setRequestInterception(true);
+            page.on('request', (request) => {
+                if (request.isInterceptResolutionHandled()) return;
+
+                const category = getBlockCategory(request.url(), request.resourceType(), { allow, deny });
+                if (!category) {
+                    request.continue(request.continueRequestOverrides(), 0).catch(() => {});
+                    return;
+                }
+
+                stats.requestsBlocked++;
+                stats.estimatedBytesSaved += ESTIMATED_BYTES[category];
+                stats.byCategory[category] = (stats.byCategory[category] || 0) + 1;
+                request.abort('blockedbyclient', 0).catch(() => {});
+            });
+        },
+    };
+};
@@ -0,0 +1,98 @@
+import { Actor } from 'apify';
+
+// Key-value store record holding scraper state between migrations/restarts
+export const RUN_STATE_KEY = 'RUN_STATE';
+
+/**
+ * Load run state persisted by a previous (migrated or restarted) container of this run
+ * @returns {Promise<Object>} Run state ({ stats, savedPlaceKeys, chainLocations, queries, restarts }), empty on first start
+ */
+export const loadRunState = async () => {
+    const saved = await Actor.getValue(RUN_STATE_KEY);
+
+    if (!saved) {
+        return { stats: null, savedPlaceKeys: new Set(), chainLocations: new Map(), queries: {}, restarts: 0 };
+    }
+
+    const queries = {};
+    for (const [label, query] of Object.entries(saved.queries || {})) {
+        queries[label] = {
+            ...query,
+            cards: query.cards || [],
+            doneDetailUrls: new Set(query.doneDetailUrls || []),
+        };
+    }
+
+    // Place keys per chain name/domain (see createChainDetector)
+    const chainLocations = new Map();
+    for (const [key, placeKeys] of Object.entries(saved.chainLocations || {})) {
+        chainLocations.set(key, new Set(placeKeys));
+    }
+
+    return {
+        stats: saved.stats || null,
+        savedPlaceKeys: new Set(saved.savedPlaceKeys || []),
+        chainLocations,
+        queries,
+        restarts: (saved.restarts || 0) + 1,
+    };
+};
+
+/**
+ * Persist run state to the key-value store (Sets are stored as arrays)
+ * @param {Object} state - Run state from loadRunState
+ * @returns {Promise<void>}
+ */
+export const persistRunState = async (state) => {
+    const queries = {};
+    for (const [label, query] of Object.entries(state.queries)) {
+        queries[label] = {
+            ...query,
+            doneDetailUrls: [...query.doneDetailUrls],
+        };
+    }
+
+    await Actor.setValue(RUN_STATE_KEY, {
+        stats: state.stats,
+        savedPlaceKeys: [...state.savedPlaceKeys],
+        chainLocations: Object.fromEntries([...state.chainLocations].map(([key, placeKeys]) => [key, [...placeKeys]])),
+        queries,
+        restarts: state.restarts,
+        persistedAt: new Date().toISOString(),
+    });
+};
+
+/**
+ * Get (or create) the resumable state of a single query
+ * @param {Object} state - Run state from loadRunState
+ * @param {string} label - Query label ("category in location")
+ * @returns {{cards: Array, searchDone: boolean, doneDetailUrls: Set, completed: boolean}} Query state
+ */
+export const getQueryState = (state, label) => {
+    if (!state.queries[label]) {
+        state.queries[label] = {
+            cards: [], // Listing cards discovered by the search crawler
+            searchDone: false, // Search crawl finished, cards are complete
+            doneDetailUrls: new Set(), // Detail pages already processed (saved, filtered or failed)
+            completed: false, // Whole query finished
+        };
+    }
+    return state.queries[label];
+};
+
+/**
+ * Record the end of a query's scrape. Only a query whose search finished and that the time budget didn't
+ * cut short is completed and drops its cards; otherwise the cards and processed detail pages stay so a
+ * resumed run continues where this one stopped.
+ * @param {Object} queryState - Query state from getQueryState
+ * @param {boolean} cutShort - The time budget stopped new work during (or before the end of) the query
+ * @returns {boolean} True if the query is completed
+ */
+export const finishQueryState = (queryState, cutShort) => {
+    queryState.completed = queryState.searchDone && !cutShort;
+    if (queryState.completed) {
+        queryState.cards = [];
+        queryState.doneDetailUrls.clear();
+    }
+    return queryState.completed;
+};
@@ -0,0 +1,78 @@
+import { Actor } from 'apify';
+
+/**
+ * Create a time-budget manager for the run
+ * The budget ends at the earlier of the user's timeoutSeconds and the platform's hard timeout.
+ * Near the end, crawlers stop starting new work so in-flight leads can finish and OUTPUT/webhook
+ * are written before the platform kills the container.
+ * @param {Object} params - Budget parameters
+ * @param {number} params.timeoutSeconds - User time budget (from input), null = platform timeout only
+ * @param {number} params.reserveSeconds - Time kept back for finishing in-flight leads (default: 5% of budget, 60-300s)
+ * @param {number} params.finalizeSeconds - Time kept back for writing OUTPUT and sending the webhook
+ * @returns {Object} Budget with elapsedSeconds(), remainingSeconds(), isNearLimit(), onExpire() and reason
+ */
+export const createTimeBudget = ({ timeoutSeconds = null, reserveSeconds = null, finalizeSeconds = 30 } = {}) => {
+    const env = Actor.getEnv();
+    const startedAt = env.startedAt ? env.startedAt.getTime() : Date.now();
+
+    const deadlines = [];
+    if (timeoutSeconds) deadlines.push(startedAt + timeoutSeconds * 1000);
+    if (env.timeoutAt) deadlines.push(env.timeoutAt.getTime());
+    const deadline = deadlines.length > 0 ? Math.min(...deadlines) : null;
+
+    const budgetSeconds = deadline ? (deadline - startedAt) / 1000 : null;
+    const reserve = reserveSeconds ?? (budgetSeconds ? Math.min(300, Math.max(60, budgetSeconds * 0.05)) : 0);
+
+    let reason = null;
+    let expireTimer = null;
+
+    if (deadline) {
+        console.log(`⏱️ Time budget: ${Math.round(budgetSeconds)}s (stopping new work ${Math.round(reserve)}s before the limit)`);
+    }
+
+    return {
+        deadline: deadline ? new Date(deadline).toISOString() : null,
+
+        // Why new work was stopped (null while within budget)
+        get reason() {
+            return reason;
+        },
+
+        elapsedSeconds() {
+            return Math.round((Date.now() - startedAt) / 1000);
+        },
+
+        remainingSeconds() {
+            return deadline ? Math.max(0, Math.round((deadline - Date.now()) / 1000)) : Infinity;
+        },
+
+        /**
+         * True once the run is inside the reserve window: don't start new scrolls, searches or detail pages
+         */
+        isNearLimit() {
+            if (!deadline) return false;
+            if (!reason && Date.now() >= deadline - reserve * 1000) {
+                reason = `Time budget nearly used (${this.elapsedSeconds()}s elapsed, ${this.remainingSeconds()}s left of ${Math.round(budgetSeconds)}s)`;
+                console.warn(`⏱️ ${reason} - finishing in-flight leads, no new work will be started`);
+            }
+            return reason !== null;
+        },
+
+        /**
+         * Run a callback shortly before the hard deadline (last chance to write OUTPUT and send the webhook)
+         */
+        onExpire(callback) {
+            if (!deadline) return;
+            const delay = Math.max(0, deadline - finalizeSeconds * 1000 - Date.now());
+            expireTimer = setTimeout(() => {
+                reason = reason || `Time budget exhausted (${this.elapsedSeconds()}s elapsed)`;
+                callback(reason);
+            }, delay);
+            expireTimer.unref();
+        },
+
+        stop() {
+            if (expireTimer) clearTimeout(expireTimer);
+        },
+    };
+};
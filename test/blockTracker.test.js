@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBlockTracker } from '../src/utils/blockTracker.js';
+
+test('createBlockTracker: block rate and pages given up per crawler, counters restored after a restart', () => {
+    const tracker = createBlockTracker({ requests: 2, blocked: 0, byCrawler: { detail: { requests: 2, blocked: 0 } } });
+
+    tracker.recordRequest('detail');
+    tracker.recordBlock('detail', 'captcha');
+    tracker.recordRequest('detail');
+    tracker.recordBlock('detail', 'captcha');
+    tracker.recordGaveUp('detail');
+
+    assert.equal(tracker.stats.blockRate, 50);
+    assert.equal(tracker.stats.gaveUp, 1);
+    assert.deepEqual(tracker.stats.byCrawler.detail, { requests: 4, blocked: 2, gaveUp: 1 });
+    assert.deepEqual(tracker.stats.reasons, { captcha: 2 });
+    assert.ok(tracker.getBackoffMs() > 0);
+
+    tracker.recordSuccess();
+    assert.equal(tracker.getBackoffMs(), 0);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { findEmailsInPage, rankEmails } from '../src/scrapers/emails.js';
+
+const WEBSITE = 'https://www.acmeprint.co.uk/';
+const CONTACT_PAGE = 'https://www.acmeprint.co.uk/contact';
+
+const loadPage = (name) => cheerio.load(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+test('findEmailsInPage: mailto links, JSON-LD and page text', () => {
+    const found = findEmailsInPage(loadPage('website-home.html'), WEBSITE);
+    const byMethod = (method) => found.filter((candidate) => candidate.method === method).map(({ email }) => email);
+
+    assert.deepEqual(byMethod('mailto'), ['hello@acmeprint.co.uk']);
+    assert.deepEqual(byMethod('json-ld'), ['hello@acmeprint.co.uk', 'sales@acmeprint.co.uk']);
+    assert.deepEqual(byMethod('text'), ['hello@acmeprint.co.uk', 'billing@acmeprint.co.uk', 'jane.doe@acmeprint.co.uk']);
+    assert.ok(found.every(({ sourceUrl }) => sourceUrl === WEBSITE));
+});
+
+test('findEmailsInPage: several addresses in one mailto link, uppercase scheme', () => {
+    const found = findEmailsInPage(loadPage('website-contact.html'), CONTACT_PAGE)
+        .filter(({ method }) => method === 'mailto')
+        .map(({ email }) => email);
+
+    assert.deepEqual(found, ['hello@acmeprint.co.uk', 'jane.doe@acmeprint.co.uk', 'jobs@acmeprint.co.uk', 'careers@acmeprint.co.uk']);
+});
+
+test('rankEmails: merges pages, classifies roles and ranks by confidence', () => {
+    const candidates = [
+        ...findEmailsInPage(loadPage('website-home.html'), WEBSITE),
+        ...findEmailsInPage(loadPage('website-contact.html'), CONTACT_PAGE),
+    ];
+    const emails = rankEmails(candidates, WEBSITE);
+    const entry = (email) => emails.find((item) => item.email === email);
+
+    assert.equal(new Set(emails.map(({ email }) => email)).size, emails.length, 'one entry per address');
+    assert.deepEqual(emails.map(({ rank }) => rank), emails.map((_, index) => index + 1));
+
+    assert.deepEqual(emails[0], {
+        email: 'hello@acmeprint.co.uk',
+        sourceUrl: WEBSITE,
+        method: 'mailto',
+        type: 'role',
+        role: 'hello',
+        domainMatch: true,
+        confidence: 95,
+        rank: 1,
+    });
+
+    // Found as text on the homepage, as a link on the contact page
+    assert.equal(entry('jane.doe@acmeprint.co.uk').method, 'mailto');
+    assert.equal(entry('jane.doe@acmeprint.co.uk').sourceUrl, CONTACT_PAGE);
+    assert.equal(entry('jane.doe@acmeprint.co.uk').type, 'personal');
+
+    assert.equal(entry('sales@acmeprint.co.uk').method, 'json-ld');
+    assert.equal(entry('acmeprint.weekend@gmail.com').domainMatch, false);
+    assert.equal(entry('orders@paperworld.example.org').domainMatch, false);
+
+    // Not for outreach: ranked below every contact address
+    for (const excluded of ['billing@acmeprint.co.uk', 'noreply@acmeprint.co.uk', 'jobs@acmeprint.co.uk', 'careers@acmeprint.co.uk']) {
+        assert.equal(entry(excluded).type, 'role');
+        assert.ok(entry(excluded).confidence < entry('acmeprint.weekend@gmail.com').confidence, excluded);
+    }
+
+    assert.equal(entry('studio@wix.com'), undefined, 'blacklisted domain');
+    assert.equal(emails.some(({ email }) => email.includes('@2x')), false);
+});
+
+test('rankEmails: nothing found, or no usable website URL', () => {
+    assert.deepEqual(rankEmails([], WEBSITE), []);
+
+    const [only] = rankEmails([{ email: 'info@acme.com', sourceUrl: 'x', method: 'text' }], 'not a url');
+    assert.equal(only.domainMatch, false);
+    assert.equal(only.rank, 1);
+});
+
+test('findEmailsInPage: decodes Cloudflare protection, spelled-out, reversed and script-built addresses', () => {
+    const found = findEmailsInPage(loadPage('website-obfuscated.html'), 'https://www.acmeprint.co.uk/impressum');
+    const methodOf = new Map(found.map(({ email, method }) => [email, method]));
+
+    assert.deepEqual(Object.fromEntries(methodOf), {
+        'office@acmeprint.co.uk': 'cloudflare',
+        'quotes@acmeprint.co.uk': 'cloudflare',
+        'orders@acmeprint.co.uk': 'mailto',
+        'kelly.m@acmeprint.co.uk': 'obfuscated',
+        'studio@acmeprint.co.uk': 'text',
+        'design@acmeprint.co.uk': 'obfuscated',
+        'jane@acmeprint.co.uk': 'obfuscated',
+        'accounts@acmeprint.co.uk': 'obfuscated',
+        'printshop@acmeprint.co.uk': 'obfuscated',
+        'info@acmeprint.co.uk': 'obfuscated',
+        'mark@acmeprint.co.uk': 'obfuscated',
+    });
+});
+
+test('findEmailsInPage: right-to-left text is only reversed with bidi-override', () => {
+    const $ = cheerio.load('<body><div style="direction: rtl">צור קשר: info@acme.co.il</div></body>');
+
+    assert.deepEqual(findEmailsInPage($, 'https://acme.co.il/').map(({ email, method }) => `${method} ${email}`), ['text info@acme.co.il']);
+});
+
+test('rankEmails: decoded addresses rank between links and plain text', () => {
+    const emails = rankEmails(findEmailsInPage(loadPage('website-obfuscated.html'), WEBSITE), WEBSITE);
+    const confidenceOf = (email) => emails.find((item) => item.email === email).confidence;
+
+    // All personal addresses at the website's domain, found once
+    assert.equal(confidenceOf('quotes@acmeprint.co.uk'), 85);
+    assert.equal(confidenceOf('design@acmeprint.co.uk'), 75);
+    assert.equal(confidenceOf('studio@acmeprint.co.uk'), 70);
+});
+
+test('findEmailsInPage: microdata and OpenGraph email tags', () => {
+    const found = findEmailsInPage(loadPage('website-structured.html'), 'https://northwind-consulting.co.uk/');
+
+    assert.deepEqual(found.filter(({ method }) => method === 'microdata' || method === 'opengraph').map(({ email, method }) => `${method} ${email}`), [
+        'microdata office@northwind-consulting.co.uk',
+        'opengraph hello@northwind-consulting.co.uk',
+    ]);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMapsJson, parsePlacePayload, parseSearchPayload } from '../src/scrapers/embeddedData.js';
+import { CLOSED_STATUS_PHRASES } from '../src/scrapers/googleMaps.js';
+import { parseOpeningHours } from '../src/scrapers/openingHours.js';
+import { parsePlaceAttributes } from '../src/scrapers/placeAttributes.js';
+
+// Payloads as served (with the `)]}'` prefix), trimmed to the indexes the decoders read; see test/fixtures/embedded-*.json
+const loadPayload = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('parseMapsJson: strips the XSSI prefix and rejects non-JSON', () => {
+    assert.deepEqual(parseMapsJson(")]}'\n[1,[2]]"), [1, [2]]);
+    assert.deepEqual(parseMapsJson([3]), [3]);
+    assert.equal(parseMapsJson('<html>'), null);
+    assert.equal(parseMapsJson('{"a":1}'), null);
+    assert.equal(parseMapsJson(null), null);
+});
+
+test('parsePlacePayload: place panel fields in the lead shape', () => {
+    const place = parsePlacePayload(loadPayload('embedded-place-en.json'), CLOSED_STATUS_PHRASES);
+
+    assert.equal(place.businessName, 'Blue Bird Bakery');
+    assert.equal(place.address, '123 Main St, Springfield, IL 62701');
+    assert.equal(place.rating, 4.6);
+    assert.equal(place.reviewCount, 1234);
+    assert.equal(place.phone, '(217) 555-0142');
+    assert.equal(place.website, 'https://bluebirdbakery.example.com/'); // Unwrapped from /url?q=
+    assert.equal(place.category, 'Bakery');
+    assert.deepEqual(place.categories, ['Bakery', 'Coffee shop']);
+    assert.equal(place.placeId, 'ChIJC2sNHjo5dYgRIUo8vXxPC10');
+    assert.equal(place.featureId, '0x8875393a1e0d6b0b:0x5d0b4f7cbd3c4a21');
+    assert.equal(place.latitude, 39.7817213);
+    assert.equal(place.longitude, -89.6501481);
+    assert.equal(place.businessStatus, 'OPERATIONAL');
+});
+
+test('parsePlacePayload: hours and About sections feed the existing parsers', () => {
+    const place = parsePlacePayload(loadPayload('embedded-place-en.json'), CLOSED_STATUS_PHRASES);
+
+    const hours = parseOpeningHours(place.rawHours);
+    assert.deepEqual(hours.openingHours.monday, [{ open: '07:00', close: '18:00' }]);
+    assert.deepEqual(hours.openingHours.friday, [{ open: '07:00', close: '14:00' }, { open: '16:00', close: '21:00' }]);
+    assert.deepEqual(hours.openingHours.sunday, []);
+    assert.equal(hours.openNow, true);
+
+    const attributes = parsePlaceAttributes(place.rawAttributes);
+    assert.equal(attributes.priceLevel, 2);
+    assert.equal(attributes.plusCode, 'GMJR+M2 Springfield, Illinois');
+    assert.deepEqual(attributes.serviceOptions, { takeout: true, delivery: false });
+    assert.deepEqual(attributes.accessibility, { 'wheelchair accessible entrance': true });
+});
+
+test('parseSearchPayload: result places in order, metadata entries skipped', () => {
+    const places = parseSearchPayload(loadPayload('embedded-search-en.json'), CLOSED_STATUS_PHRASES);
+
+    assert.deepEqual(places.map((place) => place.businessName), ['Blue Bird Bakery', 'Old Mill Diner']);
+    assert.deepEqual(places.map((place) => place.rating), [4.6, 4.1]);
+    assert.deepEqual(places.map((place) => place.reviewCount), [1234, 87]);
+    assert.deepEqual(places.map((place) => place.businessStatus), ['OPERATIONAL', 'CLOSED_PERMANENTLY']);
+
+    // Fields the result list lacks stay null, so the detail page fills them from the DOM
+    assert.equal(places[1].phone, null);
+    assert.equal(places[1].website, null);
+    assert.equal(places[1].rawHours, null);
+});
+
+test('parsePlacePayload / parseSearchPayload: unknown layouts decode to nothing instead of throwing', () => {
+    assert.equal(parsePlacePayload(")]}'\n[[1],{\"a\":2}]"), null);
+    assert.equal(parsePlacePayload('not json'), null);
+    assert.deepEqual(parseSearchPayload(")]}'\n[[\"query\",\"not a list\"]]"), []);
+    assert.deepEqual(parseSearchPayload(")]}'\n[]"), []);
+});
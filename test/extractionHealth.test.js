@@ -0,0 +1,80 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createExtractionHealth } from '../src/utils/extractionHealth.js';
+
+const PLACE_WITH_PHONE = { phone: '+1 212 555 0123', website: 'https://example.com', address: '1 Main St', category: 'Dentist', socialLinks: {} };
+const PLACE_WITHOUT_PHONE = { ...PLACE_WITH_PHONE, phone: null };
+
+// Alert handlers run after the current microtask
+const flushAlerts = () => new Promise((resolve) => setImmediate(resolve));
+
+test('createExtractionHealth: alerts once when a field drops below its threshold after enough samples', async () => {
+    mock.method(console, 'error', () => {});
+    const health = createExtractionHealth(null, { minSamples: 4 });
+    const alerts = [];
+    health.onAlert((alert) => alerts.push(alert));
+
+    for (let i = 0; i < 3; i++) health.recordDetail(PLACE_WITHOUT_PHONE);
+    assert.equal(health.getReport().fields.phone.status, 'insufficient data');
+
+    for (let i = 0; i < 3; i++) health.recordDetail(PLACE_WITHOUT_PHONE);
+    await flushAlerts();
+    mock.restoreAll();
+
+    assert.deepEqual(alerts.map(({ field, successRate, threshold }) => ({ field, successRate, threshold })), [
+        { field: 'phone', successRate: 0, threshold: 50 },
+        { field: 'socials', successRate: 0, threshold: 5 },
+    ]);
+    const report = health.getReport();
+    assert.equal(report.healthy, false);
+    assert.equal(report.fields.phone.status, 'below threshold');
+    assert.equal(report.fields.website.status, 'ok');
+});
+
+test('createExtractionHealth: custom threshold, saved counts and alerts survive a restart', async () => {
+    const saved = {
+        fields: { phone: { attempts: 9, found: 9, strategies: {} } },
+        alerts: [{ field: 'socials', successRate: 0, threshold: 5 }],
+    };
+    const health = createExtractionHealth(saved, { threshold: 80, minSamples: 10 });
+    const alerts = [];
+    health.onAlert((alert) => alerts.push(alert));
+
+    mock.method(console, 'error', () => {});
+    health.recordDetail(PLACE_WITH_PHONE);
+    health.recordDetail(PLACE_WITHOUT_PHONE);
+    await flushAlerts();
+    mock.restoreAll();
+
+    // 10/11 phones found is above 80%; socials already alerted before the restart
+    assert.deepEqual(alerts, []);
+    assert.equal(health.getReport().fields.phone.successRate, 90.9);
+    assert.equal(health.alerts.length, 1);
+});
+
+test('createExtractionHealth: action off never alerts', async () => {
+    const health = createExtractionHealth(null, { action: 'off', minSamples: 1 });
+    let called = false;
+    health.onAlert(() => { called = true; });
+
+    health.recordCard({ rating: null, reviewCount: 0 }, { rating: 'failed', reviews: 'failed' });
+    await flushAlerts();
+
+    assert.equal(called, false);
+    assert.deepEqual(health.getReport().fields.rating.strategies, { failed: 1 });
+});
+
+test('createExtractionHealth: a failing async alert handler is logged, not left unhandled', async () => {
+    const errors = mock.method(console, 'error', () => {});
+    const health = createExtractionHealth(null, { minSamples: 1 });
+    health.onAlert(async () => {
+        throw new Error('status message failed');
+    });
+
+    health.recordCard({ rating: null, reviewCount: 0 });
+    await flushAlerts();
+    const messages = errors.mock.calls.map((call) => call.arguments[0]);
+    mock.restoreAll();
+
+    assert.ok(messages.includes('❌ Extraction health alert handler failed: status message failed'));
+});
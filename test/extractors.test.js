@@ -0,0 +1,286 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import {
+    detectBlockPage,
+    detectFeedEnd,
+    findInterstitialButton,
+    extractSearchCards,
+    extractPlaceHeader,
+    extractBusinessStatus,
+    extractPhone,
+    extractWebsite,
+    extractAddress,
+    extractCategory,
+    extractOpeningHoursRaw,
+    extractSocialLinks,
+    extractAttributeOverview,
+    extractAboutSections,
+    extractReviews,
+} from '../src/scrapers/extractors.js';
+import { CLOSED_STATUS_PHRASES, SPONSORED_LABELS, BLOCK_PHRASES, END_OF_LIST_PHRASES, INTERSTITIAL_LABELS, RATING_LABELS, PHONE_LABELS, DETAIL_LABELS } from '../src/scrapers/googleMaps.js';
+import { parseOpeningHours } from '../src/scrapers/openingHours.js';
+import { parsePlaceAttributes } from '../src/scrapers/placeAttributes.js';
+
+// Saved pages are trimmed to the markup the extractors read; see test/fixtures/
+const loadFixture = (name, url = 'https://www.google.com/maps/') => {
+    const html = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+    return new JSDOM(html, { url }).window.document;
+};
+
+test('search (en): extracts cards in feed order with rating, reviews, status and ads', () => {
+    const { cards, debug } = extractSearchCards(loadFixture('search-en.html'), CLOSED_STATUS_PHRASES, SPONSORED_LABELS, RATING_LABELS);
+
+    assert.equal(debug.feedFound, true);
+    assert.equal(cards.length, 4, 'the repeated card is deduplicated');
+    assert.deepEqual(cards.map((card) => card.searchRank), [1, 2, 3, 4]);
+
+    assert.equal(cards[0].businessName, 'Bright Smile Dental');
+    assert.match(cards[0].googleMapsUrl, /^https:\/\/www\.google\.com\/maps\/place\/Bright\+Smile\+Dental\//);
+    assert.equal(cards[0].rating, 4.7);
+    assert.equal(cards[0].reviewCount, 312);
+    assert.equal(cards[0].businessStatus, 'OPERATIONAL');
+    assert.equal(cards[0].isAdvertisement, false);
+
+    assert.equal(cards[1].businessName, 'Park Avenue Orthodontics');
+    assert.equal(cards[1].isAdvertisement, true);
+
+    assert.equal(cards[2].businessStatus, 'CLOSED_PERMANENTLY');
+    assert.equal(cards[2].rating, 3.8);
+
+    assert.equal(cards[3].businessName, 'Hudson Yards Dental Studio');
+    assert.equal(cards[3].rating, null);
+    assert.equal(cards[3].reviewCount, 0);
+});
+
+test('search (de): extracts names, ratings, review counts, closed status and sponsored label', () => {
+    const { cards } = extractSearchCards(loadFixture('search-de.html'), CLOSED_STATUS_PHRASES, SPONSORED_LABELS, RATING_LABELS);
+
+    assert.deepEqual(cards.map((card) => card.businessName), ['Zahnarztpraxis am Kurfürstendamm', 'Dental Lounge Mitte', 'Praxis Dr. Weber']);
+    assert.deepEqual(cards.map((card) => card.rating), [4.6, 4.9, 4.2]);
+    assert.deepEqual(cards.map((card) => card.reviewCount), [87, 254, 19]);
+    assert.deepEqual(cards.map((card) => card.isAdvertisement), [false, true, false]);
+    assert.deepEqual(cards.map((card) => card.businessStatus), ['OPERATIONAL', 'OPERATIONAL', 'CLOSED_TEMPORARILY']);
+});
+
+test('search: page without a results feed returns no cards', () => {
+    const { cards, debug } = extractSearchCards(loadFixture('detail-en-unclaimed.html'), CLOSED_STATUS_PHRASES, SPONSORED_LABELS, RATING_LABELS);
+
+    assert.equal(debug.feedFound, false);
+    assert.deepEqual(cards, []);
+});
+
+test('detail (en, claimed): extracts header, contact details, category and socials', () => {
+    const document = loadFixture('detail-en-claimed.html');
+
+    assert.deepEqual(extractPlaceHeader(document, RATING_LABELS), { name: 'Bright Smile Dental', rating: 4.7, reviewCount: 312 });
+    assert.equal(extractBusinessStatus(document, CLOSED_STATUS_PHRASES), 'OPERATIONAL');
+    assert.equal(extractPhone(document, PHONE_LABELS), '(212) 555-0123');
+    assert.equal(extractWebsite(document, DETAIL_LABELS.website), 'https://www.brightsmiledental.com/?utm_source=gmb');
+    assert.equal(extractAddress(document, DETAIL_LABELS.address), '23 W 23rd St, New York, NY 10010');
+    assert.equal(extractCategory(document), 'Dentist');
+    assert.deepEqual(extractSocialLinks(document), {
+        linkedin: null,
+        facebook: 'https://www.facebook.com/brightsmiledentalnyc',
+        twitter: null,
+        instagram: 'https://www.instagram.com/brightsmile.nyc/',
+    });
+});
+
+test('detail (en, claimed): opening hours table parses into a weekly schedule', () => {
+    const hours = parseOpeningHours(extractOpeningHoursRaw(loadFixture('detail-en-claimed.html')));
+
+    assert.deepEqual(hours.openingHours.monday, [{ open: '09:00', close: '18:00' }]);
+    assert.deepEqual(hours.openingHours.thursday, [{ open: '09:00', close: '20:00' }]);
+    assert.deepEqual(hours.openingHours.saturday, [{ open: '10:00', close: '14:00' }]);
+    assert.deepEqual(hours.openingHours.sunday, []);
+    assert.equal(hours.openNow, true);
+    assert.equal(hours.isAlwaysOpen, false);
+});
+
+test('detail (en, claimed): reviews and overview attributes', () => {
+    const document = loadFixture('detail-en-claimed.html');
+
+    assert.deepEqual(extractReviews(document, 10, RATING_LABELS), [
+        { rating: 5, text: 'Dr. Patel was gentle and explained every step. Booking online was easy.', author: 'Maria Gonzalez', date: '2 weeks ago' },
+        { rating: 4, text: 'Friendly staff, a bit of a wait.', author: 'Tom H.', date: 'a month ago' },
+    ]);
+    assert.equal(extractReviews(document, 1, RATING_LABELS).length, 1);
+
+    const overview = extractAttributeOverview(document, DETAIL_LABELS);
+    assert.equal(overview.hasClaimButton, false);
+    assert.equal(overview.hasOwnerContent, true);
+
+    const attributes = parsePlaceAttributes(overview);
+    assert.equal(attributes.priceLevel, 2);
+    assert.equal(attributes.photoCount, 1024);
+    assert.equal(attributes.plusCode, 'PXQ3+4H New York');
+    assert.equal(attributes.claimStatus, 'CLAIMED');
+});
+
+test('detail (es, de): address, website and claim link without data-item-id use the localized labels', () => {
+    for (const [name, address] of [
+        ['detail-es-closed.html', 'Calle de Alcalá, 21, 28014 Madrid'],
+        ['detail-de-temporarily-closed.html', 'Hermannstraße 12, 12049 Berlin'],
+    ]) {
+        const document = loadFixture(name);
+        assert.equal(extractAddress(document, DETAIL_LABELS.address), address);
+
+        document.querySelector('[data-item-id="address"]').removeAttribute('data-item-id');
+        assert.equal(extractAddress(document, DETAIL_LABELS.address), address);
+    }
+
+    const document = loadFixture('detail-en-claimed.html');
+    const websiteLink = document.querySelector('[data-item-id="authority"]');
+    websiteLink.removeAttribute('data-item-id');
+    websiteLink.setAttribute('aria-label', 'Sitio web: brightsmiledental.com');
+    assert.equal(extractWebsite(document, DETAIL_LABELS.website), 'https://www.brightsmiledental.com/?utm_source=gmb');
+
+    const unclaimed = loadFixture('detail-en-unclaimed.html');
+    const claimLink = unclaimed.querySelector('a[href*="business.google.com/create"]');
+    claimLink.setAttribute('href', '#');
+    claimLink.setAttribute('aria-label', 'Dieses Unternehmen beanspruchen');
+    assert.equal(extractAttributeOverview(unclaimed, DETAIL_LABELS).hasClaimButton, true);
+    assert.equal(extractAttributeOverview(unclaimed, {}).hasClaimButton, false);
+});
+
+test('detail (en, About tab): sections parse into structured attributes', () => {
+    const attributes = parsePlaceAttributes({ sections: extractAboutSections(loadFixture('detail-en-about.html')) });
+
+    assert.deepEqual(attributes.identifiesAs, ['women-owned']);
+    assert.deepEqual(attributes.serviceOptions, { 'online appointments': true, 'onsite services': false });
+    assert.deepEqual(attributes.accessibility, { 'wheelchair accessible entrance': true, 'wheelchair accessible restroom': true });
+    assert.deepEqual(attributes.payments, { 'credit cards': true });
+});
+
+test('parsePlaceAttributes: negations, identifies-as and price words of other languages', () => {
+    const attributes = parsePlaceAttributes({
+        priceText: 'Preis: Sehr teuer',
+        sections: [
+            { heading: 'Serviceoptionen', items: [{ text: 'Online-Termine', label: 'Keine Online-Termine' }, { text: 'Lieferung', label: 'Lieferung' }] },
+            { heading: 'Opciones de servicio', items: [{ text: 'Recogida', label: 'Sin recogida' }, { text: 'Mujer propietaria', label: 'Se identifica como mujer propietaria' }] },
+            { heading: '服务选项', items: [{ text: '线上预约', label: '没有线上预约' }, { text: '无障碍入口', label: '无障碍入口' }] },
+            { heading: 'サービス', items: [{ text: '予約', label: '予約なし' }] },
+            { heading: 'Accessibility', items: [{ text: 'Wheelchair accessible entrance', label: 'Wheelchair accessible entrance', available: false }] },
+        ],
+    });
+
+    assert.equal(attributes.priceLevel, 4);
+    assert.deepEqual(attributes.serviceoptionen, { 'online-termine': false, lieferung: true });
+    assert.deepEqual(attributes.opcionesDeServicio, { recogida: false });
+    assert.deepEqual(attributes.identifiesAs, ['mujer propietaria']);
+    assert.deepEqual(attributes['服务选项'], { '线上预约': false, '无障碍入口': true });
+    assert.deepEqual(attributes['サービス'], { '予約': false });
+    assert.deepEqual(attributes.accessibility, { 'wheelchair accessible entrance': false });
+
+    assert.equal(parsePlaceAttributes({ priceText: 'Prix : Bon marché' }).priceLevel, 1);
+    assert.equal(parsePlaceAttributes({ priceText: 'Цена: недорого' }).priceLevel, 1);
+    assert.equal(parsePlaceAttributes({ plusCode: 'Plus Code: 9F4MGC2W+8C Berlin' }).plusCode, '9F4MGC2W+8C Berlin');
+});
+
+test('detail (en, unclaimed): claim link present, no website', () => {
+    const document = loadFixture('detail-en-unclaimed.html');
+
+    assert.equal(extractPlaceHeader(document, RATING_LABELS).name, "Joe's Auto Repair");
+    assert.equal(extractPhone(document, PHONE_LABELS), '(718) 555-0199');
+    assert.equal(extractWebsite(document, DETAIL_LABELS.website), null);
+    assert.equal(extractAddress(document, DETAIL_LABELS.address), '1450 Jerome Ave, Bronx, NY 10452');
+    assert.equal(extractCategory(document), 'Auto repair shop');
+
+    const attributes = parsePlaceAttributes(extractAttributeOverview(document, DETAIL_LABELS));
+    assert.equal(attributes.claimStatus, 'UNCLAIMED');
+    assert.equal(attributes.ownerActive, false);
+    assert.equal(attributes.priceLevel, null);
+
+    assert.equal(parseOpeningHours(extractOpeningHoursRaw(document)).openingHours, null);
+});
+
+test('detail (es, closed): permanently closed status, category and split-shift hours', () => {
+    const document = loadFixture('detail-es-closed.html');
+
+    assert.equal(extractPlaceHeader(document, RATING_LABELS).name, 'Clínica Dental Sol');
+    assert.equal(extractBusinessStatus(document, CLOSED_STATUS_PHRASES), 'CLOSED_PERMANENTLY');
+    assert.equal(extractCategory(document), 'Dentista');
+
+    const hours = parseOpeningHours(extractOpeningHoursRaw(document));
+    assert.deepEqual(hours.openingHours.monday, [{ open: '09:00', close: '14:00' }, { open: '16:00', close: '20:00' }]);
+    assert.deepEqual(hours.openingHours.wednesday, []);
+    assert.equal(hours.openingHours.thursday, null);
+});
+
+test('detail (de, temporarily closed): status from the red label', () => {
+    const document = loadFixture('detail-de-temporarily-closed.html');
+
+    assert.equal(extractPlaceHeader(document, RATING_LABELS).name, 'Praxis Dr. Weber');
+    assert.equal(extractBusinessStatus(document, CLOSED_STATUS_PHRASES), 'CLOSED_TEMPORARILY');
+    assert.equal(extractCategory(document), 'Zahnarzt');
+});
+
+test('detail (en, reviews mention closing): status only read from the header', () => {
+    const document = loadFixture('detail-en-review-closed.html');
+
+    assert.equal(extractPlaceHeader(document, RATING_LABELS).name, 'Harbor Street Bakery');
+    assert.equal(extractBusinessStatus(document, CLOSED_STATUS_PHRASES), 'OPERATIONAL');
+});
+
+test('block detection: CAPTCHA / sorry page is recognized', () => {
+    assert.equal(detectBlockPage(loadFixture('blocked-sorry.html', 'https://www.google.com/sorry/index?continue=x'), BLOCK_PHRASES), 'sorry page');
+    assert.equal(detectBlockPage(loadFixture('blocked-sorry.html'), BLOCK_PHRASES), 'captcha');
+});
+
+test('block detection: regular search and detail pages are not blocked', () => {
+    assert.equal(detectBlockPage(loadFixture('search-en.html'), BLOCK_PHRASES), null);
+    assert.equal(detectBlockPage(loadFixture('detail-en-claimed.html'), BLOCK_PHRASES), null);
+
+    // "unusual traffic" in a review on a real place page is not a block
+    const document = loadFixture('detail-en-claimed.html');
+    document.querySelector('.MyEned .wiI7pd').textContent = 'Unusual traffic on the street outside, parking was hard.';
+    assert.equal(detectBlockPage(document, BLOCK_PHRASES), null);
+});
+
+test('consent wall (de): rejects by default, accepts when asked, and is not a block page', () => {
+    const consentUrl = 'https://consent.google.com/ml?continue=https://www.google.com/maps/search/Zahnarzt+in+Berlin';
+
+    const document = loadFixture('consent-de.html', consentUrl);
+    assert.deepEqual(findInterstitialButton(document, INTERSTITIAL_LABELS, 'reject'), { kind: 'consent', action: 'reject', label: 'alle ablehnen' });
+    assert.equal(document.querySelector('[data-gmaps-dismiss]').getAttribute('jsname'), 'tWT92d');
+
+    const accepted = loadFixture('consent-de.html', consentUrl);
+    assert.equal(findInterstitialButton(accepted, INTERSTITIAL_LABELS, 'accept').action, 'accept');
+    assert.equal(accepted.querySelector('[data-gmaps-dismiss]').getAttribute('jsname'), 'b3VHJd');
+
+    assert.equal(detectBlockPage(loadFixture('consent-de.html', consentUrl), BLOCK_PHRASES), null);
+});
+
+test('consent wall: unknown button labels are reported without a button', () => {
+    const document = loadFixture('consent-de.html', 'https://consent.google.com/ml');
+    assert.deepEqual(findInterstitialButton(document, { accept: [], reject: [] }), { kind: 'consent', action: null, label: null });
+    assert.equal(document.querySelector('[data-gmaps-dismiss]'), null);
+});
+
+test('interstitial (fr): app promo dialog is dismissed, regular pages have nothing to dismiss', () => {
+    const document = loadFixture('interstitial-fr-app.html');
+    assert.deepEqual(findInterstitialButton(document, INTERSTITIAL_LABELS), { kind: 'interstitial', action: 'dismiss', label: 'rester sur le web' });
+    assert.equal(document.querySelector('[data-gmaps-dismiss]').getAttribute('jsaction'), 'pane.promo.dismiss');
+
+    assert.equal(findInterstitialButton(loadFixture('search-en.html'), INTERSTITIAL_LABELS), null);
+    assert.equal(findInterstitialButton(loadFixture('detail-en-claimed.html'), INTERSTITIAL_LABELS), null);
+});
+
+test('search: end-of-list marker detected in the feed', () => {
+    assert.equal(detectFeedEnd(loadFixture('search-en.html'), END_OF_LIST_PHRASES), true);
+    assert.equal(detectFeedEnd(loadFixture('search-de.html'), END_OF_LIST_PHRASES), true);
+    assert.equal(detectFeedEnd(loadFixture('detail-en-claimed.html'), END_OF_LIST_PHRASES), false);
+
+    // Without Google's marker class, the text of the last feed blocks still counts
+    const document = loadFixture('search-en.html');
+    const marker = document.querySelector('.HlvSq');
+    marker.classList.remove('HlvSq');
+    marker.textContent = 'You’ve reached the end of the list.';
+    assert.equal(detectFeedEnd(document, END_OF_LIST_PHRASES), true);
+
+    // More results still to load
+    marker.closest('.m6QErb').remove();
+    assert.equal(detectFeedEnd(document, END_OF_LIST_PHRASES), false);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesCategory, getCategoryFilterReason } from '../src/scrapers/categoryFilter.js';
+import { createChainDetector, normalizeBusinessName } from '../src/utils/chainDetector.js';
+import { getWebsiteDomain } from '../src/utils/domains.js';
+
+test('matchesCategory: exact compares whole categories, fuzzy matches words and stems', () => {
+    assert.equal(matchesCategory('Marketing agency', 'marketing agency', 'exact'), true);
+    assert.equal(matchesCategory('Internet marketing service', 'Marketing agency', 'exact'), false);
+    assert.equal(matchesCategory('Print shop', 'print', 'exact'), false);
+
+    assert.equal(matchesCategory('Marketing agency', 'agencies'), true);
+    assert.equal(matchesCategory('Print shop', 'printers'), true);
+    assert.equal(matchesCategory('Coworking space', 'coworking'), true);
+    assert.equal(matchesCategory('Internet marketing service', 'marketing agency'), false);
+    assert.equal(matchesCategory('Café', 'cafe'), true);
+    assert.equal(matchesCategory('Car wash', 'cars'), true);
+    assert.equal(matchesCategory('Carpet store', 'car'), false, 'short words only match whole');
+});
+
+test('getCategoryFilterReason: exclude list first, then include list; no category is kept', () => {
+    const filters = { includeCategories: ['marketing agency', 'advertising agency'], excludeCategories: ['print shop', 'coworking'] };
+
+    assert.equal(getCategoryFilterReason({ category: 'Marketing agency' }, filters), null);
+    assert.equal(getCategoryFilterReason({ category: 'Print shop' }, filters), 'category "Print shop" excluded (print shop)');
+    assert.equal(getCategoryFilterReason({ category: 'Coworking space' }, filters), 'category "Coworking space" excluded (coworking)');
+    assert.equal(getCategoryFilterReason({ category: 'Web designer' }, filters), 'category "Web designer" not in include list');
+    assert.equal(getCategoryFilterReason({ category: null }, filters), null);
+    assert.equal(getCategoryFilterReason({ category: 'Print shop' }, {}), null);
+
+    const exact = { ...filters, categoryMatch: 'exact' };
+    assert.equal(getCategoryFilterReason({ category: 'Coworking space' }, exact), 'category "Coworking space" not in include list');
+});
+
+test('normalizeBusinessName / getWebsiteDomain: branch suffixes and shared hosts', () => {
+    assert.equal(normalizeBusinessName('Regus - Berlin Mitte'), 'regus');
+    assert.equal(normalizeBusinessName('The UPS Store #1234'), 'the ups store');
+    assert.equal(normalizeBusinessName('McDonald’s (Hauptbahnhof)'), "mcdonald's");
+    assert.equal(normalizeBusinessName('Engel & Völkers | Prenzlauer Berg'), 'engel & volkers');
+
+    assert.equal(getWebsiteDomain('https://www.regus.com/de-de/berlin'), 'regus.com');
+    assert.equal(getWebsiteDomain('https://acme-print.business.site/'), null);
+    assert.equal(getWebsiteDomain('https://www.facebook.com/acmeprint'), null);
+    assert.equal(getWebsiteDomain('not a url'), null);
+});
+
+test('createChainDetector: known brands, repeated names and shared domains', () => {
+    const detector = createChainDetector(null, { minLocations: 3, knownBrands: ['Kwik Kopy'] });
+
+    assert.equal(detector.getChainReason({ businessName: 'Regus - Alexanderplatz' }), 'known brand "regus"');
+    assert.equal(detector.getChainReason({ businessName: 'Kwik Kopy Downtown' }), 'known brand "kwik kopy"');
+    assert.equal(detector.getChainReason({ businessName: 'Regusa Consulting' }), null);
+
+    // Same name at 3 places (the same place seen twice counts once)
+    detector.recordPlace({ businessName: 'Pixel Print - Mitte' }, 'a');
+    detector.recordPlace({ businessName: 'Pixel Print - Mitte' }, 'a');
+    detector.recordPlace({ businessName: 'Pixel Print – Kreuzberg' }, 'b');
+    assert.equal(detector.getChainReason({ businessName: 'Pixel Print' }), null);
+    detector.recordPlace({ businessName: 'Pixel Print (Wedding)' }, 'c');
+    assert.equal(detector.getChainReason({ businessName: 'Pixel Print' }), 'name at 3 locations');
+
+    // Differently named locations sharing a website domain
+    detector.recordPlace({ businessName: 'Copy Corner', website: 'https://copyworld.example/berlin' }, 'd');
+    detector.recordPlace({ businessName: 'Druckerei Nord', website: 'https://www.copyworld.example/' }, 'e');
+    detector.recordPlace({ businessName: 'Print Express', website: 'http://copyworld.example/hh' }, 'f');
+    assert.equal(detector.getChainReason({ businessName: 'Copy Corner', website: 'https://copyworld.example/' }), 'domain copyworld.example at 3 locations');
+
+    detector.recordFlagged('known brand "regus"');
+    detector.recordFlagged('name at 3 locations');
+    assert.deepEqual(detector.stats.byReason, { knownBrand: 1, name: 1 });
+    assert.deepEqual(detector.stats.detected, { 'name:pixel print': 3, 'domain:copyworld.example': 3 });
+
+    // Chains found before a restart keep being flagged
+    const restored = createChainDetector(detector.stats, { minLocations: 3 });
+    assert.equal(restored.getChainReason({ businessName: 'Pixel Print' }), 'name at 3 locations');
+});
+
+test('createChainDetector: counts below the threshold carry over with the persisted locations', () => {
+    const locations = new Map();
+    const detector = createChainDetector(null, { minLocations: 3 }, locations);
+    detector.recordPlace({ businessName: 'Copy Corner - Mitte' }, 'a');
+    detector.recordPlace({ businessName: 'Copy Corner - Pankow' }, 'b');
+    assert.equal(detector.getChainReason({ businessName: 'Copy Corner' }), null);
+    assert.deepEqual([...locations.get('name:copy corner')], ['a', 'b']);
+
+    // Resumed container: the third location completes the chain, a place seen before doesn't count twice
+    const restored = createChainDetector(detector.stats, { minLocations: 3 }, new Map(locations));
+    restored.recordPlace({ businessName: 'Copy Corner - Mitte' }, 'a');
+    assert.equal(restored.getChainReason({ businessName: 'Copy Corner' }), null);
+    restored.recordPlace({ businessName: 'Copy Corner - Wedding' }, 'c');
+    assert.equal(restored.getChainReason({ businessName: 'Copy Corner' }), 'name at 3 locations');
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDistanceKm, getZoomForRadius, buildCirclePolygon, buildGridTiles, splitTile, resolveSearchArea } from '../src/scrapers/grid.js';
+
+const BERLIN = { lat: 52.520008, lng: 13.404954 };
+const BERLIN_BOX = { north: 52.6, south: 52.4, east: 13.6, west: 13.2 };
+
+// Width of a 1920px wide viewport in degrees of longitude
+const getLngSpan = (zoom) => (1920 / 256) * (360 / 2 ** zoom);
+
+test('getDistanceKm: great-circle distance in km', () => {
+    assert.equal(getDistanceKm(BERLIN, BERLIN), 0);
+    assert.equal(Math.round(getDistanceKm(BERLIN, { lat: 48.137154, lng: 11.576124 })), 504); // Munich
+    assert.equal(Math.round(getDistanceKm({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })), 111);
+});
+
+test('getZoomForRadius: smaller radius, deeper zoom', () => {
+    assert.equal(getZoomForRadius(BERLIN.lat, 15), 11);
+    assert.equal(getZoomForRadius(BERLIN.lat, 1), 15);
+    assert.ok(getZoomForRadius(0, 15) >= getZoomForRadius(BERLIN.lat, 15));
+    assert.equal(getZoomForRadius(BERLIN.lat, 0.001), 18);
+    assert.equal(getZoomForRadius(BERLIN.lat, 5000), 3);
+});
+
+test('buildCirclePolygon: grid tiles stay inside the radius', async () => {
+    const ring = buildCirclePolygon(BERLIN, 15);
+    assert.equal(ring.length, 32);
+    for (const [lng, lat] of ring) {
+        assert.ok(Math.abs(getDistanceKm(BERLIN, { lat, lng }) - 15) < 0.2);
+    }
+
+    const area = await resolveSearchArea({ location: null, polygon: ring });
+    const tiles = buildGridTiles(area, 14);
+    assert.ok(tiles.length > 0);
+    assert.ok(tiles.every((tile) => getDistanceKm(BERLIN, tile) < 15 + 5), 'no tile far outside the circle');
+});
+
+test('buildGridTiles: bounding box tiles stay inside the box and cover all of it', async () => {
+    const area = await resolveSearchArea({ location: null, boundingBox: BERLIN_BOX });
+    const tiles = buildGridTiles(area, 14);
+
+    assert.equal(tiles.length, 12); // 4 rows of 3 tiles
+    assert.ok(tiles.every(({ lat, lng, zoom }) => zoom === 14
+        && lat >= BERLIN_BOX.south && lat <= BERLIN_BOX.north && lng >= BERLIN_BOX.west && lng <= BERLIN_BOX.east));
+
+    // Every point of the box is within half a tile (viewport) of a tile center
+    const lngSpan = getLngSpan(14);
+    const latSpan = lngSpan * (1080 / 1920) * Math.cos((BERLIN_BOX.north * Math.PI) / 180);
+    for (let lat = BERLIN_BOX.south; lat <= BERLIN_BOX.north; lat += 0.02) {
+        for (let lng = BERLIN_BOX.west; lng <= BERLIN_BOX.east; lng += 0.02) {
+            const covered = tiles.some((tile) => Math.abs(tile.lat - lat) <= latSpan / 2 + 1e-6 && Math.abs(tile.lng - lng) <= lngSpan / 2 + 1e-6);
+            assert.ok(covered, `${lat},${lng} not covered`);
+        }
+    }
+
+    // Twice the zoom level detail, about four times the tiles
+    assert.ok(buildGridTiles(area, 15).length >= 4 * tiles.length - 8);
+});
+
+test('splitTile: four quadrants one zoom level deeper around the parent center', () => {
+    const tile = { lat: 52.5, lng: 13.4, zoom: 14 };
+    const children = splitTile(tile);
+
+    assert.equal(children.length, 4);
+    assert.ok(children.every(({ zoom }) => zoom === 15));
+    assert.equal(new Set(children.map(({ lat, lng }) => `${Math.sign(lat - tile.lat)},${Math.sign(lng - tile.lng)}`)).size, 4, 'one child per quadrant');
+
+    // Children sit a quarter of the parent's width from its center
+    for (const child of children) {
+        assert.ok(Math.abs(Math.abs(child.lng - tile.lng) - getLngSpan(14) / 4) < 1e-5);
+    }
+    const mean = (key) => children.reduce((sum, child) => sum + child[key], 0) / 4;
+    assert.ok(Math.abs(mean('lat') - tile.lat) < 1e-5 && Math.abs(mean('lng') - tile.lng) < 1e-5);
+});
+
+test('splitTile: stops at the max zoom level', () => {
+    assert.deepEqual(splitTile({ lat: 52.5, lng: 13.4, zoom: 18 }), []);
+    assert.deepEqual(splitTile({ lat: 52.5, lng: 13.4, zoom: 16 }, 16), []);
+
+    // Splitting every tile until nothing splits any more: two levels from zoom 14 to 16
+    let tiles = [{ lat: 52.5, lng: 13.4, zoom: 14 }];
+    while (splitTile(tiles[0], 16).length > 0) {
+        tiles = tiles.flatMap((tile) => splitTile(tile, 16));
+    }
+    assert.equal(tiles.length, 16);
+    assert.ok(tiles.every(({ zoom }) => zoom === 16));
+});
+
+test('resolveSearchArea: polygon as a point list or GeoJSON Polygon/MultiPolygon coordinates', async () => {
+    const ring = [[13.2, 52.4], [13.6, 52.4], [13.6, 52.6], [13.2, 52.6], [13.2, 52.4]];
+
+    for (const polygon of [ring, [ring], [[ring], [[[14, 53], [14.1, 53], [14.1, 53.1], [14, 53]]]]]) {
+        const area = await resolveSearchArea({ location: null, polygon });
+        assert.deepEqual(area.polygons[0], ring);
+        assert.equal(area.boundingBox.west, 13.2);
+        assert.equal(area.boundingBox.south, 52.4);
+    }
+});
+
+test('resolveSearchArea: geocodes each location once and at most once per second', async (t) => {
+    const calls = [];
+    t.mock.method(globalThis, 'fetch', async (url, options) => {
+        calls.push({ url, userAgent: options.headers['User-Agent'], at: Date.now() });
+        return { ok: true, json: async () => [{ boundingbox: ['48.0', '48.3', '11.3', '11.8'] }] };
+    });
+
+    const first = await resolveSearchArea({ location: 'Munich, Germany' });
+    const again = await resolveSearchArea({ location: ' munich, germany' });
+    await resolveSearchArea({ location: 'Augsburg, Germany' });
+
+    assert.deepEqual(first.boundingBox, { north: 48.3, south: 48.0, east: 11.8, west: 11.3 });
+    assert.deepEqual(again, first);
+    assert.equal(calls.length, 2);
+    assert.ok(calls.every(({ userAgent }) => userAgent === 'Apify-B2B-Lead-Generator/1.0'));
+    assert.ok(calls[1].at - calls[0].at >= 990, 'second lookup waits for the next slot');
+});
@@ -0,0 +1,35 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { openLeadHistory } from '../src/utils/leadHistory.js';
+
+// In-memory stand-in for the named key-value store shared by runs
+const mockStore = (records = {}) => {
+    mock.method(Actor, 'openKeyValueStore', async () => ({
+        getValue: async (key) => records[key] ?? null,
+        setValue: async (key, value) => { records[key] = value; },
+    }));
+    return records;
+};
+
+test('openLeadHistory: places added before a restart keep counting as new', async () => {
+    mock.method(console, 'log', () => {});
+    const records = mockStore();
+
+    const history = await openLeadHistory('lead-history');
+    history.add({ googleMapsUrl: 'https://www.google.com/maps/place/A/data=!1s0x1:0xa', phone: '+49 30 1234567', address: 'Berlin, Germany' });
+    history.add({ googleMapsUrl: 'https://www.google.com/maps/place/B/data=!1s0x1:0xb', website: 'https://b.example/' });
+    assert.equal(history.newCount, 2);
+    await history.persist();
+
+    // Resumed container: the store already holds A and B, the run state brings back their count
+    const resumed = await openLeadHistory('lead-history', { newCount: history.newCount });
+    resumed.add({ googleMapsUrl: 'https://www.google.com/maps/place/A/data=!1s0x1:0xa' });
+    resumed.add({ googleMapsUrl: 'https://www.google.com/maps/place/C/data=!1s0x1:0xc' });
+    assert.equal(resumed.newCount, 3);
+    await resumed.persist();
+    assert.equal(Object.keys(records.FINGERPRINTS.places).length, 3);
+    assert.equal(resumed.findLead({ googleMapsUrl: 'https://www.google.com/maps/place/D', website: 'https://www.b.example/contact' }).reason, 'website');
+
+    mock.restoreAll();
+});
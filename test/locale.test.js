@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { parseLocalizedNumbers, extractSearchCards, extractPlaceHeader, extractPhone } from '../src/scrapers/extractors.js';
+import { CLOSED_STATUS_PHRASES, SPONSORED_LABELS, RATING_LABELS, PHONE_LABELS } from '../src/scrapers/googleMaps.js';
+
+// One fixture per language of the input schema: two search cards (combined and separate rating/review
+// labels) and the first place's panel, see test/fixtures/locale-*.html
+const loadFixture = (language) => {
+    const html = readFileSync(new URL(`./fixtures/locale-${language}.html`, import.meta.url), 'utf8');
+    return new JSDOM(html, { url: 'https://www.google.com/maps/' }).window.document;
+};
+
+const PHONES = {
+    en: '(212) 555-0123',
+    es: '912 34 56 78',
+    fr: '01 42 68 53 00',
+    de: '030 1234567',
+    it: '06 1234 5678',
+    pt: '(11) 3456-7890',
+    ja: '03-1234-5678',
+    zh: '010 1234 5678',
+    ru: '8 (495) 123-45-67',
+    ar: '02 2345 6789', // Arabic-Indic digits on the page
+};
+
+test('parseLocalizedNumbers: decimal and thousands separators of every supported language', () => {
+    assert.deepEqual(parseLocalizedNumbers('4.7 stars 1,234 Reviews'), [4.7, 1234]);
+    assert.deepEqual(parseLocalizedNumbers('4,7 Sterne 1.234 Rezensionen'), [4.7, 1234]);
+    assert.deepEqual(parseLocalizedNumbers('4,6 étoiles 1 234 avis'), [4.6, 1234]);
+    assert.deepEqual(parseLocalizedNumbers('4,6 звезды 1 234 отзыва'), [4.6, 1234]);
+    assert.deepEqual(parseLocalizedNumbers('星 4.6、クチコミ 1,234 件'), [4.6, 1234]);
+    assert.deepEqual(parseLocalizedNumbers('٤٫٦ نجوم ١٬٢٣٤ مراجعة'), [4.6, 1234]);
+    assert.deepEqual(parseLocalizedNumbers('12.345.678 / 1.234,5 / 1,234.5 / 1\'234'), [12345678, 1234.5, 1234.5, 1234]);
+    assert.deepEqual(parseLocalizedNumbers('(87)'), [87]);
+    assert.deepEqual(parseLocalizedNumbers('no numbers'), []);
+});
+
+for (const language of Object.keys(PHONES)) {
+    test(`locale (${language}): card ratings and review counts`, () => {
+        const { cards } = extractSearchCards(loadFixture(language), CLOSED_STATUS_PHRASES, SPONSORED_LABELS, RATING_LABELS);
+
+        assert.deepEqual(cards.map((card) => card.rating), [4.6, 4.1]);
+        assert.deepEqual(cards.map((card) => card.reviewCount), [1234, 87]);
+    });
+
+    test(`locale (${language}): place header and phone`, () => {
+        const document = loadFixture(language);
+
+        const header = extractPlaceHeader(document, RATING_LABELS);
+        assert.equal(header.rating, 4.6);
+        assert.equal(header.reviewCount, 1234);
+
+        assert.equal(extractPhone(document, PHONE_LABELS), PHONES[language]);
+
+        // Without the language-independent data-item-id, the localized "Phone" aria-label still works
+        document.querySelector('[data-item-id^="phone:tel:"]').removeAttribute('data-item-id');
+        assert.equal(extractPhone(document, PHONE_LABELS), PHONES[language]);
+    });
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { normalizePhone, getCountryHint, findPhonesInPage, buildPhoneList } from '../src/scrapers/phones.js';
+
+const CONTACT_PAGE = 'https://www.druckerei-weber.de/kontakt';
+
+const loadPage = (name) => cheerio.load(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+test('normalizePhone: national and international formats to E.164 with number type', () => {
+    assert.deepEqual(normalizePhone('030 2345678', 'DE'), { phone: '+49302345678', country: 'DE', type: 'landline' });
+    assert.deepEqual(normalizePhone('+49 (0)171 2345678'), { phone: '+491712345678', country: 'DE', type: 'mobile' });
+    assert.deepEqual(normalizePhone('0049 800 1234567', 'US'), { phone: '+498001234567', country: 'DE', type: 'tollFree' });
+    assert.deepEqual(normalizePhone('(415) 555-0123', 'US'), { phone: '+14155550123', country: 'US', type: null });
+    assert.deepEqual(normalizePhone('1-800-555-0199 ext. 12', 'US'), { phone: '+18005550199', country: 'US', type: 'tollFree' });
+    assert.deepEqual(normalizePhone('tel:%2B44%2020%207946%200321'), { phone: '+442079460321', country: 'GB', type: 'landline' });
+    assert.deepEqual(normalizePhone('07700 900123', 'GB'), { phone: '+447700900123', country: 'GB', type: 'mobile' });
+    assert.deepEqual(normalizePhone('01 42 68 53 00', 'FR'), { phone: '+33142685300', country: 'FR', type: 'landline' });
+    assert.deepEqual(normalizePhone('06 1234 5678', 'IT'), { phone: '+390612345678', country: 'IT', type: 'landline' });
+    assert.deepEqual(normalizePhone('+7 495 123-45-67'), { phone: '+74951234567', country: null, type: null });
+    assert.deepEqual(normalizePhone('+1 604 555 0123', 'CA'), { phone: '+16045550123', country: 'CA', type: null });
+
+    assert.equal(normalizePhone('030 2345678'), null, 'national number without a country');
+    assert.equal(normalizePhone('12345', 'DE'), null);
+    assert.equal(normalizePhone('555-0123', 'US'), null);
+    assert.equal(normalizePhone('Call us', 'US'), null);
+});
+
+test('getCountryHint: address country, US/Canadian postal codes, international phone, then input', () => {
+    assert.equal(getCountryHint({ address: 'Oranienstraße 12, 10999 Berlin, Deutschland' }), 'DE');
+    assert.equal(getCountryHint({ address: '10 Downing St, London SW1A 2AA, United Kingdom' }), 'GB');
+    assert.equal(getCountryHint({ address: '123 Market St, San Francisco, CA 94103' }), 'US');
+    assert.equal(getCountryHint({ address: '100 Queen St W, Toronto, ON M5H 2N2' }), 'CA');
+    assert.equal(getCountryHint({ address: 'Oranienstraße 12, 10999 Berlin', phone: '+49 30 2345678' }), 'DE');
+    assert.equal(getCountryHint({ address: 'Oranienstraße 12, 10999 Berlin', phone: '030 2345678' }, 'de'), 'DE');
+    assert.equal(getCountryHint({ address: null }), null);
+});
+
+test('findPhonesInPage: tel: links, JSON-LD telephone and labelled numbers, no fax or IDs', () => {
+    const found = findPhonesInPage(loadPage('website-phones-de.html'), CONTACT_PAGE);
+
+    assert.deepEqual(found.map(({ raw, method }) => `${method} ${raw}`), [
+        'tel +49302345678',
+        'tel 0800-1234567',
+        'json-ld +49 30 2345678',
+        'text 030 2345678',
+        'text 0171 2345678',
+    ]);
+    assert.ok(found.every(({ sourceUrl }) => sourceUrl === CONTACT_PAGE));
+});
+
+test('buildPhoneList: Maps phone first, one entry per number with every source', () => {
+    const phones = buildPhoneList([
+        { raw: '030 2345678', method: 'maps', sourceUrl: 'https://www.google.com/maps/place/weber' },
+        ...findPhonesInPage(loadPage('website-phones-de.html'), CONTACT_PAGE),
+        { raw: 'n/a', method: 'text', sourceUrl: CONTACT_PAGE },
+    ], 'DE');
+
+    assert.deepEqual(phones.map(({ phone, type }) => `${phone} ${type}`), [
+        '+49302345678 landline',
+        '+498001234567 tollFree',
+        '+491712345678 mobile',
+    ]);
+    assert.equal(phones[0].raw, '030 2345678');
+    assert.deepEqual(phones[0].sources.map(({ method }) => method), ['maps', 'tel', 'json-ld', 'text']);
+    assert.deepEqual(buildPhoneList([], 'DE'), []);
+});
+
+test('findPhonesInPage: microdata and OpenGraph phone tags', () => {
+    const found = findPhonesInPage(loadPage('website-structured.html'), 'https://northwind-consulting.co.uk/');
+
+    assert.deepEqual(found.filter(({ method }) => method === 'microdata' || method === 'opengraph').map(({ raw, method }) => `${method} ${raw}`), [
+        'microdata 07700 900456',
+        'opengraph +44 113 496 0000',
+    ]);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBlockCategory, createResourceBlocker } from '../src/utils/resourceBlocker.js';
+
+const TILE_URL = 'https://www.google.com/maps/vt/pb=!1m5!1m4!1i14!2i8580!3i5737!4i128';
+const PLACE_URL = 'https://www.google.com/maps/preview/place?authuser=0&hl=en&pb=!1m17';
+
+test('getBlockCategory: heavy types, tiles and analytics blocked; page data loads', () => {
+    assert.equal(getBlockCategory('https://lh5.googleusercontent.com/p/AF1Q=w80-h106', 'image'), 'image');
+    assert.equal(getBlockCategory('https://fonts.gstatic.com/s/roboto/v30/a.woff2', 'font'), 'font');
+    assert.equal(getBlockCategory(TILE_URL, 'fetch'), 'tiles');
+    assert.equal(getBlockCategory('https://khms1.googleapis.com/kh?v=979&x=1', 'image'), 'image');
+    assert.equal(getBlockCategory('https://www.google.com/gen_204?atyp=csi', 'ping'), 'analytics');
+
+    assert.equal(getBlockCategory('https://www.google.com/maps/search/bakery', 'document'), null);
+    assert.equal(getBlockCategory(PLACE_URL, 'xhr'), null);
+    assert.equal(getBlockCategory('https://www.google.com/search?tbm=map&q=bakery', 'xhr'), null);
+    assert.equal(getBlockCategory('https://www.gstatic.com/maps/app.css', 'stylesheet'), null);
+});
+
+test('getBlockCategory: allow list wins over defaults and deny list', () => {
+    const lists = { allow: ['image', 'tiles'], deny: ['stylesheet', 'gstatic.com/maps'] };
+
+    assert.equal(getBlockCategory('https://lh5.googleusercontent.com/p/AF1Q', 'image', lists), null);
+    assert.equal(getBlockCategory(TILE_URL, 'fetch', lists), null);
+    assert.equal(getBlockCategory('https://fonts.gstatic.com/a.woff2', 'font', lists), 'font');
+    assert.equal(getBlockCategory('https://www.gstatic.com/maps/app.css', 'stylesheet', lists), 'denyList');
+    assert.equal(getBlockCategory('https://www.google.com/maps/search/bakery', 'document', lists), null);
+});
+
+test('createResourceBlocker: aborts matching requests and counts them', async () => {
+    const blocker = createResourceBlocker({ requestsBlocked: 2, estimatedBytesSaved: 60000, byCategory: { image: 2 } });
+
+    // Minimal stand-in for a Puppeteer page with cooperative interception
+    const handlers = [];
+    const page = {
+        setRequestInterception: async () => {},
+        on: (event, handler) => handlers.push(handler),
+    };
+    const makeRequest = (url, resourceType) => ({
+        outcome: null,
+        url: () => url,
+        resourceType: () => resourceType,
+        isInterceptResolutionHandled: () => false,
+        continueRequestOverrides: () => ({}),
+        continue() { this.outcome = 'continue'; return Promise.resolve(); },
+        abort() { this.outcome = 'abort'; return Promise.resolve(); },
+    });
+
+    await blocker.attach(page);
+    const image = makeRequest('https://lh5.googleusercontent.com/p/AF1Q', 'image');
+    const tile = makeRequest(TILE_URL, 'fetch');
+    const place = makeRequest(PLACE_URL, 'xhr');
+    for (const request of [image, tile, place]) handlers[0](request);
+
+    assert.deepEqual([image.outcome, tile.outcome, place.outcome], ['abort', 'abort', 'continue']);
+    assert.equal(blocker.stats.requestsBlocked, 4); // 2 restored after a restart + 2 now
+    assert.deepEqual(blocker.stats.byCategory, { image: 3, tiles: 1 });
+    assert.equal(blocker.stats.estimatedBytesSaved, 110000);
+});
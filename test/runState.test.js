@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getQueryState, finishQueryState } from '../src/utils/runState.js';
+
+const CARD_URLS = ['https://www.google.com/maps/place/A', 'https://www.google.com/maps/place/B'];
+
+const buildQueryState = ({ searchDone }) => {
+    const queryState = getQueryState({ queries: {} }, 'bakery in Berlin');
+    queryState.cards = CARD_URLS.map((googleMapsUrl) => ({ googleMapsUrl }));
+    queryState.searchDone = searchDone;
+    queryState.doneDetailUrls.add(CARD_URLS[0]);
+    return queryState;
+};
+
+test('finishQueryState: a query cut short by the time budget keeps its cards and done places', () => {
+    const queryState = buildQueryState({ searchDone: true });
+
+    assert.equal(finishQueryState(queryState, true), false);
+    assert.equal(queryState.completed, false);
+    assert.equal(queryState.cards.length, 2);
+    assert.deepEqual([...queryState.doneDetailUrls], [CARD_URLS[0]]);
+});
+
+test('finishQueryState: an unfinished search keeps the query resumable', () => {
+    const queryState = buildQueryState({ searchDone: false });
+
+    assert.equal(finishQueryState(queryState, false), false);
+    assert.equal(queryState.cards.length, 2);
+});
+
+test('finishQueryState: a finished query is completed and drops its cards', () => {
+    const queryState = buildQueryState({ searchDone: true });
+
+    assert.equal(finishQueryState(queryState, false), true);
+    assert.equal(queryState.completed, true);
+    assert.deepEqual(queryState.cards, []);
+    assert.equal(queryState.doneDetailUrls.size, 0);
+});
@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as cheerio from 'cheerio';
+import { parseStructuredData, mergeStructuredData, getStructuredDataUpdates } from '../src/scrapers/structuredData.js';
+import { calculateLeadScore } from '../src/scoring/leadScore.js';
+
+const HOMEPAGE = 'https://northwind-consulting.co.uk/';
+
+const loadPage = (name) => cheerio.load(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+test('parseStructuredData: JSON-LD first, then microdata, then OpenGraph', () => {
+    const data = parseStructuredData(loadPage('website-structured.html'));
+
+    assert.deepEqual(data.types, { value: ['Organization', 'ProfessionalService'], source: 'json-ld' });
+    assert.deepEqual(data.legalName, { value: 'Northwind Consulting Ltd', source: 'json-ld' });
+    assert.deepEqual(data.foundingDate, { value: '2009-04-01', source: 'json-ld' });
+    assert.deepEqual(data.employeeCount, { value: 31, source: 'json-ld' }, 'midpoint of 11-50');
+    assert.deepEqual(data.address, { value: '12 Park Row, LS1 5HD Leeds, GB', source: 'json-ld' });
+    assert.deepEqual(data.sameAs.value, ['https://www.linkedin.com/company/northwind-consulting', 'https://twitter.com/northwindit']);
+
+    // Only in microdata (the founder's phone belongs to the nested Person, not the business)
+    assert.deepEqual(data.email, { value: 'office@northwind-consulting.co.uk', source: 'microdata' });
+    assert.deepEqual(data.telephone, { value: '+44 113 496 0000', source: 'json-ld' });
+
+    // Only in OpenGraph
+    assert.deepEqual(data.description, { value: 'IT consulting for small and mid-sized businesses.', source: 'opengraph' });
+});
+
+test('parseStructuredData: microdata and OpenGraph on their own', () => {
+    const microdata = parseStructuredData(cheerio.load(`
+        <div itemscope itemtype="http://schema.org/Dentist">
+            <h1 itemprop="name">Smile Studio</h1>
+            <span itemprop="telephone">0113 496 0123</span>
+            <time itemprop="foundingDate" datetime="1998">since 1998</time>
+            <span itemprop="numberOfEmployees">6-10 employees</span>
+        </div>`));
+    assert.deepEqual(microdata.businessName, { value: 'Smile Studio', source: 'microdata' });
+    assert.deepEqual(microdata.foundingDate, { value: '1998', source: 'microdata' });
+    assert.deepEqual(microdata.employeeCount, { value: 8, source: 'microdata' });
+
+    const openGraph = parseStructuredData(cheerio.load(`
+        <meta property="og:site_name" content="Smile Studio">
+        <meta property="og:street-address" content="1 Main St"><meta property="og:locality" content="Leeds">`));
+    assert.deepEqual(openGraph, {
+        businessName: { value: 'Smile Studio', source: 'opengraph' },
+        address: { value: '1 Main St, Leeds', source: 'opengraph' },
+    });
+
+    assert.deepEqual(parseStructuredData(cheerio.load('<p>No structured data</p>')), {});
+});
+
+test('parseStructuredData: the page\'s Organization wins over a Service and businesses nested under it', () => {
+    const data = parseStructuredData(cheerio.load(`
+        <script type="application/ld+json">[
+            { "@context": "https://schema.org", "@type": "Organization", "name": "Harbor Plumbing", "telephone": "+44 113 496 0500" },
+            {
+                "@context": "https://schema.org",
+                "@type": "Service",
+                "name": "Plumbing repair",
+                "description": "Leaks, boilers and blocked drains",
+                "provider": {
+                    "@type": "LocalBusiness",
+                    "name": "Leeds Trade Network",
+                    "telephone": "+44 113 496 0999",
+                    "email": "jobs@leedstrade.example",
+                    "address": "1 Trade St, Leeds",
+                    "foundingDate": "1990"
+                }
+            }
+        ]</script>`));
+
+    assert.deepEqual(data.types.value, ['Organization']);
+    assert.deepEqual(data.businessName, { value: 'Harbor Plumbing', source: 'json-ld' });
+    assert.deepEqual(data.telephone, { value: '+44 113 496 0500', source: 'json-ld' });
+    assert.equal(data.email, undefined);
+    assert.equal(data.description, undefined);
+});
+
+test('mergeStructuredData: most trusted source wins, then the earliest page', () => {
+    const merged = mergeStructuredData([
+        { url: HOMEPAGE, data: { businessName: { value: 'Northwind', source: 'opengraph' }, legalName: { value: 'Northwind Ltd', source: 'json-ld' } } },
+        { url: `${HOMEPAGE}about`, data: { businessName: { value: 'Northwind Consulting', source: 'json-ld' }, legalName: { value: 'Other Ltd', source: 'json-ld' } } },
+    ]);
+
+    assert.deepEqual(merged.businessName, { value: 'Northwind Consulting', source: 'json-ld', url: `${HOMEPAGE}about` });
+    assert.deepEqual(merged.legalName, { value: 'Northwind Ltd', source: 'json-ld', url: HOMEPAGE });
+});
+
+test('getStructuredDataUpdates: trusted fields with sources; Maps address and known socials kept', () => {
+    const structuredData = mergeStructuredData([{ url: HOMEPAGE, data: parseStructuredData(loadPage('website-structured.html')) }]);
+    const lead = {
+        businessName: 'Northwind Consulting',
+        address: '12 Park Row, Leeds LS1 5HD, United Kingdom',
+        socialLinks: { linkedin: null, facebook: null, twitter: 'https://x.com/northwind_old', instagram: null },
+    };
+
+    const { updates, fieldSources } = getStructuredDataUpdates(lead, structuredData);
+
+    assert.deepEqual(updates, {
+        legalName: 'Northwind Consulting Ltd',
+        foundingDate: '2009-04-01',
+        employeeCount: 31,
+        socialLinks: { linkedin: 'https://www.linkedin.com/company/northwind-consulting', facebook: null, twitter: 'https://x.com/northwind_old', instagram: null },
+    });
+    assert.deepEqual(fieldSources.employeeCount, { source: 'json-ld', url: HOMEPAGE });
+    assert.deepEqual(Object.keys(fieldSources), ['legalName', 'foundingDate', 'employeeCount', 'socialLinks.linkedin']);
+
+    assert.equal(getStructuredDataUpdates({ address: null }, structuredData).updates.address, '12 Park Row, LS1 5HD Leeds, GB');
+    assert.deepEqual(getStructuredDataUpdates(lead, {}), { updates: {}, fieldSources: {} });
+});
+
+test('calculateLeadScore: employeeCount counts toward firmographic fit', () => {
+    const icp = { employeeRanges: { '11-50': 15 } };
+    const lead = { businessName: 'Northwind Consulting', category: 'Consultant' };
+
+    const without = calculateLeadScore(lead, icp);
+    const withCount = calculateLeadScore({ ...lead, employeeCount: 31 }, icp);
+    assert.equal(withCount.breakdown.firmographic - without.breakdown.firmographic, 15);
+});
+
+test('calculateLeadScore: known size in a target range scores above unknown size when industry and location fill the cap', () => {
+    const icp = { industries: { consulting: 30 }, locations: { Europe: 25 }, employeeRanges: { '11-50': 15, '51-200': 10, '500+': 0 } };
+    const lead = { businessName: 'Northwind Consulting', category: 'Consulting', address: '12 Park Row, Leeds, United Kingdom' };
+
+    const unknown = calculateLeadScore(lead, icp);
+    const best = calculateLeadScore({ ...lead, employeeCount: 31 }, icp);
+    const second = calculateLeadScore({ ...lead, employeeCount: 120 }, icp);
+    const unwanted = calculateLeadScore({ ...lead, employeeCount: 1200 }, icp);
+
+    assert.deepEqual([unknown, best, second, unwanted].map(({ breakdown }) => breakdown.firmographic), [40, 55, 50, 40]);
+    assert.ok(best.score > second.score && second.score > unknown.score);
+    assert.equal(unwanted.score, unknown.score);
+});
+
+test('parseStructuredData: "50+" employees count as more than 50', () => {
+    const data = parseStructuredData(cheerio.load('<script type="application/ld+json">{ "@type": "Organization", "name": "Northwind", "numberOfEmployees": "50+" }</script>'));
+
+    assert.equal(data.employeeCount.value, 51);
+});